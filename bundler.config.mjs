@@ -0,0 +1,56 @@
+/**
+ * Configures the bundler of the project. Plugins listed here run after the
+ * built-in ones, in the order they are listed, unless their order is 'pre'
+ * to run before them or 'post' to run after every other. A plugin is an
+ * object with a name, an optional `test` regular expression matching the
+ * pathnames it transforms, and any of these hooks:
+ *
+ * - `discover(pathname)`: returns 'page', 'asset' or 'ignore' for a source
+ *   file, or nothing to let the next plugin decide
+ * - `transformAsset(file, context)`: returns the new `content` or `outname`
+ *   of an asset, before it is named by its hash and written
+ * - `transformPageSource(page, context)`: returns the new `code` of a page
+ *   as read, before its Server Side Includes are expanded
+ * - `transformPage(page, context)`: returns the new `code` of a page once
+ *   its references point to the outputs, before it is written, and may
+ *   `emit` files for the page, named after the hash of their content
+ * - `postBuild(context)`: runs once the build is done, and may `emit` files
+ *   to the output directory, or `keep` those the `previous` build emitted
+ *   when they need no update
+ *
+ * Pages may link to the files a plugin emits once they are listed in its
+ * `emits` array, such as '/sw.js'.
+ *
+ * Changing the list of plugins rebuilds every file on the next build.
+ *
+ * Budgets cap the bytes transferred to load each page, compressed, in total
+ * and by type of file: html, css, js, image, font and other. Those of
+ * `page` apply to every page, and those of `pages` to the page of the same
+ * output pathname, such as '/en/about.html'. Exceeding a budget fails the
+ * build, unless `enforce` is false.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+/**
+ * @type {{plugins: Array<import('./core/bun/src/internal/plugins.mjs').Plugin>,
+ *   budgets: import('./core/bun/src/internal/budgets.mjs').Budgets}}
+ */
+export default {
+  plugins: [],
+  budgets: {
+    page: {
+      total: 500_000,
+      html: 20_000,
+      css: 20_000,
+      js: 20_000,
+      image: 450_000,
+    },
+  },
+};
@@ -38,6 +38,8 @@ export class PathManager {
   #outDir;
   #versionPath;
   #packagePath;
+  #configPath;
+  #linkAuditPath;
 
   /**
    * Initializes the PathManager with the given absolute root path.
@@ -54,6 +56,8 @@ export class PathManager {
     this.#outDir = join(relRoot, 'build');
     this.#versionPath = join(relRoot, 'version.txt');
     this.#packagePath = join(relRoot, 'package.json');
+    this.#configPath = join(relRoot, 'bundler.config.mjs');
+    this.#linkAuditPath = join(relRoot, 'core', 'bun', 'link-audit.json');
   }
 
   /**
@@ -100,4 +104,22 @@ export class PathManager {
   get packagePath() {
     return this.#packagePath;
   }
+
+  /**
+   * Gets the path to the bundler.config.mjs file.
+   *
+   * @returns {string} Path to bundler.config.mjs.
+   */
+  get configPath() {
+    return this.#configPath;
+  }
+
+  /**
+   * Gets the path to the link-audit.json file.
+   *
+   * @returns {string} Path to link-audit.json.
+   */
+  get linkAuditPath() {
+    return this.#linkAuditPath;
+  }
 }
@@ -12,7 +12,12 @@ module.exports = defineConfig([
   {
     files: ['**/*.{js,mjs}'],
     languageOptions: {
-      globals: { ...globals.browser, ...globals.node, Bun: false },
+      globals: {
+        ...globals.browser,
+        ...globals.node,
+        Bun: false,
+        HTMLRewriter: false,
+      },
     },
     plugins: { js },
     extends: ['js/recommended'],
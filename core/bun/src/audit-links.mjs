@@ -0,0 +1,100 @@
+/**
+ * Audits the outbound links written in the source files of the site, such
+ * as profiles and project repositories. URLs matching the allowlist of
+ * 'core/bun/link-audit.json' are skipped, and the others are fetched unless
+ * a recent check of theirs is cached in the same file, up to
+ * '--max-age=<days>' old (30 by default). The cache is updated with every
+ * check, to be committed.
+ *
+ * With '--offline', no URL is fetched: the audit relies on the cache alone,
+ * and URLs missing from it fail the audit, so that it runs without network
+ * access once an online audit has cached every URL.
+ *
+ * Broken links are listed with the files and lines they are written at,
+ * and set a non-zero exit code. Links whose server refuses automated
+ * requests, such as LinkedIn, are listed the same way to be verified by
+ * hand, without failing the audit.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { join } from 'node:path';
+import { auditURLs, findOutboundURLs } from './internal/links.mjs';
+
+// Source files holding the markup and data of pages. Scripts and styles are
+// left out, as their URLs are mostly credits in comments.
+const SOURCE_GLOB = '**/*.{html,php,shtml,yaml}';
+
+const offline = process.argv.includes('--offline');
+const maxAgeArg = process.argv.find((arg) => arg.startsWith('--max-age='));
+const maxAge = maxAgeArg ? Number(maxAgeArg.split('=')[1]) : undefined;
+
+const { srcDir, linkAuditPath } = globalThis.path;
+const audit = {
+  allow: [],
+  cache: {},
+  ...(await Bun.file(linkAuditPath)
+    .json()
+    .catch(() => ({}))),
+};
+
+// Locate every outbound URL in the sources
+const locations = new Map();
+const glob = new Bun.Glob(SOURCE_GLOB);
+for await (const path of glob.scan({ cwd: srcDir, dot: true })) {
+  const pathname = `/${path.replace(/\\/g, '/')}`;
+  const code = await Bun.file(join(srcDir, path)).text();
+  for (const { url, line } of findOutboundURLs(code)) {
+    if (!locations.has(url)) locations.set(url, []);
+    locations.get(url).push(`${pathname}:${line}`);
+  }
+}
+
+console.log(
+  `Auditing ${locations.size} outbound URL(s)${offline ? ' offline' : ''}...`,
+);
+const results = await auditURLs([...locations.keys()], audit, {
+  offline,
+  maxAge,
+});
+
+const counts = { ok: 0, allowed: 0, refused: 0, broken: 0, unchecked: 0 };
+for (const [url, { status, code }] of [...results].sort()) {
+  ++counts[status];
+  if (status === 'broken')
+    console.error(`Broken link (${code || 'unreachable'}): ${url}`);
+  else if (status === 'refused')
+    console.error(`Refused automated check (${code}), verify by hand: ${url}`);
+  else if (status === 'unchecked')
+    console.error(`Unchecked link, not in the cache: ${url}`);
+  else continue;
+  for (const location of locations.get(url).sort())
+    console.error(`  at ${location}`);
+}
+
+// Keep the cache sorted, so that its changes are easy to review, and drop
+// the URLs no longer linked
+if (!offline) {
+  const cache = Object.fromEntries(
+    Object.entries(audit.cache)
+      .filter(([url]) => locations.has(url))
+      .sort(),
+  );
+  await Bun.write(
+    linkAuditPath,
+    `${JSON.stringify({ ...audit, cache }, null, 2)}\n`,
+  );
+}
+
+console.log(
+  Object.entries(counts)
+    .map(([status, count]) => `${count} ${status}`)
+    .join(', '),
+);
+if (counts.broken || counts.unchecked) process.exit(1);
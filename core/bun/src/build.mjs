@@ -3,6 +3,52 @@
  * This script invokes the internal bundler, optionally forcing a rebuild
  * if the '--force' flag is provided. It outputs build status and timing.
  *
+ * With '--profile=dev', scripts, stylesheets and pages are left unminified,
+ * HTML comments are kept and scripts link to their source maps; the default
+ * '--profile=prod' minifies everything without source maps. Either profile's
+ * source maps can be changed with '--sourcemap=none|linked|external'.
+ *
+ * With '--prune-css', the rules that no page uses are stripped from
+ * stylesheets, except for the classes that scripts add at runtime and the
+ * elements that built-in plugins generate, such as <picture>.
+ *
+ * Translations that are out of sync between language trees are reported as
+ * warnings, or fail the build with '--strict'.
+ *
+ * Pages are validated offline once their SSI are expanded: markup, internal
+ * links, alt text, duplicate IDs, heading order and form labels. Their
+ * issues are listed in the summary, and errors fail the build of the page.
+ *
+ * Assets and pages are built a few at a time, one per CPU core or as many as
+ * '--jobs=<number>'. The build ends with a summary of the files it skipped,
+ * rebuilt, removed or failed to build, or the whole report as JSON on stdout
+ * with '--json'. Any failure sets a non-zero exit code.
+ *
+ * Builds are staged next to the live output and swapped in only if they
+ * succeed, so that a failed build leaves the site as it was. The build
+ * swapped out is kept by version, along with the previous ones up to
+ * '--keep=<number>' (3 by default), and '--rollback <version>' swaps it back
+ * in place of the live build, without building.
+ *
+ * With '--dry-run', the staged build is discarded rather than swapped in,
+ * and the files it would write, rename or delete are listed. A dry run is
+ * still a full build into a temporary copy of the live output: it copies
+ * that output, writes every file and encodes the images that changed, so it
+ * takes as long as a build. With '--diff',
+ * the HTML outputs that changed are compared to the previous build, line by
+ * line.
+ *
+ * Plugins listed in 'bundler.config.mjs', at the root of the project, run
+ * along with the built-in ones that make up the bundler.
+ *
+ * Once built, every page is weighed along with the files it loads, and the
+ * build fails if a page exceeds the performance budgets set in the same
+ * config, listing them along with their weight in the previous build.
+ *
+ * With '--watch', the source directory is watched and incrementally rebuilt
+ * on every change. With '--serve', the build output is also served locally
+ * (on '--port=<number>', 8080 by default) and open browsers live-reload.
+ *
  * @author
  * Sébastien Kéroack <code@sebastienkeroack.com>
  * @copyright
@@ -12,9 +58,156 @@
  * Apache License
  */
 
-import { bundle } from './internal/bundle.mjs';
+import { rm } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+import {
+  bundle,
+  getBuildOutputs,
+  getManifestPath,
+} from './internal/bundle.mjs';
+import {
+  DEFAULT_KEEP,
+  publishBuild,
+  rollbackBuild,
+  stageBuild,
+} from './internal/history.mjs';
+import {
+  diffOutputs,
+  findRenames,
+  formatChanges,
+  planChanges,
+  snapshotOutputs,
+} from './internal/preview.mjs';
+import { loadConfig } from './internal/plugins.mjs';
+import { getProfile } from './internal/profiles.mjs';
+import { BuildReport } from './internal/report.mjs';
+import { serve, watch } from './internal/serve.mjs';
+
+/**
+ * Gets the value of a '--name=value' command-line option.
+ *
+ * @param {string} name - The option name, without leading dashes
+ * @returns {string|undefined} The option value, if given
+ */
+function getOption(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find((arg) => arg.startsWith(prefix));
+  return arg?.slice(prefix.length);
+}
 
 const force = process.argv.includes('--force');
+const pruneCSS = process.argv.includes('--prune-css');
+const strict = process.argv.includes('--strict');
+const json = process.argv.includes('--json');
+const jobs = getOption('jobs') ? Number(getOption('jobs')) : undefined;
+const dryRun = process.argv.includes('--dry-run');
+const showDiff = process.argv.includes('--diff');
+const keep = Number(getOption('keep') ?? DEFAULT_KEEP);
+const rollbackIndex = process.argv.indexOf('--rollback');
+const rollback =
+  getOption('rollback') ??
+  (rollbackIndex === -1 ? undefined : (process.argv[rollbackIndex + 1] ?? ''));
+const serveMode = process.argv.includes('--serve');
+const watchMode = !dryRun && (serveMode || process.argv.includes('--watch'));
+const port = Number(getOption('port') ?? 8080);
+const profile = getProfile(getOption('profile'), getOption('sourcemap'));
+
+const { srcDir, outDir, configPath } = globalThis.path;
+const config = await loadConfig(configPath);
+const outputs = getBuildOutputs(srcDir);
+const manifestOutput = getManifestPath(srcDir, '');
+
+// Keep stdout for the JSON report, progress going to stderr
+if (json) console.log = console.error;
+
+/**
+ * Reads a build manifest, empty if there is none.
+ *
+ * @param {string} dir - The output directory holding the manifest
+ * @returns {Promise<Object>} The manifest
+ */
+function readManifest(dir) {
+  return Bun.file(getManifestPath(srcDir, dir))
+    .json()
+    .catch(() => ({}));
+}
+
+/**
+ * Bundles the source directory into a staged copy of the live build, then
+ * publishes it unless dry-running, and prints the report of the build.
+ * Steps that fail before any file is built are reported the same way. Dry
+ * runs and diffs compare the output directory before and after the build.
+ *
+ * @param {boolean} [isForced=false] - Whether to force a full rebuild
+ * @returns {Promise<BuildReport>} The report of the build
+ */
+async function build(isForced = false) {
+  const dstDir = join(outDir, basename(srcDir));
+  const before = dryRun || showDiff ? await snapshotOutputs(dstDir) : null;
+  const stageDir = await stageBuild(outDir, outputs);
+
+  let report;
+  try {
+    report = await bundle(srcDir, stageDir, {
+      force: isForced,
+      profile,
+      pruneCSS,
+      strict,
+      jobs,
+      plugins: config.plugins,
+      budgets: config.budgets,
+    });
+  } catch (error) {
+    console.error(error);
+    report = new BuildReport();
+    report.fail(null, error);
+  }
+
+  if (before) {
+    const after = await snapshotOutputs(join(stageDir, basename(srcDir)));
+    if (dryRun) {
+      const renames = findRenames(
+        await readManifest(outDir),
+        await readManifest(stageDir),
+      );
+      console.log(formatChanges(planChanges(before, after, renames)));
+    }
+    if (showDiff) console.log(diffOutputs(before, after) || 'No HTML changes');
+  }
+  if (dryRun) await rm(stageDir, { recursive: true, force: true });
+  else
+    await publishBuild(outDir, stageDir, report, outputs, manifestOutput, keep);
+
+  if (json) process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  else console.log(report.summarize());
+  if (report.hasFailed) process.exitCode = 1;
+  return report;
+}
+
+if (rollback !== undefined) {
+  try {
+    await rollbackBuild(outDir, rollback, outputs, manifestOutput, keep);
+    console.log(`Rolled back to version ${rollback}`);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+  process.exit();
+}
 
 console.log(`Build started at: ${new Date().toLocaleString()}`);
-await bundle(globalThis.path.srcDir, globalThis.path.outDir, force);
+console.log(`Build profile: ${profile.name}`);
+await build(force);
+
+if (watchMode) {
+  const dstDir = join(outDir, basename(srcDir));
+  const dev = serveMode ? serve(dstDir, port) : null;
+  if (dev) console.log(`Serving ${dstDir} at ${dev.server.url}`);
+
+  watch(srcDir, async (changes) => {
+    console.log(`Changed: ${[...changes].join(', ')}`);
+    console.log(`Rebuild started at: ${new Date().toLocaleString()}`);
+    if ((await build()).hasChange && dev) dev.reload();
+  });
+  console.log(`Watching ${srcDir} for changes...`);
+}
@@ -0,0 +1,139 @@
+/**
+ * Packs files into reproducible tar archives: entries are sorted by path and
+ * share the same owner, permissions and modification time, so that packing
+ * the same files always gives the same bytes.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+// Size of the header and data blocks of tar archives.
+const BLOCK_SIZE = 512;
+
+/**
+ * @typedef {Object} ArchiveEntry
+ * @property {string} path - The POSIX path of the file in the archive
+ * @property {Uint8Array} content - The content of the file
+ */
+
+/**
+ * Writes a number in a field of a tar header, as zero-padded octal digits
+ * followed by a NUL.
+ *
+ * @param {Uint8Array} header - The header block
+ * @param {number} offset - The offset of the field
+ * @param {number} length - The length of the field, NUL included
+ * @param {number} value - The value
+ */
+function writeOctal(header, offset, length, value) {
+  const digits = value.toString(8).padStart(length - 1, '0');
+  if (digits.length >= length)
+    throw new Error(`Value ${value} does not fit in a tar header`);
+  header.set(new TextEncoder().encode(digits), offset);
+}
+
+/**
+ * Splits a path into the prefix and name fields of a ustar header, which
+ * hold up to 155 and 100 bytes.
+ *
+ * @param {Uint8Array} path - The UTF-8 encoded path
+ * @returns {[Uint8Array, Uint8Array]} The prefix and the name
+ * @throws {Error} If no slash splits the path into fields that fit
+ */
+function splitPath(path) {
+  if (path.length <= 100) return [new Uint8Array(), path];
+  const slash = 0x2f;
+  for (let i = path.length - 101; i < path.length; ++i)
+    if (path[i] === slash && i > 0 && i <= 155)
+      return [path.subarray(0, i), path.subarray(i + 1)];
+  throw new Error(
+    `Path too long for a tar archive: ${new TextDecoder().decode(path)}`,
+  );
+}
+
+/**
+ * Creates the ustar header of a regular file.
+ *
+ * @param {string} path - The path of the file in the archive
+ * @param {number} size - The size of the file, in bytes
+ * @param {number} mtime - The modification time, in seconds since the epoch
+ * @returns {Uint8Array} The header block
+ */
+function createHeader(path, size, mtime) {
+  const header = new Uint8Array(BLOCK_SIZE);
+  const encoder = new TextEncoder();
+  const [prefix, name] = splitPath(encoder.encode(path));
+  header.set(name, 0);
+  writeOctal(header, 100, 8, 0o644); // mode
+  writeOctal(header, 108, 8, 0); // uid
+  writeOctal(header, 116, 8, 0); // gid
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, mtime);
+  header[156] = 0x30; // typeflag: regular file
+  header.set(encoder.encode('ustar\x0000'), 257);
+  header.set(prefix, 345);
+
+  // The checksum is computed with its own field filled with spaces, then
+  // written as six digits, a NUL and a space
+  header.fill(0x20, 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  writeOctal(header, 148, 7, checksum);
+  header[155] = 0x20;
+  return header;
+}
+
+/**
+ * Packs files into a tar archive, sorted by path.
+ *
+ * @param {Array<ArchiveEntry>} entries - The files to pack
+ * @param {number} [mtime=0] - The modification time of every file, in
+ *   seconds since the epoch
+ * @returns {Uint8Array} The archive
+ * @throws {Error} If a path is packed twice or is too long
+ */
+export function createTar(entries, mtime = 0) {
+  const sorted = [...entries].sort((a, b) =>
+    a.path < b.path ? -1
+    : a.path > b.path ? 1
+    : 0,
+  );
+  const blocks = [];
+  for (const [i, { path, content }] of sorted.entries()) {
+    if (sorted[i - 1]?.path === path)
+      throw new Error(`Duplicate path in archive: ${path}`);
+    blocks.push(createHeader(path, content.length, mtime), content);
+    const padding = -content.length & (BLOCK_SIZE - 1);
+    if (padding) blocks.push(new Uint8Array(padding));
+  }
+  // The archive ends with two empty blocks
+  blocks.push(new Uint8Array(2 * BLOCK_SIZE));
+
+  const archive = new Uint8Array(
+    blocks.reduce((size, block) => size + block.length, 0),
+  );
+  let offset = 0;
+  for (const block of blocks) {
+    archive.set(block, offset);
+    offset += block.length;
+  }
+  return archive;
+}
+
+/**
+ * Formats SHA256 digests like `sha256sum`, so that they can be verified
+ * with `sha256sum --check`.
+ *
+ * @param {Object<string, string>} digests - The hex-encoded digests, by path
+ * @returns {string} The checksums, one file per line, sorted by path
+ */
+export function formatChecksums(digests) {
+  return Object.keys(digests)
+    .sort()
+    .map((path) => `${digests[path]}  ${path}\n`)
+    .join('');
+}
@@ -0,0 +1,235 @@
+/**
+ * Weighs the pages of a build: the bytes transferred to load each page, its
+ * stylesheets, scripts and their chunks, images and fonts, by type, as
+ * listed in the build manifest. Pre-compressed siblings count instead of the
+ * files they compress, and responsive images count as their largest variant
+ * in the format browsers prefer. Weights are checked against the performance
+ * budgets of the project and compared with the previous build.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { stat } from 'node:fs/promises';
+import { join, posix } from 'node:path';
+import { formatSize } from './report.mjs';
+
+// Types of the files a page loads, by the extension of their output.
+const FILE_TYPES = {
+  html: /\.(html|php)$/,
+  css: /\.css$/,
+  js: /\.m?js$/,
+  image: /\.(avif|gif|ico|jpe?g|png|svg|webp)$/,
+  font: /\.(otf|ttf|woff2?)$/,
+};
+
+/**
+ * @typedef {Object<string, number>} PageWeight
+ *   The bytes transferred to load a page, in total and by type: html, css,
+ *   js, image, font and other
+ */
+
+/**
+ * @typedef {Object} Budgets
+ * @property {Object<string, number>} [page] - The maximum bytes of every
+ *   page, in total and by type
+ * @property {Object<string, Object<string, number>>} [pages] - The budgets
+ *   of some pages, by output pathname, overriding those of every page
+ * @property {boolean} [enforce=true] - Whether exceeding a budget fails the
+ *   build, rather than only being reported
+ */
+
+/**
+ * @typedef {Object} ExceededBudget
+ * @property {string} page - The output pathname of the page
+ * @property {string} type - The type of files, or 'total'
+ * @property {number} size - The bytes transferred
+ * @property {number} budget - The maximum bytes
+ */
+
+/**
+ * Gets the type of an output file.
+ *
+ * @param {string} outPathname - The output pathname
+ * @returns {string} The type of the file, 'other' if unknown
+ */
+function typeOf(outPathname) {
+  const entry = Object.entries(FILE_TYPES).find(([, regex]) =>
+    regex.test(outPathname),
+  );
+  return entry?.[0] ?? 'other';
+}
+
+/**
+ * Gets the bytes transferred for an output file: its smallest
+ * pre-compressed sibling, or itself.
+ *
+ * @param {string} outDir - The output directory
+ * @param {{outPathname: string, siblings: Array<string>}} output - The
+ *   output file and the pathnames of its pre-compressed siblings
+ * @returns {Promise<number>} The size in bytes, 0 if missing
+ */
+async function transferSize(outDir, { outPathname, siblings }) {
+  const sizes = await Promise.all(
+    [outPathname, ...siblings].map((pathname) =>
+      stat(join(outDir, pathname)).then(
+        (stats) => stats.size,
+        () => Infinity,
+      ),
+    ),
+  );
+  const size = Math.min(...sizes);
+  return Number.isFinite(size) ? size : 0;
+}
+
+/**
+ * Lists the output files loaded by a page of the manifest: the page, the
+ * assets of the page and its includes, the chunks of its scripts and the
+ * files linked from its stylesheets.
+ *
+ * @param {Object} manifest - The build manifest
+ * @param {string} pathname - The pathname of the page
+ * @returns {Array<{outPathname: string, siblings: Array<string>}>} The
+ *   output files and their pre-compressed siblings
+ */
+export function listPageOutputs(manifest, pathname) {
+  const outPathname = pathname.replace(/\.shtml$/, '.html');
+  const page = manifest.pages[pathname];
+  const outputs = new Map([
+    [outPathname, (page.compressed ?? []).map((ext) => outPathname + ext)],
+  ]);
+
+  const seen = new Set();
+  const addAsset = (assetPathname) => {
+    const asset = manifest.assets[assetPathname];
+    if (seen.has(assetPathname) || !asset?.outname) return;
+    seen.add(assetPathname);
+    const dir = posix.dirname(assetPathname);
+    // Variants are listed by preferred format, then by width
+    const variants = asset.image?.variants ?? [];
+    const variant = variants
+      .filter(({ format }) => format === variants[0].format)
+      .at(-1);
+    outputs.set(
+      posix.join(dir, variant?.outname ?? asset.outname),
+      variant ?
+        []
+      : asset.compressed.map((outname) => posix.join(dir, outname)),
+    );
+    for (const chunk of asset.chunks)
+      outputs.set(
+        chunk.outPathname,
+        chunk.compressed.map((outname) =>
+          posix.join(posix.dirname(chunk.outPathname), outname),
+        ),
+      );
+    for (const reference of asset.references) addAsset(reference);
+  };
+  const addPage = (pagePathname) => {
+    if (seen.has(pagePathname)) return;
+    seen.add(pagePathname);
+    for (const { kind, pathname } of manifest.pages[pagePathname]?.assets ?? [])
+      if (kind === 'include') addPage(pathname);
+      else addAsset(pathname);
+  };
+  addPage(pathname);
+
+  return [...outputs].map(([outPathname, siblings]) => ({
+    outPathname,
+    siblings,
+  }));
+}
+
+/**
+ * Weighs every public page of a build.
+ *
+ * @param {string} outDir - The output directory of the site
+ * @param {Object} manifest - The manifest of the build
+ * @returns {Promise<Object<string, PageWeight>>} The weight of every page,
+ *   by output pathname
+ */
+export async function measurePages(outDir, manifest) {
+  const weights = {};
+  for (const pathname of Object.keys(manifest.pages).sort()) {
+    if (posix.basename(pathname).startsWith('_')) continue;
+    const weight = { total: 0 };
+    for (const output of listPageOutputs(manifest, pathname)) {
+      const size = await transferSize(outDir, output);
+      const type = typeOf(output.outPathname);
+      weight[type] = (weight[type] ?? 0) + size;
+      weight.total += size;
+    }
+    weights[pathname.replace(/\.shtml$/, '.html')] = weight;
+  }
+  return weights;
+}
+
+/**
+ * Checks the weight of every page against its budgets.
+ *
+ * @param {Object<string, PageWeight>} weights - The weights, by page
+ * @param {Budgets} budgets - The budgets
+ * @returns {Array<ExceededBudget>} The budgets exceeded
+ */
+export function checkBudgets(weights, budgets) {
+  const exceeded = [];
+  for (const [page, weight] of Object.entries(weights)) {
+    const pageBudgets = { ...budgets.page, ...budgets.pages?.[page] };
+    for (const [type, budget] of Object.entries(pageBudgets))
+      if ((weight[type] ?? 0) > budget)
+        exceeded.push({ page, type, size: weight[type], budget });
+  }
+  return exceeded;
+}
+
+/**
+ * Formats the budgets exceeded as a table, along with the weight of the
+ * same pages in the previous build.
+ *
+ * @param {Array<ExceededBudget>} exceeded - The budgets exceeded
+ * @param {Object<string, PageWeight>} previous - The weights of the
+ *   previous build, by page
+ * @param {string} [previousVersion] - The version of the previous build
+ * @returns {string} The table
+ */
+export function formatTrend(exceeded, previous, previousVersion = '') {
+  const rows = exceeded.map(({ page, type, size, budget }) => {
+    const before = previous[page]?.[type];
+    const change =
+      before === undefined ? 'new'
+      : size >= before ? `+${formatSize(size - before)}`
+      : `-${formatSize(before - size)}`;
+    return [
+      page,
+      type,
+      formatSize(size),
+      formatSize(budget),
+      formatSize(before),
+      change,
+    ];
+  });
+  const header = [
+    'Page',
+    'Type',
+    'Size',
+    'Budget',
+    `Previous${previousVersion ? ` (${previousVersion})` : ''}`,
+    'Change',
+  ];
+  const widths = header.map((title, i) =>
+    Math.max(title.length, ...rows.map((row) => row[i].length)),
+  );
+  return [header, ...rows]
+    .map((row) =>
+      row
+        .map((cell, i) => cell.padEnd(widths[i]))
+        .join('  ')
+        .trimEnd(),
+    )
+    .join('\n');
+}
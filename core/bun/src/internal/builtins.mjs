@@ -0,0 +1,435 @@
+/**
+ * Defines the built-in plugins of the bundler: which source files are pages
+ * or assets, how stylesheets, scripts and Apache configs are transformed
+ * before they are written, how pages are completed once their Server Side
+ * Includes are expanded, and the files of the web app emitted once the
+ * build is done.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { join, posix } from 'node:path';
+import { addCompressionRules } from './compress.mjs';
+import {
+  deferStylesheets,
+  extractCriticalCSS,
+  findDeferrableStylesheets,
+} from './critical.mjs';
+import { getAttribute, tokenize } from './html.mjs';
+import { renderPicture } from './images.mjs';
+import { minifyCSS, minifyJS, minifyPage } from './minify.mjs';
+import {
+  ICON_SIZES,
+  SERVICE_WORKER_PATHNAME,
+  WEB_MANIFEST_PATHNAME,
+  createServiceWorker,
+  createWebManifest,
+  findOfflinePages,
+  listPrecache,
+  readSiteMeta,
+  renderIcon,
+} from './pwa.mjs';
+import { rewriteReferences, scanCSS, scanHTML } from './references.mjs';
+import { addIntegrity } from './security.mjs';
+import {
+  CARDS_DIR,
+  THEME_COLORS_PATHNAME,
+  createCardSVG,
+  readCardMeta,
+  readItemCards,
+  readThemeColors,
+  renderCard,
+} from './social.mjs';
+import { DEFAULT_LANGUAGE, addAlternateLinks } from './sitemap.mjs';
+import { validatePage } from './validate.mjs';
+
+// Regular expression to match ES module entrypoints, whose shared modules
+// are split into chunks.
+export const REGEX_MODULE = /\.mjs$/;
+
+/**
+ * Renders the images displayed by a page as <picture> elements offering
+ * their responsive variants. Images already inside a <picture> element or
+ * with a srcset of their own are left as written.
+ *
+ * @param {string} code - The HTML code of the page
+ * @param {Object} allAssets - All assets in the project
+ * @returns {string} The HTML code
+ */
+function renderPictures(code, allAssets) {
+  // Find responsive images by the output pathname pages now point to
+  const images = {};
+  for (const asset of Object.values(allAssets))
+    if (asset.image) images[asset.outPathname] = asset.image;
+
+  const tags = [];
+  let inPicture = false;
+  for (const token of tokenize(code)) {
+    if (token.name === 'picture') inPicture = token.type === 'tag';
+    if (token.type !== 'tag' || token.name !== 'img' || inPicture) continue;
+    if (getAttribute(token, 'srcset')) continue;
+    const src = getAttribute(token, 'src')?.value.trim().split(/[?#]/)[0];
+    if (images[src]) tags.push({ ...token, image: images[src] });
+  }
+
+  return rewriteReferences(code, tags, (tag) =>
+    renderPicture(code, tag, tag.image),
+  );
+}
+
+/**
+ * Adds modulepreload hints to the head of a page for the chunks of its ES
+ * modules, so that browsers fetch the whole module graph at once rather
+ * than discovering one import after another. Modules imported by inline
+ * scripts are preloaded too, since they are only found once the script
+ * runs.
+ *
+ * @param {string} code - The HTML code of the page
+ * @param {string} outPathname - The output pathname of the page
+ * @param {Object} allAssets - All assets in the project
+ * @returns {string} The HTML code
+ */
+function addModulePreloads(code, outPathname, allAssets) {
+  // Find module entrypoints by the output pathname pages now point to
+  const modules = {};
+  for (const asset of Object.values(allAssets))
+    if (REGEX_MODULE.test(asset.pathname)) modules[asset.outPathname] = asset;
+
+  const hrefs = new Set();
+  const preloaded = new Set();
+  for (const reference of scanHTML(code, outPathname)) {
+    const { kind, pathname, element } = reference;
+    if (element === 'link') preloaded.add(pathname);
+    const module = modules[pathname];
+    if (!module) continue;
+    if (kind === 'import') hrefs.add(pathname);
+    for (const chunk of module.chunks)
+      if (chunk.preload) hrefs.add(chunk.outPathname);
+  }
+
+  const index = code.search(/<\/head\s*>/i);
+  const links = [...hrefs]
+    .filter((href) => !preloaded.has(href))
+    .map((href) => `<link rel="modulepreload" href="${href}">\n`);
+  if (index < 0 || !links.length) return code;
+  return code.slice(0, index) + links.join('') + code.slice(index);
+}
+
+/**
+ * Inlines the CSS of the above-the-fold content of a page in its head, and
+ * loads its full stylesheets without blocking rendering.
+ *
+ * @param {string} code - The HTML code of the page
+ * @param {string} outDir - The output directory
+ * @param {Object} allAssets - All assets in the project
+ * @returns {Promise<string>} The HTML code
+ */
+async function inlineCriticalCSS(code, outDir, allAssets) {
+  const stylesheets = new Set();
+  for (const asset of Object.values(allAssets))
+    if (asset.outPathname.endsWith('.css')) stylesheets.add(asset.outPathname);
+
+  const links = findDeferrableStylesheets(code, stylesheets);
+  if (!links.length) return code;
+  const css = await Promise.all(
+    links.map(({ href }) => Bun.file(join(outDir, href)).text()),
+  );
+  const criticalCSS = extractCriticalCSS(code, css.join('\n'));
+  return deferStylesheets(code, links, criticalCSS);
+}
+
+/**
+ * Renders the social card of a page and points its og:image meta tag to
+ * it, as an absolute URL on the host of the page. Items of the page with a
+ * card of their own, such as its projects, get theirs the same way, with
+ * the URL of their anchor.
+ *
+ * @param {string} code - The HTML code of the page
+ * @param {string} srcDir - The source directory
+ * @param {function(string, string, string|ArrayBuffer): Promise<string>}
+ *   emit - Writes a file for the page, given its directory, extension and
+ *   content, and returns its output pathname
+ * @returns {Promise<string>} The HTML code
+ */
+async function addSocialCard(code, srcDir, emit) {
+  const meta = readCardMeta(code);
+  const items = readItemCards(code);
+  if (!meta.image && !items.length) return code;
+
+  const css = await Bun.file(join(srcDir, THEME_COLORS_PATHNAME))
+    .text()
+    .catch(() => '');
+  const colors = readThemeColors(css)[meta.theme] ?? {};
+  const base =
+    URL.parse(meta.url) ??
+    (meta.image &&
+      URL.parse(code.slice(meta.image.start, meta.image.end).trim()));
+
+  const cards = [];
+  if (meta.image) cards.push({ meta, image: meta.image });
+  for (const { id, name, image } of items) {
+    const url = base ? new URL(`#${id}`, base).href : '';
+    cards.push({ meta: { ...meta, title: name, url }, image });
+  }
+
+  // Replace the contents from the end, so that the locations of the
+  // previous ones still hold
+  let result = code;
+  cards.sort((a, b) => b.image.start - a.image.start);
+  for (const card of cards) {
+    const png = await renderCard(createCardSVG(card.meta, colors));
+    const pathname = await emit(CARDS_DIR, '.png', png);
+    const href = base ? new URL(pathname, base).href : pathname;
+    const { start, end } = card.image;
+    result = result.slice(0, start) + href + result.slice(end);
+  }
+  return result;
+}
+
+/**
+ * Emits the web app manifest and the service worker of the site, along
+ * with the PNG icons rendered from its SVG favicon. Sites without a start
+ * page at their root are left as they are.
+ *
+ * The digest of what the files are made of, the favicon, the metadata of
+ * the start page, the version and the precached files, is stored in the
+ * build manifest. While it matches the previous build, the files that
+ * build emitted are kept as they are rather than rendered again.
+ *
+ * @param {import('./plugins.mjs').PostBuildContext} context - The build
+ *   context
+ * @returns {Promise<void>}
+ */
+async function emitWebApp({ outDir, manifest, previous, emit, keep }) {
+  const startPage = Bun.file(join(outDir, 'index.html'));
+  if (!(await startPage.exists())) return;
+
+  const favicon = Object.entries(manifest.assets).find(
+    ([pathname, { outname }]) =>
+      outname && /\/favicon[^/]*\.svg$/.test(pathname),
+  );
+  const src =
+    favicon ? posix.join(posix.dirname(favicon[0]), favicon[1].outname) : '';
+  const pngIcons = ICON_SIZES.map((size) => ({
+    src: posix.join(posix.dirname(src), `favicon-${size}x${size}.png`),
+    sizes: `${size}x${size}`,
+    type: 'image/png',
+  }));
+  const meta = readSiteMeta(await startPage.text());
+  const options = {
+    version: manifest.version,
+    precache: listPrecache(manifest),
+    offlinePages: findOfflinePages(manifest),
+    defaultLanguage: DEFAULT_LANGUAGE,
+  };
+
+  const pathnames = [
+    WEB_MANIFEST_PATHNAME,
+    SERVICE_WORKER_PATHNAME,
+    ...(src ? pngIcons.map((icon) => icon.src) : []),
+  ];
+  const digest = new Bun.CryptoHasher('sha256')
+    .update(
+      JSON.stringify({ src, svg: favicon?.[1].hash, pngIcons, meta, options }),
+    )
+    .digest('hex');
+  manifest.webApp = { digest };
+  const exists = await Promise.all(
+    pathnames.map((pathname) => Bun.file(join(outDir, pathname)).exists()),
+  );
+  if (previous.webApp?.digest === digest && exists.every(Boolean)) {
+    for (const pathname of pathnames) keep(pathname);
+    return;
+  }
+
+  const icons = [];
+  if (src) {
+    const svg = await Bun.file(join(outDir, src)).arrayBuffer();
+    icons.push({ src, sizes: 'any', type: 'image/svg+xml' });
+    for (const [i, size] of ICON_SIZES.entries()) {
+      await emit(pngIcons[i].src, await renderIcon(svg, size));
+      icons.push(pngIcons[i]);
+    }
+  }
+  await emit(WEB_MANIFEST_PATHNAME, createWebManifest(meta, icons));
+  await emit(SERVICE_WORKER_PATHNAME, createServiceWorker(options));
+}
+
+/**
+ * The built-in plugins, in the order their hooks run.
+ *
+ * @type {Array<import('./plugins.mjs').Plugin>}
+ */
+export const BUILTIN_PLUGINS = [
+  // HTML and PHP files are pages, processed for SSI and references
+  {
+    name: 'pages',
+    discover: (pathname) =>
+      /\.(s?html|php)$/.test(pathname) ? 'page' : undefined,
+  },
+  // Apache configs and favicons are built even though no page links them
+  {
+    name: 'special-files',
+    discover: (pathname) =>
+      (
+        /^(\.htaccess|favicon.*\.(?:ico|jpeg|png|svg))$/.test(
+          posix.basename(pathname),
+        )
+      ) ?
+        'asset'
+      : undefined,
+  },
+  // Point the files linked from stylesheets to their hashed output names
+  {
+    name: 'css-urls',
+    test: /\.css$/,
+    transformAsset: ({ pathname, content }, { allAssets }) => ({
+      content: rewriteReferences(
+        content,
+        scanCSS(content, pathname).filter((r) => r.kind === 'url'),
+        (reference) => allAssets[reference.pathname]?.outPathname || null,
+      ),
+    }),
+  },
+  // Strip the rules no page uses
+  {
+    name: 'css-prune',
+    test: /\.css$/,
+    transformAsset: ({ pathname, content }, { pruner }) => {
+      if (!pruner) return;
+      const { code, saved } = pruner.prune(content);
+      console.log(`Pruned ${saved} bytes of unused CSS from ${pathname}`);
+      return { content: code };
+    },
+  },
+  // Minify scripts and stylesheets, unless Bun already did along with their
+  // source maps
+  {
+    name: 'minify',
+    test: /\.(m?js|css)$/,
+    transformAsset: async ({ pathname, content }, context) => {
+      if (!context.profile.minify || context.hasSourcemap) return;
+      const minify = pathname.endsWith('.css') ? minifyCSS : minifyJS;
+      return { content: await minify(content) };
+    },
+  },
+  // Point Apache configs to the .html outputs of .shtml pages, serve
+  // pre-compressed outputs from the root of the site, and keep their name
+  {
+    name: 'htaccess',
+    test: /\.htaccess$/,
+    transformAsset: ({ pathname, content }) => {
+      content = content.replace(/\.shtml/g, '.html');
+      if (pathname === '/.htaccess') content = addCompressionRules(content);
+      return { content, outname: posix.basename(pathname) };
+    },
+  },
+  // Browsers request favicons by their name
+  {
+    name: 'favicons',
+    test: /favicon[^/]*$/,
+    transformAsset: ({ pathname }) => ({ outname: posix.basename(pathname) }),
+  },
+  // Link pages to their translations
+  {
+    name: 'alternates',
+    transformPage: ({ code, alternates = [] }) => ({
+      code: addAlternateLinks(code, alternates),
+    }),
+  },
+  // Give every page a card of its own in link previews, rather than the
+  // image the whole site shares
+  {
+    name: 'social-cards',
+    transformPage: async ({ outPathname, code }, { srcDir, emit }) => {
+      if (!outPathname.endsWith('.html')) return;
+      return { code: await addSocialCard(code, srcDir, emit) };
+    },
+  },
+  {
+    name: 'pictures',
+    transformPage: ({ code }, { allAssets }) => ({
+      code: renderPictures(code, allAssets),
+    }),
+  },
+  {
+    name: 'modulepreload',
+    transformPage: ({ code, outPathname }, { allAssets }) => ({
+      code: addModulePreloads(code, outPathname, allAssets),
+    }),
+  },
+  {
+    name: 'critical-css',
+    transformPage: async ({ code }, { outDir, allAssets }) => ({
+      code: await inlineCriticalCSS(code, outDir, allAssets),
+    }),
+  },
+  // Let browsers verify the scripts, stylesheets and chunks pages load
+  {
+    name: 'integrity',
+    transformPage: ({ code }, { allAssets }) => {
+      const integrities = {};
+      for (const asset of Object.values(allAssets)) {
+        if (asset.integrity) integrities[asset.outPathname] = asset.integrity;
+        for (const chunk of asset.chunks)
+          integrities[chunk.outPathname] = chunk.integrity;
+      }
+      return { code: addIntegrity(code, (pathname) => integrities[pathname]) };
+    },
+  },
+  // Check pages as served, before they are minified so that issues point to
+  // their line, and fail their build on errors. Issues are located in the
+  // source file they come from, the page, one of its includes or its
+  // layout, or else in the page as built
+  {
+    name: 'validate',
+    transformPage: async ({ pathname, outPathname, code }, context) => {
+      // PHP pages output the rest of their markup at runtime
+      if (!outPathname.endsWith('.html')) return;
+      const { srcDir, allPages, allAssets, emitted = [], report } = context;
+      const outputs = new Set([
+        ...[
+          ...Object.values(allPages).filter((page) => !page.isPrivateFile),
+          ...Object.values(allAssets),
+        ].flatMap((node) => node.outPathnames),
+        ...emitted,
+      ]);
+      const issues = validatePage(code, outPathname, (p) => outputs.has(p));
+      const lines = code.split('\n');
+      const located = await Promise.all(
+        issues.map(async (issue) => ({
+          ...issue,
+          ...((await allPages[pathname]?.locateLine(
+            srcDir,
+            allPages,
+            lines[issue.line - 1] ?? '',
+          )) ?? { pathname: outPathname }),
+        })),
+      );
+      report?.addIssues(pathname, located);
+      const errors = issues.filter(({ severity }) => severity === 'error');
+      if (errors.length)
+        throw new Error(`Found ${errors.length} validation error(s)`);
+    },
+  },
+  // Minify pages and strip their comments as the profile requires
+  {
+    name: 'minify-html',
+    transformPage: async ({ code }, { profile }) => {
+      if (!profile.minify && !profile.removeComments) return;
+      return { code: await minifyPage(code, profile) };
+    },
+  },
+  // Make the site installable, and usable offline once visited
+  {
+    name: 'pwa',
+    emits: [WEB_MANIFEST_PATHNAME, SERVICE_WORKER_PATHNAME],
+    postBuild: emitWebApp,
+  },
+];
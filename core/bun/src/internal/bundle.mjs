@@ -13,55 +13,60 @@
  * Apache License
  */
 
-import { basename, dirname, extname, join, relative } from 'node:path';
+import {
+  basename,
+  dirname,
+  extname,
+  join,
+  posix,
+  relative,
+  resolve,
+} from 'node:path';
 import { exists, mkdir, readdir, rmdir, stat } from 'node:fs/promises';
-import * as esbuild from 'esbuild';
-import { minify as minifyHTML } from 'html-minifier-terser';
+import { checkBudgets, formatTrend, measurePages } from './budgets.mjs';
+import { BUILTIN_PLUGINS, REGEX_MODULE } from './builtins.mjs';
+import { DATA_DIR, generateCollections } from './collections.mjs';
+import { writeCompressed } from './compress.mjs';
+import { DependencyGraph } from './graph.mjs';
+import { REGEX_RASTER_IMAGE, createVariants } from './images.mjs';
+import { DEFAULT_LAYOUT, parseFrontMatter, renderLayout } from './layouts.mjs';
+import { minifyJS } from './minify.mjs';
+import { PluginHost } from './plugins.mjs';
+import { runPool } from './pool.mjs';
+import { PROFILES } from './profiles.mjs';
+import { CSSPruner } from './prune.mjs';
+import {
+  resolveURL,
+  rewriteReferences,
+  scanCSS,
+  scanHTML,
+  scanJS,
+} from './references.mjs';
+import { BuildReport, formatSize } from './report.mjs';
+import {
+  buildCSP,
+  collectCSPSources,
+  createCSPSnippet,
+  integrity,
+  setCSPHeader,
+} from './security.mjs';
+import {
+  createRobots,
+  createSitemap,
+  findAlternates,
+  readPageMeta,
+} from './sitemap.mjs';
+import { checkTranslations } from './translations.mjs';
 import { Version } from './version.mjs';
 
-// Regular expression to match all asset tags in HTML content.
-// Captures image tags, stylesheets, scripts, ES module imports,
-// SSI include tags, and Open Graph image meta tags.
-const REGEX_ALL_TAGS = new RegExp(
-  [
-    `<img\\s+[^>]*src=["'](\\/[^"']+\\.(?:ico|jpeg|png|svg))["'][^>]*>`,
-    `<link\\s+[^>]*rel=["']stylesheet["'][^>]*href=["'](\\/[^"']+\\.css)["'][^>]*>`,
-    `<script\\s+[^>]*src=["'](\\/[^"']+\\.(?:m?js))["'][^>]*><\\/script>`,
-    `import\\s+[^'"]+\\s+from\\s+['"](\\/[^'"]+\\.mjs)['"]`,
-    `<!--#include\\s+virtual=["']([^"']+)["']\\s*-->`,
-    `<meta\\s+[^>]*property=["']og:image["'][^>]*content=["'](?:https?:\\/\\/)[^"']*?(\\/[^"']+\\.(?:ico|jpeg|png|svg))["'][^>]*>`,
-  ].join('|'),
-  'gi',
-);
+// Version of the bundler, stored in the manifest. Bump it whenever a change
+// to the bundler changes its output, so that the next build rebuilds
+// everything rather than reusing outputs of the previous version.
+const BUNDLER_VERSION = 1;
 
-/**
- * Minifies JavaScript code using esbuild.
- *
- * @param {string} input - The JavaScript code to minify
- * @returns {Promise<string>} The minified JavaScript code
- */
-async function minifyJS(input) {
-  const { code } = await esbuild.transform(input, {
-    loader: 'js',
-    minify: true,
-    target: 'esnext',
-  });
-  return code;
-}
-
-/**
- * Minifies CSS code using esbuild.
- *
- * @param {string} input - The CSS code to minify
- * @returns {Promise<string>} The minified CSS code
- */
-async function minifyCSS(input) {
-  const { code } = await esbuild.transform(input, {
-    loader: 'css',
-    minify: true,
-  });
-  return code;
-}
+// Path of the nginx configuration snippet holding the content security
+// policy, relative to the output directory.
+const CSP_SNIPPET_PATH = join('nginx', 'csp.conf');
 
 /**
  * Converts Windows-style path to POSIX-style path.
@@ -88,6 +93,269 @@ export function hash(content) {
     .slice(0, 8);
 }
 
+/**
+ * Generates the full SHA256 digest of a source file content, stored in the
+ * manifest to tell whether the file changed regardless of its modification
+ * time.
+ *
+ * @param {string|ArrayBuffer} content - The content to hash
+ * @returns {string} The hex-encoded SHA256 digest
+ */
+function contentHash(content) {
+  return new Bun.CryptoHasher('sha256').update(content).digest('hex');
+}
+
+/**
+ * Creates a Bun plugin making the url() references of every bundled
+ * stylesheet absolute. Bundling inlines imported stylesheets in the entry
+ * file, which would otherwise break the URLs relative to the imported files.
+ *
+ * @param {string} srcDir - The source directory
+ * @returns {import('bun').BunPlugin} The plugin
+ */
+function absoluteURLsPlugin(srcDir) {
+  return {
+    name: 'absolute-urls',
+    setup(build) {
+      build.onLoad({ filter: /\.css$/ }, async ({ path }) => {
+        const pathname = `/${posixPath(relative(srcDir, path))}`;
+        const code = await Bun.file(path).text();
+        const references = scanCSS(code, pathname).filter(
+          (r) => r.kind === 'url',
+        );
+        return {
+          contents: rewriteReferences(code, references, (r) => r.pathname),
+          loader: 'css',
+        };
+      });
+    },
+  };
+}
+
+/**
+ * Rewrites the sources of a source map emitted by Bun, which are relative to
+ * the working directory, to their pathnames so browsers show the original
+ * tree.
+ *
+ * @param {string} srcDir - The source directory
+ * @param {import('bun').BuildArtifact} sourcemap - The source map artifact
+ * @returns {Promise<string>} The source map JSON
+ */
+async function rewriteSourcemap(srcDir, sourcemap) {
+  const map = JSON.parse(await sourcemap.text());
+  map.sources = map.sources.map(
+    (source) => `/${posixPath(relative(srcDir, resolve(source)))}`,
+  );
+  return JSON.stringify(map);
+}
+
+/**
+ * @typedef {Object} Chunk
+ * @property {string} outPathname - The output pathname of the chunk
+ * @property {string} map - The source map filename, if any
+ * @property {Array<string>} compressed - The pre-compressed output filenames
+ * @property {string} integrity - The Subresource Integrity digest
+ * @property {boolean} preload - Whether the chunk is statically imported,
+ *   so that pages loading the entrypoint can preload it
+ */
+
+/**
+ * Creates a regular expression matching the lines of a page that a line of
+ * one of its source files renders to: the same text once trimmed, where
+ * template variables match any text. Loose patterns leave quoted values
+ * out, since references are rewritten to their outputs.
+ *
+ * @param {string} line - The line of the source file
+ * @param {boolean} loose - Whether quoted values are left out
+ * @returns {RegExp|null} The regular expression, or null if the line has no
+ *   text of its own to match
+ */
+function sourceLinePattern(line, loose) {
+  let text = line.trim();
+  if (loose) text = text.replace(/"[^"]*"/g, '""');
+  const parts = text.split(/\{\{\{?[^}]*\}\}\}?/);
+  if (!parts.join('').trim()) return null;
+  const escaped = parts.map((part) =>
+    part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+  );
+  return new RegExp(`^${escaped.join('.*?')}$`);
+}
+
+/**
+ * Bundles the ES module entrypoints of pages in a single pass with code
+ * splitting. Modules shared by several entrypoints are written once, as
+ * hash-named chunks imported by the entrypoints, instead of being inlined
+ * into each of them.
+ */
+class ModuleBundle {
+  #pathnames = []; // Pathnames of the module entrypoints
+  #building = null; // Pending build, shared with every entrypoint
+
+  /**
+   * Creates a new ModuleBundle instance.
+   *
+   * @param {Array<string>} pathnames - The pathnames of the entrypoints
+   */
+  constructor(pathnames) {
+    this.#pathnames = pathnames;
+  }
+
+  /**
+   * Builds every entrypoint and writes their chunks. The build is memoized
+   * so that it runs once, whichever entrypoint is built first.
+   *
+   * @param {string} srcDir - The source directory
+   * @param {string} outDir - The output directory
+   * @param {import('./profiles.mjs').BuildProfile} profile - The build profile
+   * @returns {Promise<Map<string, {artifact: import('bun').BuildArtifact,
+   *   sourcemap: import('bun').BuildArtifact|undefined,
+   *   chunks: Array<Chunk>}>>} The entrypoint artifacts, their source maps
+   *   and the chunks they import, by entrypoint pathname
+   */
+  build(srcDir, outDir, profile) {
+    this.#building ??= this.#build(srcDir, outDir, profile);
+    return this.#building;
+  }
+
+  /**
+   * Builds the entrypoints without memoization.
+   *
+   * @param {string} srcDir - The source directory
+   * @param {string} outDir - The output directory
+   * @param {import('./profiles.mjs').BuildProfile} profile - The build profile
+   * @returns {Promise<Map<string, Object>>} The entrypoints, by pathname
+   */
+  async #build(srcDir, outDir, profile) {
+    // Scripts with a source map are minified by Bun, as in Asset
+    const hasSourcemap = profile.sourcemap !== 'none';
+    const ext = profile.minify ? '.min' : '';
+
+    // Chunks are named by Bun after their content, in a directory next to
+    // the entrypoints; entrypoints keep their name until hashed by Asset
+    const dirs = this.#pathnames.map((pathname) => posix.dirname(pathname));
+    let chunkDir = dirs[0];
+    while (dirs.some((dir) => posix.relative(chunkDir, dir).startsWith('..')))
+      chunkDir = posix.dirname(chunkDir);
+    const result = await Bun.build({
+      entrypoints: this.#pathnames.map((pathname) => join(srcDir, pathname)),
+      root: srcDir,
+      sourcemap: hasSourcemap ? 'external' : 'none',
+      target: 'browser',
+      minify: hasSourcemap && profile.minify,
+      splitting: true,
+      naming: {
+        entry: '[dir]/[name].[ext]',
+        chunk: posix.join(chunkDir, 'chunks', `[hash]${ext}.[ext]`).slice(1),
+      },
+      plugins: [absoluteURLsPlugin(srcDir)],
+    });
+
+    // Bun does not pair split outputs with their source maps reliably,
+    // find them by filename instead
+    const outPathnameOf = (artifact) => posix.join('/', artifact.path);
+    const sourcemaps = new Map(
+      result.outputs
+        .filter((artifact) => artifact.kind === 'sourcemap')
+        .map((artifact) => [outPathnameOf(artifact), artifact]),
+    );
+
+    const imports = new Map();
+    const chunks = new Map();
+    const entries = new Map();
+    for (const artifact of result.outputs) {
+      if (artifact.kind === 'sourcemap') continue;
+      const outPathname = outPathnameOf(artifact);
+      const sourcemap = sourcemaps.get(`${outPathname}.map`);
+      const code = await artifact.text();
+
+      // Link outputs to the chunks they import, statically or not
+      const transpiler = new Bun.Transpiler({ loader: 'js' });
+      imports.set(
+        outPathname,
+        transpiler.scanImports(code).map(({ path, kind }) => ({
+          pathname: resolveURL(path, outPathname)?.pathname,
+          isStatic: kind === 'import-statement',
+        })),
+      );
+
+      if (artifact.kind === 'chunk') {
+        const chunk = { outPathname, map: '', compressed: [], integrity: '' };
+        await writeChunk(srcDir, outDir, chunk, code, sourcemap, profile);
+        chunks.set(outPathname, chunk);
+      } else {
+        const pathname = this.#pathnames.find(
+          (pathname) =>
+            pathname.slice(0, -extname(pathname).length) ===
+            outPathname.slice(0, -extname(outPathname).length),
+        );
+        entries.set(pathname, { artifact, sourcemap, outPathname });
+      }
+    }
+
+    /**
+     * Collects the chunks imported by an output, directly or through other
+     * chunks, preloading only those reached through static imports.
+     *
+     * @param {string} outPathname - The output pathname
+     * @param {boolean} preload - Whether the output is statically imported
+     * @param {Map<string, Chunk>} [found=new Map()] - The chunks found so far
+     * @returns {Map<string, Chunk>} The imported chunks, by output pathname
+     */
+    function collectChunks(outPathname, preload, found = new Map()) {
+      for (const { pathname, isStatic } of imports.get(outPathname) ?? []) {
+        const chunk = chunks.get(pathname);
+        const isPreloaded = preload && isStatic;
+        // Revisit chunks first reached through a dynamic import
+        if (!chunk || (found.has(pathname) && !isPreloaded)) continue;
+        if (found.get(pathname)?.preload) continue;
+        found.set(pathname, { ...chunk, preload: isPreloaded });
+        collectChunks(pathname, isPreloaded, found);
+      }
+      return found;
+    }
+
+    return new Map(
+      [...entries].map(([pathname, { outPathname, ...entry }]) => [
+        pathname,
+        { ...entry, chunks: [...collectChunks(outPathname, true).values()] },
+      ]),
+    );
+  }
+}
+
+/**
+ * Writes a chunk split from ES module entrypoints, with its source map and
+ * pre-compressed siblings, and fills in the chunk description.
+ *
+ * @param {string} srcDir - The source directory
+ * @param {string} outDir - The output directory
+ * @param {Chunk} chunk - The chunk to complete
+ * @param {string} code - The code of the chunk
+ * @param {import('bun').BuildArtifact|undefined} sourcemap - The source map
+ *   artifact of the chunk, if any
+ * @param {import('./profiles.mjs').BuildProfile} profile - The build profile
+ * @returns {Promise<void>}
+ */
+async function writeChunk(srcDir, outDir, chunk, code, sourcemap, profile) {
+  const outPath = join(outDir, chunk.outPathname);
+  if (!sourcemap && profile.minify) code = await minifyJS(code);
+
+  if (sourcemap) {
+    const json = await rewriteSourcemap(srcDir, sourcemap);
+    chunk.map = `${basename(chunk.outPathname)}.map`;
+    await Bun.write(`${outPath}.map`, json);
+    for (const ext of await writeCompressed(`${outPath}.map`, json))
+      chunk.compressed.push(chunk.map + ext);
+    if (profile.sourcemap === 'linked')
+      code = `${code.trimEnd()}\n//# sourceMappingURL=${chunk.map}\n`;
+  }
+
+  await Bun.write(outPath, code);
+  for (const ext of await writeCompressed(outPath, code))
+    chunk.compressed.push(basename(chunk.outPathname) + ext);
+  chunk.integrity = integrity(code);
+}
+
 /**
  * Represents an asset file with build capabilities and change tracking.
  * Handles asset processing, minification, hashing, and output generation.
@@ -95,20 +363,75 @@ export function hash(content) {
 class Asset {
   #pathname = ''; // Original asset path
   #mtime = 0; // Last modification time
+  #hash = ''; // SHA256 digest of the source file content
   #hasChange = false; // Whether asset has changed since last build
   #outname = ''; // Generated output filename
   #outPathname = ''; // Full output path
+  #mapOutname = ''; // Generated source map filename, if any
+  #compressed = []; // Filenames of the pre-compressed outputs
+  #integrity = ''; // Subresource Integrity digest of scripts and stylesheets
+  #exists = true; // Whether the source file exists
+  #imports = []; // Pathnames of the files bundled into this asset
+  #chunks = []; // Chunks of shared modules imported by this entrypoint
+  #modules = null; // Bundle building this asset as an ES module entrypoint
+  #pruner = null; // Pruner of the rules no page uses, for stylesheets
+  #references = []; // Pathnames of the files this asset links to (CSS url())
+  #image = null; // Intrinsic size and variants of a responsive raster image
+  #isResponsive = false; // Whether pages display the image in <img> tags
+  #building = null; // Pending build, shared with every asset referencing it
+  #plugins = null; // Plugins transforming the content of the asset
 
   /**
    * Creates a new Asset instance.
    *
    * @param {string} pathname - The pathname of the asset
-   * @param {number} [mtime=0] - The modification time of the asset
-   * @param {string} [outname=""] - The output filename
+   * @param {Object} [config={}] - The asset configuration of the previous
+   *   build, as returned by getConfig()
+   * @param {number} [config.mtime=0] - The modification time of the asset
+   * @param {string} [config.hash=""] - The digest of the asset content
+   * @param {string} [config.outname=""] - The output filename
+   * @param {string} [config.map=""] - The source map filename
+   * @param {Array<string>} [config.compressed=[]] - The pre-compressed output
+   *   filenames
+   * @param {string} [config.integrity=""] - The Subresource Integrity digest
+   * @param {Array<string>} [config.imports=[]] - The files bundled into the
+   *   asset
+   * @param {Array<Chunk>} [config.chunks=[]] - The chunks imported by the
+   *   asset
+   * @param {Array<string>} [config.references=[]] - The files the asset links
+   *   to
+   * @param {Object|null} [config.image=null] - The size and variants of the
+   *   image
+   * @param {PluginHost} [plugins] - The plugins of the build, the built-in
+   *   ones by default
    */
-  constructor(pathname, mtime = 0, outname = '') {
+  constructor(
+    pathname,
+    {
+      mtime = 0,
+      hash = '',
+      outname = '',
+      map = '',
+      compressed = [],
+      integrity = '',
+      imports = [],
+      chunks = [],
+      references = [],
+      image = null,
+    } = {},
+    plugins = new PluginHost(BUILTIN_PLUGINS),
+  ) {
     this.#pathname = pathname;
+    this.#plugins = plugins;
     this.#mtime = mtime;
+    this.#hash = hash;
+    this.#mapOutname = map;
+    this.#compressed = compressed;
+    this.#integrity = integrity;
+    this.#imports = imports;
+    this.#chunks = chunks;
+    this.#references = references;
+    this.#image = image;
     this.#setOutname(outname);
   }
 
@@ -130,6 +453,43 @@ class Asset {
     return this.#hasChange;
   }
 
+  /**
+   * Checks if the source file of the asset exists.
+   *
+   * @returns {boolean} True if the source file exists
+   */
+  get exists() {
+    return this.#exists;
+  }
+
+  /**
+   * Gets the files bundled into the asset (ES modules or CSS imports).
+   *
+   * @returns {Array<string>} The imported pathnames
+   */
+  get imports() {
+    return this.#imports;
+  }
+
+  /**
+   * Gets the chunks of shared modules imported by the asset, for ES module
+   * entrypoints.
+   *
+   * @returns {Array<Chunk>} The imported chunks
+   */
+  get chunks() {
+    return this.#chunks;
+  }
+
+  /**
+   * Gets the files the asset links to, which are built as separate assets.
+   *
+   * @returns {Array<string>} The referenced pathnames
+   */
+  get references() {
+    return this.#references;
+  }
+
   /**
    * Gets the output pathname of the asset.
    *
@@ -139,6 +499,99 @@ class Asset {
     return this.#outPathname;
   }
 
+  /**
+   * Gets the Subresource Integrity digest of the asset output, for scripts
+   * and stylesheets.
+   *
+   * @returns {string} The digest, empty for other files
+   */
+  get integrity() {
+    return this.#integrity;
+  }
+
+  /**
+   * Gets every output pathname of the asset: its output file, source map,
+   * pre-compressed siblings, imported chunks and image variants.
+   *
+   * @returns {Array<string>} The output pathnames, empty if never built
+   */
+  get outPathnames() {
+    if (!this.#outPathname) return [];
+    const dir = dirname(this.#pathname);
+    const outnames = [this.#mapOutname, ...this.#compressed].filter(Boolean);
+    const chunkOutPathnames = this.#chunks.flatMap(
+      ({ outPathname, map, compressed }) => [
+        outPathname,
+        ...[map, ...compressed]
+          .filter(Boolean)
+          .map((outname) => posix.join(posix.dirname(outPathname), outname)),
+      ],
+    );
+    return [
+      this.#outPathname,
+      ...outnames.map((outname) => posixPath(join(dir, outname))),
+      ...chunkOutPathnames,
+      ...(this.image?.variants ?? []).map(({ outPathname }) => outPathname),
+    ];
+  }
+
+  /**
+   * Gets the responsive image built from the asset, if pages display it.
+   *
+   * @returns {import('./images.mjs').ResponsiveImage|null} The image and the
+   *   output pathnames of its variants, or null
+   */
+  get image() {
+    if (!this.#isResponsive || !this.#image) return null;
+    const dir = dirname(this.#pathname);
+    return {
+      src: this.#outPathname,
+      format: this.#image.format,
+      width: this.#image.width,
+      height: this.#image.height,
+      variants: this.#image.variants.map(({ outname, format, width }) => ({
+        outPathname: posixPath(join(dir, outname)),
+        format,
+        width,
+      })),
+    };
+  }
+
+  /**
+   * Marks the asset as changed because one of its imports has changed.
+   */
+  invalidate() {
+    this.#hasChange = true;
+  }
+
+  /**
+   * Requests resized variants and modern formats of the asset, for raster
+   * images displayed by pages.
+   */
+  enableVariants() {
+    if (REGEX_RASTER_IMAGE.test(this.#pathname)) this.#isResponsive = true;
+  }
+
+  /**
+   * Builds the asset as one of the ES module entrypoints of a bundle, which
+   * share their chunks.
+   *
+   * @param {ModuleBundle} modules - The bundle of the entrypoints
+   */
+  setModuleBundle(modules) {
+    this.#modules = modules;
+  }
+
+  /**
+   * Strips the rules no page uses from the stylesheet before hashing it.
+   *
+   * @param {import('./prune.mjs').CSSPruner} pruner - The pruner of the
+   *   unused rules
+   */
+  setPruner(pruner) {
+    this.#pruner = pruner;
+  }
+
   /**
    * Sets the output filename and pathname.
    * Combines the original directory with the new filename to create full path.
@@ -152,103 +605,307 @@ class Asset {
   }
 
   /**
-   * Builds the asset, processing and writing it to the output directory.
-   * Handles minification, hashing, and cache-busting filename generation.
+   * Checks the asset for changes and extracts its dependencies.
+   * Files whose modification time differs from the last build are hashed,
+   * and only count as changed if their content did, so that checkouts and
+   * copies of the tree do not rebuild everything. Dependencies are only
+   * rescanned when the file has changed.
    *
    * @param {string} srcDir - The source directory
-   * @param {string} outDir - The output directory
    * @returns {Promise<void>}
    */
-  async build(srcDir, outDir) {
+  async populate(srcDir) {
     const src = join(srcDir, this.#pathname);
 
     // Check if file exists and has been modified since last build
+    let stats;
     try {
-      const stats = await stat(src);
-      if (this.#mtime >= stats.mtimeMs) return;
-      this.#mtime = stats.mtimeMs;
-      this.#hasChange = true;
+      stats = await stat(src);
     } catch (error) {
       // File doesn't exist, skip processing
-      if (error.code === 'ENOENT') return;
+      if (error.code === 'ENOENT') {
+        this.#exists = false;
+        return;
+      }
       throw error;
     }
+    if (this.#mtime === stats.mtimeMs && this.#hash) return;
+    const content = await Bun.file(src).arrayBuffer();
+    const digest = contentHash(content);
+    this.#mtime = stats.mtimeMs;
+    if (this.#hash === digest) return;
+    this.#hash = digest;
+    this.#hasChange = true;
 
-    // Skip HTML and PHP files - they're handled by PageBuilder
-    if (/\.(s?html|php)$/.test(src)) return;
+    // Track imported and referenced files so their changes invalidate this
+    if (!/\.(m?js|css)$/.test(src)) return;
+    const code = new TextDecoder().decode(content);
+    const references =
+      src.endsWith('.css') ?
+        scanCSS(code, this.#pathname)
+      : scanJS(code, this.#pathname);
+
+    const pathnamesOf = (kind) => [
+      ...new Set(
+        references.filter((r) => r.kind === kind).map((r) => r.pathname),
+      ),
+    ];
+    this.#imports = pathnamesOf('import');
+    this.#references = pathnamesOf('url');
+  }
+
+  /**
+   * Collects the files linked to by the asset and by every file bundled
+   * into it.
+   *
+   * @param {Object} allAssets - All assets in the project
+   * @param {Set<string>} [visited=new Set()] - The assets already visited
+   * @returns {Set<string>} The referenced pathnames
+   */
+  #collectReferences(allAssets, visited = new Set()) {
+    const references = new Set(this.#references);
+    visited.add(this.#pathname);
+    for (const pathname of this.#imports) {
+      if (visited.has(pathname) || !allAssets[pathname]) continue;
+      for (const reference of allAssets[pathname].#collectReferences(
+        allAssets,
+        visited,
+      ))
+        references.add(reference);
+    }
+    return references;
+  }
+
+  /**
+   * Builds the asset, processing and writing it to the output directory.
+   * The build is memoized so that assets referenced from stylesheets are
+   * built once, before the stylesheets pointing to their hashed names.
+   *
+   * @param {string} srcDir - The source directory
+   * @param {string} outDir - The output directory
+   * @param {Object} allAssets - All assets in the project
+   * @param {import('./profiles.mjs').BuildProfile} profile - The build profile
+   * @returns {Promise<boolean>} True if the asset was rebuilt
+   */
+  build(srcDir, outDir, allAssets, profile) {
+    this.#building ??= this.#build(srcDir, outDir, allAssets, profile);
+    return this.#building;
+  }
+
+  /**
+   * Builds the asset without memoization.
+   * Handles minification, hashing, and cache-busting filename generation.
+   *
+   * @param {string} srcDir - The source directory
+   * @param {string} outDir - The output directory
+   * @param {Object} allAssets - All assets in the project
+   * @param {import('./profiles.mjs').BuildProfile} profile - The build profile
+   * @returns {Promise<boolean>} True if the asset was rebuilt
+   */
+  async #build(srcDir, outDir, allAssets, profile) {
+    const src = join(srcDir, this.#pathname);
+
+    // Skip unchanged assets whose previous output is still there
+    if (!this.#exists) return false;
+    if (
+      !this.#hasChange &&
+      this.#outPathname &&
+      (!this.#isResponsive || this.#image) &&
+      (this.#integrity || !/\.(m?js|css)$/.test(src)) &&
+      (await exists(join(outDir, this.#outPathname)))
+    )
+      return false;
 
     let content;
-    let outname;
+    let outname = null;
+    this.#compressed = [];
+    this.#integrity = '';
+    const context = {
+      srcDir,
+      outDir,
+      profile,
+      allAssets,
+      pruner: this.#pruner,
+    };
 
     // Process JavaScript and CSS files with bundling and minification
     if (/\.(m?js|css)$/.test(src)) {
-      // Use Bun's bundler to process the file
-      const result = await Bun.build({
-        entrypoints: [src],
-        naming: '[dir]/[hash].min.[ext]',
-        root: srcDir,
-        sourcemap: 'none',
-        target: 'browser',
-        minify: false,
-        splitting: false,
-      });
-
-      const artifact = result.outputs[0];
-      content = await artifact.text();
-
-      // Apply additional minification using esbuild
-      try {
-        if (src.endsWith('.css')) content = await minifyCSS(content);
-        else content = await minifyJS(content);
-      } catch (error) {
-        console.error('Error minifying:', src);
-        throw error;
+      // Files linked from stylesheets need their hashed names first. They
+      // are built one at a time, as this asset already holds a job of the
+      // pool that builds assets
+      const references = [...this.#collectReferences(allAssets)];
+      for (const pathname of references)
+        await allAssets[pathname]?.build(srcDir, outDir, allAssets, profile);
+
+      // Bun only emits source maps for scripts, and esbuild could not carry
+      // them over, so scripts with a source map are minified by Bun instead
+      const hasSourcemap =
+        !src.endsWith('.css') && profile.sourcemap !== 'none';
+
+      // Use Bun's bundler to process the file, or the bundle of every ES
+      // module entrypoint to share their chunks
+      let artifact;
+      let sourcemap;
+      this.#chunks = [];
+      if (this.#modules) {
+        const entries = await this.#modules.build(srcDir, outDir, profile);
+        ({
+          artifact,
+          sourcemap,
+          chunks: this.#chunks,
+        } = entries.get(this.#pathname));
+      } else {
+        const result = await Bun.build({
+          entrypoints: [src],
+          root: srcDir,
+          sourcemap: hasSourcemap ? 'external' : 'none',
+          target: 'browser',
+          minify: hasSourcemap && profile.minify,
+          splitting: false,
+          external: references,
+          plugins: [absoluteURLsPlugin(srcDir)],
+        });
+        artifact = result.outputs[0];
+        sourcemap = artifact.sourcemap;
       }
 
-      outname = basename(artifact.path);
+      // Rewrite, prune and minify the code through the plugins
+      const file = await this.#plugins.transformAsset(
+        { pathname: this.#pathname, content: await artifact.text(), outname },
+        { ...context, hasSourcemap },
+      );
+      content = file.content;
+
+      const ext = (profile.minify ? '.min' : '') + extname(artifact.path);
+      this.#mapOutname = '';
+      if (hasSourcemap)
+        content = await this.#writeSourcemap(
+          srcDir,
+          outDir,
+          sourcemap,
+          content,
+          ext,
+          profile.sourcemap === 'linked',
+        );
+
+      outname = file.outname ?? `${hash(content)}${ext}`;
+      this.#integrity = integrity(content);
     } else {
-      // Handle other file types (images, configs, etc.)
-      if (/\.(ico|jpeg|png|svg)$/.test(src))
-        content = await Bun.file(src).arrayBuffer(); // Binary files
-      else content = await Bun.file(src).text(); // Text files
-
-      // Special handling for Apache config and favicon files
-      if (/(\.htaccess|favicon.*)$/.test(src)) {
-        // Convert .shtml extensions to .html in Apache config
-        if (src.endsWith('.htaccess'))
-          content = content.replace(/\.shtml/g, '.html');
-        outname = basename(src); // Keep original filename
-      } else {
-        // Generate hash-based filename for cache-busting
-        outname = hash(content) + extname(src);
-      }
+      // Handle other file types (images, fonts, configs, etc.)
+      if (src.endsWith('.htaccess'))
+        content = await Bun.file(src).text(); // Text files
+      else content = await Bun.file(src).arrayBuffer(); // Binary files
+
+      // Transform the content through the plugins, which may keep the
+      // original filename, otherwise hash-based for cache-busting
+      const file = await this.#plugins.transformAsset(
+        { pathname: this.#pathname, content, outname },
+        { ...context, hasSourcemap: false },
+      );
+      content = file.content;
+      outname = file.outname ?? hash(content) + extname(src);
+
+      // Resize and re-encode images displayed by pages
+      if (this.#isResponsive) await this.#writeVariants(content, outDir);
     }
 
-    // Update output filename and write to disk
+    // Update output filename and write to disk, with compressed siblings
     this.#setOutname(outname);
-    await Bun.write(join(outDir, this.#outPathname), content);
+    const outPath = join(outDir, this.#outPathname);
+    await Bun.write(outPath, content);
+    for (const ext of await writeCompressed(outPath, content))
+      this.#compressed.push(outname + ext);
+    return true;
+  }
+
+  /**
+   * Writes the source map of a script next to its output file, under a
+   * hash-based filename.
+   *
+   * @param {string} srcDir - The source directory
+   * @param {string} outDir - The output directory
+   * @param {import('bun').BuildArtifact} sourcemap - The source map artifact
+   * @param {string} content - The script code
+   * @param {string} ext - The extension of the script output file
+   * @param {boolean} isLinked - Whether the script links to its source map
+   * @returns {Promise<string>} The script code, linking to its source map
+   *   if requested
+   */
+  async #writeSourcemap(srcDir, outDir, sourcemap, content, ext, isLinked) {
+    const json = await rewriteSourcemap(srcDir, sourcemap);
+    this.#mapOutname = `${hash(json)}${ext}.map`;
+    const mapPath = join(outDir, dirname(this.#pathname), this.#mapOutname);
+    await Bun.write(mapPath, json);
+    for (const ext_ of await writeCompressed(mapPath, json))
+      this.#compressed.push(this.#mapOutname + ext_);
+
+    if (!isLinked) return content;
+    return `${content.trimEnd()}\n//# sourceMappingURL=${this.#mapOutname}\n`;
+  }
+
+  /**
+   * Writes the resized variants of the image next to its output file, under
+   * hash-based filenames.
+   *
+   * @param {ArrayBuffer} content - The content of the image
+   * @param {string} outDir - The output directory
+   * @returns {Promise<void>}
+   */
+  async #writeVariants(content, outDir) {
+    const { format, width, height, variants } = await createVariants(content);
+    const dir = dirname(this.#pathname);
+
+    this.#image = { format, width, height, variants: [] };
+    for (const variant of variants) {
+      const outname = `${hash(variant.content)}.${variant.format}`;
+      await Bun.write(join(outDir, dir, outname), variant.content);
+      this.#image.variants.push({
+        outname,
+        format: variant.format,
+        width: variant.width,
+      });
+    }
   }
 
   /**
    * Gets the configuration object for the asset.
    * Used for manifest generation and build state tracking.
    *
-   * @returns {{mtime: number, outname: string}} The asset configuration:
+   * @returns {{mtime: number, hash: string, outname: string, map: string,
+   *   compressed: Array<string>, integrity: string, imports: Array<string>,
+   *   chunks: Array<Chunk>, references: Array<string>, image: Object|null}}
+   *   The asset configuration:
    *   - mtime: The modification time
+   *   - hash: The digest of the source file content
    *   - outname: The output filename
+   *   - map: The source map filename
+   *   - compressed: The pre-compressed output filenames
+   *   - integrity: The Subresource Integrity digest
+   *   - imports: The bundled pathnames
+   *   - chunks: The imported chunks
+   *   - references: The linked pathnames
+   *   - image: The size and variants of a responsive image
    */
   getConfig() {
     return {
       mtime: this.#mtime,
+      hash: this.#hash,
       outname: this.#outname,
+      map: this.#mapOutname,
+      compressed: this.#compressed,
+      integrity: this.#integrity,
+      imports: this.#imports,
+      chunks: this.#chunks,
+      references: this.#references,
+      image: this.#isResponsive ? this.#image : null,
     };
   }
 }
 
 /**
  * Represents a page file with build capabilities and asset dependency tracking.
- * Handles HTML/PHP processing, SSI includes, asset reference updates, and
- * minification.
+ * Handles HTML/PHP processing, layouts, SSI includes, asset reference updates,
+ * and minification.
  */
 class PageBuilder {
   #code = ''; // Page HTML content
@@ -256,20 +913,58 @@ class PageBuilder {
 
   #pathname = ''; // Original page path
   #mtime = 0; // Last modification time
+  #hash = ''; // SHA256 digest of the source file content
   #hasChange = false; // Whether page has changed since last build
   #outPathname = ''; // Output path (converts .shtml to .html)
+  #compressed = []; // Extensions of the pre-compressed outputs
+  #cspSources = {}; // Sources of inline scripts and styles, by CSP directive
+  #rendering = null; // Pending render, shared by every page including this one
+  #expanding = null; // Pending SSI expansion, shared the same way
+  #alternates = []; // Translations of the page, linked through hreflang
+  #layout = ''; // Pathname of the layout the page renders into, if any
+  #source = null; // Generated code and modification time, for data partials
+  #plugins = null; // Plugins transforming the page before and after SSI
+  #emitted = []; // Output pathnames of the files plugins emitted for the page
 
   /**
    * Creates a new PageBuilder instance.
    *
    * @param {string} pathname - The pathname of the page
-   * @param {number} [mtime=0] - The modification time of the page
-   * @param {Array} [assets=[]] - The assets used by the page
+   * @param {Object} [config={}] - The page configuration of the previous
+   *   build, as returned by getConfig()
+   * @param {number} [config.mtime=0] - The modification time of the page
+   * @param {string} [config.hash=""] - The digest of the page content
+   * @param {Array<{kind: string, pathname: string}>} [config.assets=[]] - The
+   *   includes and assets referenced by the page
+   * @param {Array<string>} [config.compressed=[]] - The extensions of the
+   *   pre-compressed outputs
+   * @param {Object<string, Array<string>>} [config.csp={}] - The
+   *   Content-Security-Policy sources needed by the page
+   * @param {Array<string>} [config.emitted=[]] - The output pathnames of the
+   *   files plugins emitted for the page
+   * @param {PluginHost} [plugins] - The plugins of the build, the built-in
+   *   ones by default
    */
-  constructor(pathname, mtime = 0, assets = []) {
+  constructor(
+    pathname,
+    {
+      mtime = 0,
+      hash = '',
+      assets = [],
+      compressed = [],
+      csp = {},
+      emitted = [],
+    } = {},
+    plugins = new PluginHost(BUILTIN_PLUGINS),
+  ) {
     this.#pathname = pathname;
+    this.#plugins = plugins;
     this.#mtime = mtime;
+    this.#hash = hash;
     this.#assets = assets;
+    this.#compressed = compressed;
+    this.#cspSources = csp;
+    this.#emitted = emitted;
 
     // Convert .shtml files to .html in output
     const ext = pathname.endsWith('.shtml') ? '.html' : extname(pathname);
@@ -287,9 +982,9 @@ class PageBuilder {
   }
 
   /**
-   * Gets the assets used by the page.
+   * Gets the includes and assets referenced by the page.
    *
-   * @returns {Array} The page assets
+   * @returns {Array<{kind: string, pathname: string}>} The page references
    */
   get assets() {
     return this.#assets;
@@ -333,154 +1028,463 @@ class PageBuilder {
   }
 
   /**
-   * Processes Server Side Includes (SSI) in the page content.
-   * Recursively builds included pages and replaces SSI tags with content.
+   * Gets every output pathname of the page: its output file, its
+   * pre-compressed siblings and the files plugins emitted for it.
+   *
+   * @returns {Array<string>} The output pathnames
+   */
+  get outPathnames() {
+    const compressed = this.#compressed.map((ext) => this.#outPathname + ext);
+    return [this.#outPathname, ...compressed, ...this.#emitted];
+  }
+
+  /**
+   * Gets the Content-Security-Policy sources needed by the page, such as the
+   * hashes of its inline scripts.
+   *
+   * @returns {Object<string, Array<string>>} The sources by directive
+   */
+  get cspSources() {
+    return this.#cspSources;
+  }
+
+  /**
+   * Marks the page as changed because one of its dependencies has changed.
+   */
+  invalidate() {
+    this.#hasChange = true;
+  }
+
+  /**
+   * Links the page to its translations, after its canonical link.
+   *
+   * @param {Array<import('./sitemap.mjs').Alternate>} alternates - The
+   *   alternates of the page
+   */
+  setAlternates(alternates) {
+    this.#alternates = alternates;
+  }
+
+  /**
+   * Generates the page from data rather than reading its source file, as
+   * for the partials of collections.
+   *
+   * @param {import('./collections.mjs').GeneratedPartial} source - The
+   *   generated code of the page and its modification time
+   */
+  setSource(source) {
+    this.#source = source;
+  }
+
+  /**
+   * Renders the pages included by the page through Server Side Includes.
+   * Each include is rendered once, shared with every other page including it.
    *
    * @param {string} srcDir - The source directory
-   * @param {Object} manifest - The build manifest
+   * @param {Array<import('./references.mjs').Reference>} includes - The SSI
+   *   include references of the page
+   * @param {Object} allPages - All pages in the project, keyed by pathname
    * @param {Object} allAssets - All assets in the project
-   * @returns {Promise<void>}
+   * @returns {Promise<Map<Object, string>>} The rendered code by reference
    */
-  async #preprocessSSI(srcDir, manifest, allAssets) {
-    // Find all HTML/PHP includes in the current page
-    const includes = this.#assets.filter((a) =>
-      /\.(s?html|php)$/.test(a.pathname),
-    );
-    if (includes.length === 0) return;
-
-    // Process each include by building it as a separate page
-    const replacements = await Promise.all(
-      includes.map(async ({ pathname, match }) => {
-        // Get cached info from manifest or use defaults
-        const { mtime: mtime_ = 0, assets: assets_ = [] } =
-          manifest.pages[pathname] || {};
-        const includePage = new PageBuilder(pathname, mtime_, assets_);
-        await includePage.populate(srcDir);
-        // Build include without writing to disk (outDir = "")
-        await includePage.build(srcDir, '', manifest, allAssets);
-        return { match, code: includePage.code };
+  async #renderIncludes(srcDir, includes, allPages, allAssets) {
+    const rendered = await Promise.all(
+      includes.map(async (reference) => {
+        const includePage = allPages[reference.pathname];
+        if (!includePage)
+          throw new Error(
+            `Missing include ${reference.pathname} in ${this.#pathname}`,
+          );
+        const code = await includePage.render(srcDir, allPages, allAssets);
+        return [reference, code];
       }),
     );
+    return new Map(rendered);
+  }
 
-    // Replace SSI tags with the processed content
-    for (const { match, code } of replacements)
-      this.#code = this.#code.replace(match, code);
+  /**
+   * Reads the code of the page, then transforms it through the plugins
+   * before its SSI are expanded.
+   *
+   * @param {string} srcDir - The source directory
+   * @param {string} [code] - The source code of the page, if already read
+   * @returns {Promise<string>} The page code
+   */
+  async #read(srcDir, code = undefined) {
+    const page = await this.#plugins.transformPageSource(
+      {
+        pathname: this.#pathname,
+        outPathname: this.#outPathname,
+        code: await this.#readSource(srcDir, code),
+      },
+      { srcDir },
+    );
+    return page.code;
   }
 
   /**
-   * Checks if any of the page's assets have changed.
-   * Used to determine if page needs rebuilding even if unchanged.
+   * Reads the source code of the page, rendered into its layout if it starts
+   * with a front-matter block. Only .shtml pages have front-matter, since
+   * layouts and includes are partials themselves.
    *
-   * @param {Object} allAssets - All assets in the project
-   * @returns {Promise<boolean>} True if any asset has changed
+   * @param {string} srcDir - The source directory
+   * @param {string} [code] - The source code of the page, if already read
+   * @returns {Promise<string>} The page code
    */
-  async #anyAssetsChanged(allAssets) {
-    for (const { pathname } of this.#assets)
-      if (allAssets[pathname].hasChange) return true;
-    return false;
+  async #readSource(srcDir, code = undefined) {
+    if (this.#source) return this.#source.code;
+    code ??= await Bun.file(join(srcDir, this.#pathname)).text();
+    if (!this.#pathname.endsWith('.shtml')) return code;
+
+    let frontMatter;
+    try {
+      frontMatter = parseFrontMatter(code);
+    } catch (error) {
+      throw new Error(
+        `Invalid front-matter in ${this.#pathname}: ${error.message}`,
+        { cause: error },
+      );
+    }
+    const { data, content } = frontMatter;
+    if (!data) return code;
+
+    const layoutURL = String(data.layout ?? DEFAULT_LAYOUT);
+    this.#layout = resolveURL(layoutURL, this.#pathname)?.pathname ?? layoutURL;
+    const layout = Bun.file(join(srcDir, this.#layout));
+    if (!(await layout.exists()))
+      throw new Error(`Missing layout ${this.#layout} in ${this.#pathname}`);
+    return renderLayout(await layout.text(), data, content);
   }
 
   /**
    * Populates the page with content and extracts asset dependencies.
-   * Scans page content for asset references using regex pattern matching.
+   * Like assets, pages only count as changed if their content did.
+   * Scans page content for includes and asset references with an HTML
+   * tokenizer, including the CSS and JavaScript of inline styles and scripts.
+   * The layout of the page counts as one of its includes.
    *
    * @param {string} srcDir - The source directory
    * @returns {Promise<void>}
    */
   async populate(srcDir) {
     const src = join(srcDir, this.#pathname);
-    const stats = await stat(src);
-    // Skip if file hasn't been modified
-    if (this.#mtime >= stats.mtimeMs) return;
-    this.#mtime = stats.mtimeMs;
+    const mtime = this.#source?.mtime ?? (await stat(src)).mtimeMs;
+    // Skip if file hasn't been modified, or only its modification time has
+    if (this.#mtime === mtime && this.#hash) return;
+    const content = this.#source?.code ?? (await Bun.file(src).text());
+    const digest = contentHash(content);
+    this.#mtime = mtime;
+    if (this.#hash === digest) return;
+    this.#hash = digest;
     this.#hasChange = true;
 
-    // Read page content and extract asset dependencies
-    this.#code = await Bun.file(src).text();
-    this.#assets = [];
-    // Use regex to find all asset references in the HTML
-    for (const match of this.#code.matchAll(REGEX_ALL_TAGS)) {
-      // Extract the first non-empty capture group (the asset path)
-      const pathname = match.slice(1).find(Boolean);
-      this.#assets.push({ pathname, match: match[0] });
+    // Read page content and extract unique asset dependencies
+    this.#code = await this.#read(srcDir, content);
+    const assets = new Map();
+    if (this.#layout)
+      assets.set(`include:${this.#layout}`, {
+        kind: 'include',
+        pathname: this.#layout,
+      });
+    for (const reference of scanHTML(this.#code, this.#pathname)) {
+      const { kind, pathname, element } = reference;
+      // Layout variables are only known once pages render into the layout,
+      // and files emitted after the build are no source files
+      if (pathname.includes('{{') || this.#plugins.emitted.has(pathname))
+        continue;
+      const type =
+        kind === 'include' ? 'include'
+        : kind === 'attribute' && element === 'img' ? 'image'
+        : 'asset';
+      assets.set(`${type}:${pathname}`, { kind: type, pathname });
     }
+    this.#assets = [...assets.values()];
   }
 
   /**
-   * Builds the page, processing SSI and asset references.
-   * Updates asset paths to use hashed filenames and minifies HTML.
+   * Expands the Server Side Includes of the page, leaving its asset
+   * references as written. The expansion is memoized like the render.
    *
    * @param {string} srcDir - The source directory
-   * @param {string} outDir - The output directory
-   * @param {Object} manifest - The build manifest
+   * @param {Object} allPages - All pages in the project, keyed by pathname
+   * @returns {Promise<string>} The expanded page code
+   */
+  expand(srcDir, allPages) {
+    this.#expanding ??= this.#expand(srcDir, allPages);
+    return this.#expanding;
+  }
+
+  /**
+   * Expands the Server Side Includes of the page without memoization.
+   *
+   * @param {string} srcDir - The source directory
+   * @param {Object} allPages - All pages in the project, keyed by pathname
+   * @returns {Promise<string>} The expanded page code
+   */
+  async #expand(srcDir, allPages) {
+    const code = this.#code || (await this.#read(srcDir));
+    if (!this.#pathname.endsWith('.shtml')) return code;
+
+    const includes = scanHTML(code, this.#pathname).filter(
+      (r) => r.kind === 'include',
+    );
+    const expanded = await Promise.all(
+      includes.map((reference) => {
+        const includePage = allPages[reference.pathname];
+        if (!includePage)
+          throw new Error(
+            `Missing include ${reference.pathname} in ${this.#pathname}`,
+          );
+        return includePage.expand(srcDir, allPages);
+      }),
+    );
+    return rewriteReferences(
+      code,
+      includes,
+      (reference) => expanded[includes.indexOf(reference)],
+    );
+  }
+
+  /**
+   * Renders the page, processing SSI and asset references.
+   * The render is memoized so that an include shared by many pages is only
+   * processed once per build.
+   *
+   * @param {string} srcDir - The source directory
+   * @param {Object} allPages - All pages in the project, keyed by pathname
    * @param {Object} allAssets - All assets in the project
-   * @returns {Promise<void>}
+   * @returns {Promise<string>} The rendered page code
    */
-  async build(srcDir, outDir, manifest, allAssets) {
-    const src = join(srcDir, this.#pathname);
+  render(srcDir, allPages, allAssets) {
+    this.#rendering ??= this.#render(srcDir, allPages, allAssets);
+    return this.#rendering;
+  }
 
-    // Check if rebuild is needed due to asset changes
-    if (outDir && !this.#hasChange) {
-      this.#hasChange = await this.#anyAssetsChanged(allAssets);
-      if (!this.#hasChange) return;
+  /**
+   * Locates references in the source file of the page, for diagnostics.
+   * References written in its layout rather than in the page itself are
+   * located in the page as rendered into the layout.
+   *
+   * @param {string} srcDir - The source directory
+   * @param {Array<import('./references.mjs').Reference>} references - The
+   *   references, found in the code of the page
+   * @returns {Promise<Array<string>>} The pathname and line of each
+   *   reference
+   */
+  async #locate(srcDir, references) {
+    const source =
+      this.#source?.code ??
+      (await Bun.file(join(srcDir, this.#pathname)).text());
+    return references.map(({ pathname, start, end }) => {
+      const index = source.indexOf(this.#code.slice(start, end));
+      const [code, offset] = index < 0 ? [this.#code, start] : [source, index];
+      return `${pathname} (line ${code.slice(0, offset).split('\n').length})`;
+    });
+  }
+
+  /**
+   * Locates a line of the page as built in the source files it is made of,
+   * for diagnostics: the page itself, then its includes and layout, in
+   * turn. Lines of partials generated from a collection are located in its
+   * template. Lines matching as a whole are preferred to those matching
+   * only once quoted values are left out.
+   *
+   * @param {string} srcDir - The source directory
+   * @param {Object} allPages - All pages in the project, keyed by pathname
+   * @param {string} text - The text of the line
+   * @returns {Promise<{pathname: string, line: number}|null>} The pathname
+   *   of the source file and the line in it, or null if not found
+   */
+  async locateLine(srcDir, allPages, text) {
+    for (const loose of [false, true]) {
+      const target =
+        loose ? text.trim().replace(/"[^"]*"/g, '""') : text.trim();
+      if (!target) return null;
+      const found = await this.#locateLine(srcDir, allPages, target, loose);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * Locates a line of the page as built in this page and its includes.
+   *
+   * @param {string} srcDir - The source directory
+   * @param {Object} allPages - All pages in the project, keyed by pathname
+   * @param {string} text - The trimmed text of the line
+   * @param {boolean} loose - Whether quoted values are left out
+   * @param {Set<string>} [visited=new Set()] - The pages searched so far
+   * @returns {Promise<{pathname: string, line: number}|null>} The location
+   */
+  async #locateLine(srcDir, allPages, text, loose, visited = new Set()) {
+    if (visited.has(this.#pathname)) return null;
+    visited.add(this.#pathname);
+
+    const pathname = this.#source?.template ?? this.#pathname;
+    const source = await Bun.file(join(srcDir, pathname))
+      .text()
+      .catch(() => '');
+    const index = source
+      .split('\n')
+      .findIndex((line) => sourceLinePattern(line, loose)?.test(text));
+    if (index >= 0) return { pathname, line: index + 1 };
+
+    for (const asset of this.#assets) {
+      if (asset.kind !== 'include') continue;
+      const include = allPages[asset.pathname];
+      const found = await include?.#locateLine(
+        srcDir,
+        allPages,
+        text,
+        loose,
+        visited,
+      );
+      if (found) return found;
     }
+    return null;
+  }
+
+  /**
+   * Renders the page content without memoization.
+   * Updates asset paths to use hashed filenames.
+   *
+   * @param {string} srcDir - The source directory
+   * @param {Object} allPages - All pages in the project, keyed by pathname
+   * @param {Object} allAssets - All assets in the project
+   * @returns {Promise<string>} The rendered page code
+   */
+  async #render(srcDir, allPages, allAssets) {
+    const src = join(srcDir, this.#pathname);
 
     // Load content if not already loaded
-    if (!this.#code) this.#code = await Bun.file(src).text();
+    if (!this.#code) this.#code = await this.#read(srcDir);
+    const references = scanHTML(this.#code, this.#pathname);
 
     // Process Server Side Includes for .shtml files
-    if (src.endsWith('.shtml'))
-      await this.#preprocessSSI(srcDir, manifest, allAssets);
-
-    // Update asset references to use processed filenames
-    for (const { pathname, match } of this.#assets) {
-      // Skip HTML/PHP assets as they're handled by SSI processing
-      if (/\.(s?html|php)$/.test(pathname)) continue;
-      // Replace original path with hashed output path
-      this.#code = this.#code.replaceAll(
-        match,
-        match.replace(pathname, allAssets[pathname].outPathname),
+    const includes =
+      src.endsWith('.shtml') ?
+        await this.#renderIncludes(
+          srcDir,
+          references.filter((r) => r.kind === 'include'),
+          allPages,
+          allAssets,
+        )
+      : new Map();
+
+    // Local references to missing files would be left pointing to nothing.
+    // Social images are absolute URLs, possibly to another host
+    const emitted = this.#plugins.emitted;
+    const unresolved = references.filter(
+      (r) =>
+        r.kind !== 'include' &&
+        r.kind !== 'meta' &&
+        !allAssets[r.pathname]?.exists &&
+        !emitted.has(r.pathname),
+    );
+    if (unresolved.length) {
+      const locations = await this.#locate(srcDir, unresolved);
+      throw new Error(
+        `Unresolved references in ${this.#pathname}: ${locations.join(', ')}`,
       );
     }
 
-    // Skip writing to disk if no output directory or private file
-    if (!outDir || this.isPrivateFile) return;
+    // Replace SSI tags with the included content, and original asset paths
+    // with hashed output paths, in a single pass over the page
+    this.#code = rewriteReferences(this.#code, references, (reference) =>
+      reference.kind === 'include' ?
+        includes.get(reference)
+      : allAssets[reference.pathname]?.outPathname || null,
+    );
 
-    // Minify HTML content for production
-    try {
-      this.#code = await minifyHTML(this.#code, {
-        collapseWhitespace: true,
-        minifyJS: minifyJS,
-        minifyCSS: minifyCSS,
-        html5: true,
-        removeComments: true,
-        useShortDoctype: true,
-        sortAttributes: true,
-        sortClassName: true,
-      });
-    } catch (error) {
-      console.error(`Error minifying: ${src}`);
-      throw error;
-    }
+    return this.#code;
+  }
+
+  /**
+   * Builds the page, rendering it then completing it through the plugins
+   * and writing the result. Unchanged pages and private files are skipped.
+   *
+   * @param {string} srcDir - The source directory
+   * @param {string} outDir - The output directory
+   * @param {Object} allPages - All pages in the project, keyed by pathname
+   * @param {Object} allAssets - All assets in the project
+   * @param {import('./profiles.mjs').BuildProfile} profile - The build profile
+   * @param {BuildReport} [report] - The report collecting the validation
+   *   issues of the page
+   * @returns {Promise<boolean>} True if the page was written
+   */
+  async build(srcDir, outDir, allPages, allAssets, profile, report) {
+    // Skip unchanged pages and private files (only used as includes)
+    if (!this.#hasChange || this.isPrivateFile) return false;
+
+    await this.render(srcDir, allPages, allAssets);
+
+    // Files emitted for the page, such as its social card, are named after
+    // their content like assets, and kept as long as the page
+    this.#emitted = [];
+    const emit = async (dir, ext, content) => {
+      const outPathname = posix.join(dir, `${hash(content)}${ext}`);
+      await Bun.write(join(outDir, outPathname), content);
+      this.#emitted.push(outPathname);
+      return outPathname;
+    };
+
+    // Complete the page through the plugins: translations, social cards,
+    // pictures, preloads, critical CSS, integrity, validation and
+    // minification
+    const page = await this.#plugins.transformPage(
+      {
+        pathname: this.#pathname,
+        outPathname: this.#outPathname,
+        code: this.#code,
+        alternates: this.#alternates,
+      },
+      {
+        srcDir,
+        outDir,
+        profile,
+        allPages,
+        allAssets,
+        emitted: this.#plugins.emitted,
+        emit,
+        report,
+      },
+    );
+    this.#code = page.code;
 
     // Write processed page to output directory
     const outPath = join(outDir, this.#outPathname);
-    console.log(`Writing HTML to ${outPath}`);
     await Bun.write(outPath, this.#code);
+    this.#compressed = await writeCompressed(outPath, this.#code);
+
+    // Hash inline scripts and styles as served, once minified
+    this.#cspSources = collectCSPSources(this.#code);
+    return true;
   }
 
   /**
    * Gets the configuration object for the page.
    * Used for manifest generation and build state tracking.
    *
-   * @returns {{mtime: number, assets: Array}} The page configuration object:
+   * @returns {{mtime: number, hash: string, assets: Array,
+   *   compressed: Array<string>, csp: Object, alternates: Array,
+   *   emitted: Array<string>}} The page configuration object:
    *   - mtime: The modification time
+   *   - hash: The digest of the source file content
    *   - assets: The page assets
+   *   - compressed: The extensions of the pre-compressed outputs
+   *   - csp: The Content-Security-Policy sources by directive
+   *   - alternates: The translations of the page
+   *   - emitted: The files plugins emitted for the page
    */
   getConfig() {
     return {
       mtime: this.#mtime,
+      hash: this.#hash,
       assets: this.#assets,
+      compressed: this.#compressed,
+      csp: this.#cspSources,
+      alternates: this.#alternates,
+      emitted: this.#emitted,
     };
   }
 }
@@ -492,18 +1496,20 @@ class PageBuilder {
  * @param {string} outDir - The output directory
  * @param {Array} pages - All pages in the project
  * @param {Object} allAssets - All assets in the project
- * @returns {Promise<void>}
+ * @param {Array<string>} [generated=[]] - The output pathnames of the files
+ *   generated from every page, such as the sitemap
+ * @returns {Promise<Array<string>>} The output pathnames of the removed files
  */
-export async function cleanup(outDir, pages, allAssets) {
+export async function cleanup(outDir, pages, allAssets, generated = []) {
   // Build set of files that should be kept
-  const keepFiles = new Set();
-
-  // Add all asset output files to keep set
-  for (const asset of Object.values(allAssets))
-    if (asset.outPathname) keepFiles.add(join(outDir, asset.outPathname));
+  const keepFiles = new Set(
+    generated.map((pathname) => join(outDir, pathname)),
+  );
 
-  // Add all page output files to keep set
-  for (const page of pages) keepFiles.add(join(outDir, page.outPathname));
+  // Add all asset and page output files to keep set
+  for (const node of [...Object.values(allAssets), ...pages])
+    for (const outPathname of node.outPathnames)
+      keepFiles.add(join(outDir, outPathname));
 
   /**
    * Recursively prunes directories and removes unused files.
@@ -546,24 +1552,53 @@ export async function cleanup(outDir, pages, allAssets) {
   // Execute cleanup and remove unused files
   const { removeFiles } = await pruneDir(outDir);
   await Promise.all(removeFiles.map((path) => Bun.file(path).delete()));
+  return removeFiles.map((path) => `/${posixPath(relative(outDir, path))}`);
+}
+
+/**
+ * Gets the path of the build manifest of a source directory.
+ *
+ * @param {string} srcDir - The source directory
+ * @param {string} outDir - The output directory
+ * @returns {string} The path of the manifest
+ */
+export function getManifestPath(srcDir, outDir) {
+  return join(outDir, 'bun', `${basename(srcDir)}.manifest.json`);
+}
+
+/**
+ * Lists the files and directories that a build writes to the output
+ * directory: the web root, its manifest and the nginx configuration snippet.
+ *
+ * @param {string} srcDir - The source directory
+ * @returns {Array<string>} The paths, relative to the output directory
+ */
+export function getBuildOutputs(srcDir) {
+  return [basename(srcDir), getManifestPath(srcDir, ''), CSP_SNIPPET_PATH];
 }
 
 /**
  * Loads the build manifest from the specified path.
- * Returns cached build state or creates new manifest if file doesn't exist.
+ * Returns cached build state or creates new manifest if file doesn't exist,
+ * or was written by another version of the bundler or of Bun.
  *
  * @param {string} manifestPath - The path to the manifest file
  * @returns {Promise<{version: string, pages: Object, assets: Object}>}
  *   The manifest object with version, pages, and assets
  */
 async function loadManifest(manifestPath) {
-  return Bun.file(manifestPath)
+  const empty = { version: '', pages: {}, assets: {} };
+  const manifest = await Bun.file(manifestPath)
     .text()
     .then(JSON.parse)
     .catch(() => {
       // If parsing fails, return empty manifest
-      return { version: '', pages: {}, assets: {} };
+      return empty;
     });
+  // Outputs of another version of the bundler or of Bun are not reused
+  if (manifest.bundler !== BUNDLER_VERSION || manifest.bun !== Bun.version)
+    return empty;
+  return manifest;
 }
 
 /**
@@ -572,22 +1607,52 @@ async function loadManifest(manifestPath) {
  *
  * @param {string} srcDir - The source directory
  * @param {string} outDir - The output directory
- * @param {boolean} [force=false] - If true, forces a full rebuild
- * @returns {Promise<void>}
+ * @param {Object} [options={}] - The build options
+ * @param {boolean} [options.force=false] - If true, forces a full rebuild
+ * @param {import('./profiles.mjs').BuildProfile} [options.profile] - The
+ *   build profile, production by default
+ * @param {boolean} [options.pruneCSS=false] - If true, strips the rules no
+ *   page uses from the stylesheets of static pages
+ * @param {boolean} [options.strict=false] - If true, fails the build when
+ *   the translations of pages are out of sync, rather than warning
+ * @param {number} [options.jobs] - The maximum number of assets or pages
+ *   built at once, one per CPU core by default
+ * @param {Array<import('./plugins.mjs').Plugin>} [options.plugins=[]] - The
+ *   plugins of the project config, run along with the built-in ones
+ * @param {import('./budgets.mjs').Budgets} [options.budgets] - The
+ *   performance budgets of the pages, unchecked if omitted
+ * @returns {Promise<BuildReport>} The outcome of every output file. Files
+ *   that fail to build are reported rather than thrown, and leave the
+ *   manifest as it was so that the next build retries them
  */
-export async function bundle(srcDir, outDir, force = false) {
+export async function bundle(
+  srcDir,
+  outDir,
+  {
+    force = false,
+    profile = PROFILES.prod,
+    pruneCSS = false,
+    strict = false,
+    jobs = undefined,
+    plugins: configPlugins = [],
+    budgets = undefined,
+  } = {},
+) {
+  const report = new BuildReport();
+  const plugins = new PluginHost([...BUILTIN_PLUGINS, ...configPlugins]);
   const basenameDir = basename(srcDir);
   const dstDir = join(outDir, basenameDir);
   if (!(await exists(outDir))) await mkdir(outDir);
   if (!(await exists(dstDir))) await mkdir(dstDir);
 
   // Load previous build state for incremental builds
-  const manifestPath = join(outDir, 'bun', `${basenameDir}.manifest.json`);
+  const manifestPath = getManifestPath(srcDir, outDir);
   const manifest = await loadManifest(force ? '' : manifestPath);
 
   /**
    * Recursively finds all pages and files in the source directory.
-   * Separates HTML/PHP pages from other asset files for different processing.
+   * Separates pages from the other files built even though no page links
+   * them, as the plugins tell.
    *
    * @param {string} dir - The directory to search
    * @returns {Promise<[Array<PageBuilder>, Array<string>]>}
@@ -600,6 +1665,8 @@ export async function bundle(srcDir, outDir, force = false) {
 
     for (const entry of entries) {
       const path = join(dir, entry.name);
+      // Data files are rendered into partials rather than served
+      if (path === join(srcDir, DATA_DIR)) continue;
       if (entry.isDirectory()) {
         // Recursively scan subdirectories
         const [subPages, subFiles] = await findPagesAndFiles(path);
@@ -610,17 +1677,13 @@ export async function bundle(srcDir, outDir, force = false) {
 
       // Convert file path to web-relative pathname
       const pathname = `/${posixPath(relative(srcDir, path))}`;
-      if (/\.(s?html|php)$/.test(entry.name)) {
-        // Create PageBuilder for HTML/PHP files
-        const { mtime: mtime_ = 0, assets: assets_ = [] } =
-          manifest.pages[pathname] || {};
-        pages.push(new PageBuilder(pathname, mtime_, assets_));
-      } else if (
-        /(\.htaccess|favicon.*\.(?:ico|jpeg|png|svg))$/.test(entry.name)
-      ) {
-        // Track special files that need processing
-        files.push(pathname);
-      }
+      const kind = plugins.discover(pathname);
+      if (kind === 'page')
+        pages.push(
+          new PageBuilder(pathname, manifest.pages[pathname], plugins),
+        );
+      // Track special files that need processing
+      else if (kind === 'asset') files.push(pathname);
     }
 
     return [pages, files];
@@ -628,51 +1691,352 @@ export async function bundle(srcDir, outDir, force = false) {
 
   // Discover all pages and special files in source directory
   const [pages, files] = await findPagesAndFiles(srcDir);
+  // Partials generated from the data files of collections
+  for (const partial of await generateCollections(srcDir)) {
+    if (pages.some((page) => page.pathname === partial.pathname))
+      throw new Error(`Generated partial ${partial.pathname} already exists`);
+    const page = new PageBuilder(
+      partial.pathname,
+      manifest.pages[partial.pathname],
+      plugins,
+    );
+    page.setSource(partial);
+    pages.push(page);
+  }
   // Populate all pages with content and extract dependencies
   await Promise.all(pages.map((page) => page.populate(srcDir)));
 
+  const allPages = Object.fromEntries(pages.map((p) => [p.pathname, p]));
+
   // Initialize new manifest for this build
   const version = await Version.load(globalThis.path.versionPath);
-  const newManifest = { version: version.toString(), pages: {}, assets: {} };
-
-  // Collect all unique asset pathnames from pages and special files
-  const allAssetPathnames = new Set(files);
+  const newManifest = {
+    version: version.toString(),
+    bundler: BUNDLER_VERSION,
+    bun: Bun.version,
+    profile,
+    pruneCSS,
+    plugins: plugins.names,
+    pages: {},
+    assets: {},
+    graph: {},
+  };
+
+  // Collect asset pathnames referenced by pages and special files,
+  // SSI includes are pages themselves and are handled by PageBuilder
+  const rootPathnames = new Set(files);
   for (const page of pages)
-    for (const asset of page.assets) allAssetPathnames.add(asset.pathname);
+    for (const { kind, pathname } of page.assets)
+      if (kind !== 'include') rootPathnames.add(pathname);
 
-  // Process all assets in parallel
   const allAssets = {};
-  await Promise.all(
-    allAssetPathnames.values().map(async (pathname) => {
-      // Get cached asset info from previous build
-      const { mtime: mtime_ = 0, outname: outfile_ = '' } =
-        manifest.assets[pathname] || {};
-      const asset = new Asset(pathname, mtime_, outfile_);
-      // Build asset (minify, hash, write to output)
-      await asset.build(srcDir, dstDir);
-      // Store asset config in new manifest
-      newManifest.assets[pathname] = asset.getConfig();
-      allAssets[pathname] = asset;
-    }),
+
+  /**
+   * Populates an asset then, recursively, every file it depends on.
+   * Imported-only files are tracked for changes but never written, since
+   * they are bundled into the assets importing them; files linked from
+   * stylesheets are built as assets of their own.
+   *
+   * @param {string} pathname - The pathname of the asset
+   * @returns {Promise<void>}
+   */
+  async function populateAsset(pathname) {
+    if (allAssets[pathname]) return;
+    // Get cached asset info from previous build
+    const asset = new Asset(pathname, manifest.assets[pathname], plugins);
+    allAssets[pathname] = asset;
+    await asset.populate(srcDir);
+    for (const reference of asset.references) rootPathnames.add(reference);
+    await Promise.all(
+      [...asset.imports, ...asset.references].map(populateAsset),
+    );
+  }
+  await Promise.all([...rootPathnames].map(populateAsset));
+
+  // Raster images displayed by pages get resized variants
+  for (const page of pages)
+    for (const { kind, pathname } of page.assets)
+      if (kind === 'image') allAssets[pathname].enableVariants();
+
+  // ES module entrypoints are built together so that they share chunks
+  const moduleEntries = [...rootPathnames]
+    .filter((pathname) => REGEX_MODULE.test(pathname))
+    .sort();
+  const modules = new ModuleBundle(moduleEntries);
+  for (const pathname of moduleEntries)
+    allAssets[pathname].setModuleBundle(modules);
+  newManifest.modules = moduleEntries;
+
+  // Link pages to their includes and assets, and assets to their imports
+  // and linked files
+  const graph = new DependencyGraph();
+  for (const page of pages)
+    for (const { pathname } of page.assets)
+      graph.addEdge(page.pathname, pathname);
+  for (const asset of Object.values(allAssets))
+    for (const pathname of [...asset.imports, ...asset.references])
+      graph.addEdge(asset.pathname, pathname);
+
+  // Another profile changes the output of every script, stylesheet and page
+  if (JSON.stringify(manifest.profile) !== JSON.stringify(profile)) {
+    for (const page of pages) page.invalidate();
+    for (const asset of Object.values(allAssets))
+      if (/\.(m?js|css)$/.test(asset.pathname)) asset.invalidate();
+  }
+
+  // Other plugins may change the output of every page and asset
+  if (JSON.stringify(manifest.plugins) !== JSON.stringify(plugins.names))
+    for (const node of [...pages, ...Object.values(allAssets)])
+      node.invalidate();
+
+  // Pages built before the policy was generated need their inline hashes
+  if (manifest.csp === undefined) for (const page of pages) page.invalidate();
+
+  // Read the canonical link of every page, SSI includes expanded, to link
+  // translations to each other
+  const publicPages = pages.filter((page) => !page.isPrivateFile);
+  const markup = await Promise.all(
+    publicPages.map((page) => page.expand(srcDir, allPages)),
   );
+  const metas = markup.map(readPageMeta);
+  const alternates = findAlternates(metas);
+  publicPages.forEach((page, i) => {
+    const links = alternates.get(metas[i].canonical) ?? [];
+    const previous = manifest.pages[page.pathname]?.alternates ?? [];
+    if (JSON.stringify(previous) !== JSON.stringify(links)) page.invalidate();
+    page.setAlternates(links);
+  });
 
-  // Build all pages in parallel (process SSI, update references, minify)
-  await Promise.all(
-    pages.map((page) => {
-      // Store page config in new manifest
-      newManifest.pages[page.pathname] = page.getConfig();
-      return page.build(srcDir, dstDir, manifest, allAssets);
-    }),
+  // Check that the pages and partials of every language tree stay in sync
+  const metaOf = new Map(publicPages.map((page, i) => [page, metas[i]]));
+  const issues = checkTranslations(
+    pages.map((page) => ({
+      pathname: page.pathname,
+      assets: page.assets,
+      canonical: metaOf.get(page)?.canonical ?? null,
+      ogURL: metaOf.get(page)?.ogURL ?? null,
+    })),
   );
+  for (const issue of issues) console.warn(`Translation: ${issue}`);
+  if (strict && issues.length)
+    throw new Error(`Found ${issues.length} translation issue(s)`);
+
+  // Stylesheets keep only the rules that pages use, PHP code left out. Those
+  // linked from PHP pages only style markup that PHP outputs, so they are
+  // left whole
+  const stylesheets = [
+    ...new Set(
+      pages
+        .filter((page) => !page.pathname.endsWith('.php'))
+        .flatMap((page) => page.assets.map(({ pathname }) => pathname))
+        .filter((pathname) => pathname.endsWith('.css')),
+    ),
+  ];
+  if (pruneCSS) {
+    const pruner = new CSSPruner(markup);
+    for (const pathname of stylesheets) allAssets[pathname].setPruner(pruner);
+  }
+
+  // Invalidate everything that transitively depends on a changed file
+  const nodes = [...pages, ...Object.values(allAssets)];
+  const changed = nodes.filter((node) => node.hasChange);
+  let invalidated = graph.invalidate(changed.map((n) => n.pathname));
+  // Pruned stylesheets depend on the markup of every page
+  if (
+    !!manifest.pruneCSS !== pruneCSS ||
+    (pruneCSS && pages.some((page) => page.hasChange))
+  )
+    invalidated = graph.invalidate([...invalidated, ...stylesheets]);
+  // Rebuilding an entrypoint may rename the chunks of every other one
+  if (
+    moduleEntries.some((pathname) => invalidated.has(pathname)) ||
+    JSON.stringify(manifest.modules) !== JSON.stringify(moduleEntries)
+  )
+    invalidated = graph.invalidate([...invalidated, ...moduleEntries]);
+  for (const pathname of invalidated)
+    (allPages[pathname] ?? allAssets[pathname])?.invalidate();
 
-  // Clean up unused files and update manifest if any pages changed
+  /**
+   * Builds pages or assets, a few at a time, and reports the outcome of
+   * each of them.
+   *
+   * @param {Array<Asset|PageBuilder>} nodes - The pages or assets to build
+   * @param {function(Asset|PageBuilder): Promise<boolean>} build - Builds a
+   *   node, resolving to true if it was rebuilt
+   * @returns {Promise<void>}
+   */
+  async function buildAll(nodes, build) {
+    await runPool(
+      nodes,
+      async (node) => {
+        const start = performance.now();
+        let isRebuilt;
+        try {
+          isRebuilt = await build(node);
+        } catch (error) {
+          console.error(`Failed to build ${node.pathname}: ${error.message}`);
+          report.fail(
+            node.pathname,
+            error,
+            Math.round(performance.now() - start),
+          );
+          return;
+        }
+        const duration = performance.now() - start;
+        const [input, output] = await Promise.all([
+          stat(join(srcDir, node.pathname)).catch(() => null),
+          node.outPathname &&
+            stat(join(dstDir, node.outPathname)).catch(() => null),
+        ]);
+        if (isRebuilt)
+          console.log(
+            `Built ${node.outPathname} (${formatSize(output?.size)}, ` +
+              `${Math.round(duration)}ms)`,
+          );
+        report.add({
+          pathname: node.pathname,
+          status: isRebuilt ? 'rebuilt' : 'skipped',
+          inputSize: input?.size ?? null,
+          outputSize: output?.size ?? null,
+          duration: Math.round(duration),
+        });
+      },
+      jobs,
+    );
+  }
+
+  // Build referenced assets (minify, hash, write to output)
+  await buildAll(
+    [...rootPathnames].map((pathname) => allAssets[pathname]),
+    (asset) => asset.build(srcDir, dstDir, allAssets, profile),
+  );
+  const rootAssets = Object.fromEntries(
+    [...rootPathnames].map((pathname) => [pathname, allAssets[pathname]]),
+  );
+
+  // Build the pages (process SSI, update references, minify), private files
+  // being only rendered as the includes of others
+  await buildAll(
+    pages.filter((page) => !page.isPrivateFile),
+    (page) => page.build(srcDir, dstDir, allPages, allAssets, profile, report),
+  );
+
+  // Allow the inline scripts and styles of every page in a site-wide policy,
+  // set by the root .htaccess and by the nginx configuration snippet
+  newManifest.csp = buildCSP(
+    pages.filter((page) => !page.isPrivateFile).map((p) => p.cspSources),
+  );
+  const htaccess = allAssets['/.htaccess'];
+  const snippetPath = join(outDir, CSP_SNIPPET_PATH);
+  if (
+    newManifest.csp !== manifest.csp ||
+    htaccess?.hasChange ||
+    !(await exists(snippetPath))
+  ) {
+    if (htaccess?.outPathname) {
+      const htaccessPath = join(dstDir, htaccess.outPathname);
+      const content = await Bun.file(htaccessPath).text();
+      await Bun.write(htaccessPath, setCSPHeader(content, newManifest.csp));
+    }
+    await Bun.write(snippetPath, createCSPSnippet(newManifest.csp));
+  }
+
+  // List the indexable pages in the sitemap, which robots.txt points to
+  const urls = metas
+    .filter(({ canonical, isIndexable }) => canonical && isIndexable)
+    .map(({ canonical }) => canonical);
+  const sitemapURL = urls.length ? new URL('/sitemap.xml', urls[0]).href : '';
+  const generated = {
+    '/robots.txt': createRobots(sitemapURL),
+    ...(sitemapURL && {
+      '/sitemap.xml': createSitemap([...new Set(urls)].sort(), alternates),
+    }),
+  };
+  for (const [pathname, content] of Object.entries(generated)) {
+    const file = Bun.file(join(dstDir, pathname));
+    if (!(await file.exists()) || (await file.text()) !== content)
+      await Bun.write(file, content);
+  }
+
+  // Store page, asset and graph configs in new manifest, sorted since assets
+  // are discovered concurrently and the manifest is only written on change
+  const byPathname = (a, b) => (a.pathname < b.pathname ? -1 : 1);
+  for (const page of pages.toSorted(byPathname))
+    newManifest.pages[page.pathname] = page.getConfig();
+  for (const asset of Object.values(allAssets).sort(byPathname))
+    newManifest.assets[asset.pathname] = asset.getConfig();
+  newManifest.graph = graph.toJSON();
+
+  // Let the plugins finish the build, keeping the files they emit
+  const emitted = [];
+  try {
+    await plugins.postBuild({
+      srcDir,
+      outDir: dstDir,
+      profile,
+      report,
+      manifest: newManifest,
+      previous: manifest,
+      emit: async (pathname, content) => {
+        emitted.push(pathname);
+        await Bun.write(join(dstDir, pathname), content);
+      },
+      keep: (pathname) => {
+        emitted.push(pathname);
+      },
+    });
+  } catch (error) {
+    report.fail(null, error);
+  }
+
+  // Weigh every page against its budgets, compared with the previous build
+  if (budgets && !report.hasFailed) {
+    newManifest.weights = await measurePages(dstDir, newManifest);
+    const exceeded = checkBudgets(newManifest.weights, budgets);
+    if (exceeded.length) {
+      // Forced builds start from an empty manifest, not the previous one
+      const previous = force ? await loadManifest(manifestPath) : manifest;
+      console.warn(`Exceeded ${exceeded.length} performance budget(s):`);
+      console.warn(
+        formatTrend(exceeded, previous.weights ?? {}, previous.version),
+      );
+      if (budgets.enforce ?? true)
+        report.fail(
+          null,
+          new Error(`Exceeded ${exceeded.length} performance budget(s)`),
+        );
+    }
+  }
+
+  // Keep the previous manifest and outputs if anything failed, so that the
+  // next build retries the failed files
+  if (report.hasFailed) return report;
+
+  // Clean up unused files if any pages changed
   if (pages.some((page) => page.hasChange)) {
     console.log('Cleaning up unused files...');
-    await cleanup(dstDir, pages, allAssets);
+    const removed = await cleanup(dstDir, pages, rootAssets, [
+      ...Object.keys(generated),
+      ...emitted,
+    ]);
+    for (const pathname of removed)
+      report.add({
+        pathname,
+        status: 'removed',
+        inputSize: null,
+        outputSize: null,
+        duration: 0,
+      });
+  }
 
-    // Write updated manifest to track build state
+  // Write updated manifest to track build state, including the modification
+  // times of files whose content did not change
+  const manifestJSON = JSON.stringify(newManifest, null, 2);
+  if (manifestJSON !== JSON.stringify(manifest, null, 2)) {
     console.log(`Writing manifest to ${manifestPath}`);
-    await Bun.write(manifestPath, JSON.stringify(newManifest, null, 2));
+    await Bun.write(manifestPath, manifestJSON);
     console.log('Manifest updated.');
   }
+
+  return report;
 }
@@ -0,0 +1,239 @@
+/**
+ * Generates partials from structured data, such as the projects and the
+ * work experience listed by the pages. Each collection is a directory of the
+ * data directory holding one YAML or JSON file per entry, along with a
+ * `_template.html` file rendering every entry. The front-matter of the
+ * template names the partial generated for each language and how entries are
+ * sorted:
+ *
+ * - `output`: the pathname of the partial, where `{{ lang }}` is the language.
+ * - `sort`: the variable entries are sorted by, `start` by default.
+ * - `order`: `asc` or `desc`, `asc` by default.
+ * - `text`: the text of the template by language, such as labels, which
+ *   entries can override.
+ *
+ * Entries hold their language agnostic variables, such as their `start` and
+ * `end` dates, `link`, `cover` image and technology `icons` keys, along with
+ * their `text` by language. The `period` variable joins the dates of an entry,
+ * and the icons are resolved through the `icons` file of the data directory.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { basename, join } from 'node:path';
+import { readdir, stat } from 'node:fs/promises';
+import { parseFrontMatter, renderTemplate } from './layouts.mjs';
+
+// Directory of the source directory holding the collections, which is not
+// part of the site itself.
+export const DATA_DIR = '/_data';
+
+// Name of the file rendering every entry of a collection.
+const TEMPLATE_NAME = '_template.html';
+
+// Regular expression to match the data files of entries and icons.
+const REGEX_DATA_FILE = /\.(?:json|ya?ml)$/;
+
+// Regular expression to match ISO dates, such as '2020-03-02'.
+const REGEX_ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * @typedef {Object} Entry
+ * @property {string} name - The name of the data file of the entry
+ * @property {Object} data - The variables of the entry
+ */
+
+/**
+ * @typedef {Object} GeneratedPartial
+ * @property {string} pathname - The pathname of the partial
+ * @property {number} mtime - The latest modification time of the files the
+ *   partial is generated from
+ * @property {string} code - The code of the partial
+ * @property {string} template - The pathname of the template the partial
+ *   is rendered from
+ */
+
+/**
+ * Formats a date of an entry, either a year or an ISO date, as shown on the
+ * pages.
+ *
+ * @param {string|number} date - The date
+ * @returns {string} The formatted date, such as '03/02/2020'
+ */
+function formatDate(date) {
+  const match = String(date).match(REGEX_ISO_DATE);
+  return match ? `${match[2]}/${match[3]}/${match[1]}` : String(date);
+}
+
+/**
+ * Formats the period of an entry from its start and end dates.
+ *
+ * @param {string|number} [start] - The start date
+ * @param {string|number} [end] - The end date, if any
+ * @returns {string} The period, such as '2023 - 2025'
+ */
+export function formatPeriod(start, end) {
+  return [start, end]
+    .filter((date) => date != null && date !== '')
+    .map(formatDate)
+    .join(' - ');
+}
+
+/**
+ * Names the anchor of an entry after its data file, such as
+ * '2023-my-portfolio' for '2023_my_portfolio.yaml'.
+ *
+ * @param {string} name - The name of the data file of the entry
+ * @returns {string} The ID of the entry
+ */
+function entryId(name) {
+  return basename(name)
+    .replace(REGEX_DATA_FILE, '')
+    .toLowerCase()
+    .replace(/[^0-9a-z]+/g, '-');
+}
+
+/**
+ * Renders the partial of a collection for every language of its entries.
+ * Entries are given an `id` variable after their data file, unless they
+ * set one.
+ *
+ * @param {string} template - The code of the template, with its front-matter
+ * @param {Array<Entry>} entries - The entries of the collection
+ * @param {Object<string, {alt: string, src: string}>} [icons={}] - The
+ *   icons, by key
+ * @returns {Map<string, string>} The code of the partial, by pathname
+ */
+export function renderCollection(template, entries, icons = {}) {
+  const { data: options, content } = parseFrontMatter(template);
+  const {
+    output,
+    sort = 'start',
+    order = 'asc',
+    text: templateText = {},
+  } = options ?? {};
+  if (!output) throw new Error('The template must name its output');
+
+  const languages = new Set(Object.keys(templateText));
+  for (const { data } of entries)
+    for (const lang of Object.keys(data.text ?? {})) languages.add(lang);
+
+  const direction = order === 'desc' ? -1 : 1;
+  const sorted = entries.toSorted(
+    (a, b) =>
+      direction *
+        String(a.data[sort] ?? '').localeCompare(String(b.data[sort] ?? '')) ||
+      a.name.localeCompare(b.name),
+  );
+
+  const partials = new Map();
+  for (const lang of [...languages].sort()) {
+    const code = sorted.map(({ name, data }) => {
+      const { text = {}, icons: keys = [], ...variables } = data;
+      if (!text[lang]) throw new Error(`Missing ${lang} text in ${name}`);
+      return renderTemplate(content, {
+        ...templateText[lang],
+        id: entryId(name),
+        ...variables,
+        ...text[lang],
+        lang,
+        period: formatPeriod(variables.start, variables.end),
+        icons: keys.map((key) => {
+          if (!icons[key]) throw new Error(`Unknown icon ${key} in ${name}`);
+          return icons[key];
+        }),
+      });
+    });
+    partials.set(renderTemplate(output, { lang }), code.join(''));
+  }
+  return partials;
+}
+
+/**
+ * Reads a YAML or JSON data file.
+ *
+ * @param {string} srcDir - The source directory
+ * @param {string} pathname - The pathname of the file
+ * @returns {Promise<Object>} The data of the file
+ */
+async function readData(srcDir, pathname) {
+  let data;
+  try {
+    data = Bun.YAML.parse(await Bun.file(join(srcDir, pathname)).text());
+  } catch (error) {
+    throw new Error(`Invalid data in ${pathname}: ${error.message}`, {
+      cause: error,
+    });
+  }
+  if (typeof data !== 'object' || !data || Array.isArray(data))
+    throw new Error(`Invalid data in ${pathname}: not a mapping of variables`);
+  return data;
+}
+
+/**
+ * Generates the partials of every collection of the data directory.
+ * Their modification time is the latest of their data files, template and
+ * directory, so that adding or removing an entry rebuilds them as well.
+ *
+ * @param {string} srcDir - The source directory
+ * @returns {Promise<Array<GeneratedPartial>>} The generated partials
+ */
+export async function generateCollections(srcDir) {
+  const dataDir = join(srcDir, DATA_DIR);
+  const dirEntries = await readdir(dataDir, { withFileTypes: true }).catch(
+    () => [],
+  );
+
+  // Icons shared by every collection
+  let icons = {};
+  let sharedMtime = dirEntries.length ? (await stat(dataDir)).mtimeMs : 0;
+  const iconsEntry = dirEntries.find(
+    (e) => e.isFile() && /^icons\.(?:json|ya?ml)$/.test(e.name),
+  );
+  if (iconsEntry) {
+    const pathname = `${DATA_DIR}/${iconsEntry.name}`;
+    icons = await readData(srcDir, pathname);
+    const { mtimeMs } = await stat(join(srcDir, pathname));
+    sharedMtime = Math.max(sharedMtime, mtimeMs);
+  }
+
+  const partials = [];
+  for (const dirEntry of dirEntries) {
+    if (!dirEntry.isDirectory()) continue;
+    const dir = join(dataDir, dirEntry.name);
+    const templatePath = join(dir, TEMPLATE_NAME);
+    if (!(await Bun.file(templatePath).exists())) continue;
+
+    const names = (await readdir(dir)).filter((n) => REGEX_DATA_FILE.test(n));
+    const paths = [dir, templatePath, ...names.map((n) => join(dir, n))];
+    const mtimes = await Promise.all(paths.map((p) => stat(p)));
+    const mtime = Math.max(sharedMtime, ...mtimes.map((s) => s.mtimeMs));
+
+    const entries = await Promise.all(
+      names.map(async (name) => {
+        const pathname = `${DATA_DIR}/${dirEntry.name}/${name}`;
+        return { name: pathname, data: await readData(srcDir, pathname) };
+      }),
+    );
+    const template = await Bun.file(templatePath).text();
+    let rendered;
+    try {
+      rendered = renderCollection(template, entries, icons);
+    } catch (error) {
+      throw new Error(
+        `Invalid collection ${DATA_DIR}/${dirEntry.name}: ${error.message}`,
+        { cause: error },
+      );
+    }
+    const templatePathname = `${DATA_DIR}/${dirEntry.name}/${TEMPLATE_NAME}`;
+    for (const [pathname, code] of rendered)
+      partials.push({ pathname, mtime, code, template: templatePathname });
+  }
+  return partials;
+}
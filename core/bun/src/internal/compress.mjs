@@ -0,0 +1,129 @@
+/**
+ * Pre-compresses built files so that the web server can send them without
+ * compressing them on every request. Text outputs above a size threshold get
+ * Brotli (.br) and gzip (.gz) siblings, and the root .htaccess gets the rules
+ * serving them with the matching Content-Encoding.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { rm } from 'node:fs/promises';
+import { promisify } from 'node:util';
+import { brotliCompress, constants, gzip } from 'node:zlib';
+
+const brotliCompressAsync = promisify(brotliCompress);
+const gzipAsync = promisify(gzip);
+
+// Regular expression to match text outputs worth compressing.
+const REGEX_COMPRESSIBLE =
+  /\.(css|html|ico|js|json|map|mjs|svg|txt|webmanifest|xml)$/i;
+
+// Outputs smaller than this many bytes are only served uncompressed.
+export const MIN_COMPRESS_SIZE = 1024;
+
+// Compressors of the pre-compressed siblings, by file extension, in order of
+// preference.
+const COMPRESSORS = {
+  '.br': (buffer) =>
+    brotliCompressAsync(buffer, {
+      params: {
+        [constants.BROTLI_PARAM_QUALITY]: constants.BROTLI_MAX_QUALITY,
+        [constants.BROTLI_PARAM_SIZE_HINT]: buffer.byteLength,
+      },
+    }),
+  '.gz': (buffer) => gzipAsync(buffer, { level: constants.Z_BEST_COMPRESSION }),
+};
+
+// Apache rules rewriting requests to the pre-compressed siblings, for files
+// and for pages reached through their clean URLs.
+const REWRITE_RULES = `# Serve pre-compressed siblings of built files to clients accepting them.
+RewriteCond %{HTTP:Accept-Encoding} \\bbr\\b
+RewriteCond %{REQUEST_FILENAME}.br -f
+RewriteRule ^(.+)$ /$1.br [END]
+RewriteCond %{HTTP:Accept-Encoding} \\bbr\\b
+RewriteCond %{REQUEST_FILENAME}.html.br -f
+RewriteRule ^(.*)/?$ /$1.html.br [END]
+RewriteCond %{HTTP:Accept-Encoding} \\bgzip\\b
+RewriteCond %{REQUEST_FILENAME}.gz -f
+RewriteRule ^(.+)$ /$1.gz [END]
+RewriteCond %{HTTP:Accept-Encoding} \\bgzip\\b
+RewriteCond %{REQUEST_FILENAME}.html.gz -f
+RewriteRule ^(.*)/?$ /$1.html.gz [END]
+`;
+
+// Apache rules sending pre-compressed siblings with the Content-Type of the
+// original file, its Content-Encoding, and without compressing them again.
+const ENCODING_RULES = `
+# Send pre-compressed siblings as their original type, already encoded.
+AddEncoding br .br
+AddEncoding gzip .gz
+SetEnvIfNoCase Request_URI "\\.(br|gz)$" no-gzip no-brotli
+<IfModule mod_headers.c>
+  <FilesMatch "\\.(br|gz)$">
+    Header append Vary Accept-Encoding
+  </FilesMatch>
+</IfModule>
+`;
+
+/**
+ * Writes the Brotli and gzip siblings of an output file. Siblings are only
+ * kept for compressible files above the size threshold, and when smaller
+ * than the file itself; stale siblings of the same file are removed.
+ *
+ * @param {string} path - The path of the output file
+ * @param {string|ArrayBuffer} content - The content of the output file
+ * @returns {Promise<Array<string>>} The extensions of the written siblings
+ */
+export async function writeCompressed(path, content) {
+  const buffer = Buffer.from(content);
+  const isCompressible =
+    REGEX_COMPRESSIBLE.test(path) && buffer.byteLength >= MIN_COMPRESS_SIZE;
+
+  const written = [];
+  for (const [ext, compress] of Object.entries(COMPRESSORS)) {
+    const compressed = isCompressible ? await compress(buffer) : null;
+    if (compressed && compressed.byteLength < buffer.byteLength) {
+      await Bun.write(path + ext, compressed);
+      written.push(ext);
+    } else {
+      await rm(path + ext, { force: true });
+    }
+  }
+  return written;
+}
+
+/**
+ * Adds the rules serving pre-compressed siblings to an .htaccess file.
+ * Rewrite rules are inserted before the first rule ending the rewriting
+ * (along with its conditions and comments), so that redirects still apply
+ * first, or at the end of the file if there is none.
+ *
+ * @param {string} htaccess - The content of the .htaccess file
+ * @returns {string} The content with the compression rules
+ */
+export function addCompressionRules(htaccess) {
+  const lines = htaccess.trimEnd().split('\n');
+  const rules = [...REWRITE_RULES.trimEnd().split('\n'), ''];
+
+  let index = lines.findIndex((line) =>
+    /^\s*RewriteRule\b.*\[[^\]]*\bEND\b/i.test(line),
+  );
+  if (index < 0) {
+    if (!/^\s*RewriteEngine\s+On\b/im.test(htaccess))
+      rules.unshift('RewriteEngine On', '');
+    lines.push('');
+    index = lines.length;
+  } else {
+    while (index > 0 && /^\s*(RewriteCond\b|#)/i.test(lines[index - 1]))
+      --index;
+  }
+
+  lines.splice(index, 0, ...rules);
+  return `${lines.join('\n').trimEnd()}\n${ENCODING_RULES}`;
+}
@@ -0,0 +1,127 @@
+/**
+ * Extracts the critical CSS of pages: the rules styling their above-the-fold
+ * content, meaning the header and the main heading along with every element
+ * enclosing them, and the design tokens they rely on. Pages inline it so
+ * that they render before their full stylesheets have loaded.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { filterRules, listSelectors, matchSelectors } from './css.mjs';
+import { getAttribute, tokenize } from './html.mjs';
+
+// Elements shown above the fold, styled along with their content and the
+// elements enclosing them.
+const CRITICAL_ELEMENTS = new Set(['header', 'h1']);
+
+// Applies the deferred stylesheets of a page once loaded. Inline event
+// handlers would need 'unsafe-inline' in the Content-Security-Policy, unlike
+// a script allowed by its hash.
+const APPLY_STYLESHEETS_SCRIPT = `<script>
+document.querySelectorAll('link[data-media]').forEach((link) => {
+  const apply = () => (link.media = link.dataset.media);
+  if (link.sheet) apply();
+  else link.addEventListener('load', apply);
+});
+</script>`;
+
+/**
+ * Checks if a rule only declares custom properties, such as the color
+ * tokens of a theme.
+ *
+ * @param {import('postcss').Rule} rule - The rule to check
+ * @returns {boolean} True if the rule only declares custom properties
+ */
+function isTokenRule(rule) {
+  const declarations = rule.nodes.filter((node) => node.type === 'decl');
+  return (
+    declarations.length === rule.nodes.length &&
+    declarations.length > 0 &&
+    declarations.every(({ prop }) => prop.startsWith('--'))
+  );
+}
+
+/**
+ * Extracts the critical CSS of a page from its stylesheets.
+ * Rules are kept when one of their selectors matches the header, the main
+ * heading, their content or the elements enclosing them, regardless of
+ * media conditions, along with design tokens, font faces, and the keyframes
+ * of kept animations.
+ *
+ * @param {string} html - The HTML code of the page
+ * @param {string} css - The CSS code of the stylesheets of the page
+ * @returns {string} The critical CSS code, empty if none
+ */
+export function extractCriticalCSS(html, css) {
+  const critical = matchSelectors(html, listSelectors(css), CRITICAL_ELEMENTS);
+  return filterRules(
+    css,
+    (rule) =>
+      isTokenRule(rule) ||
+      rule.selectors.some((selector) => critical.has(selector)),
+  );
+}
+
+/**
+ * Finds the links to local stylesheets that a page can load without
+ * blocking its rendering. Links with a data-render-blocking attribute opt
+ * out and are left as written.
+ *
+ * @param {string} code - The HTML code of the page
+ * @param {Set<string>} hrefs - The output pathnames of local stylesheets
+ * @returns {Array<import('./html.mjs').HTMLToken & {href: string}>} The link
+ *   tags, with their stylesheet pathname
+ */
+export function findDeferrableStylesheets(code, hrefs) {
+  const links = [];
+  for (const tag of tokenize(code)) {
+    if (tag.type !== 'tag' || tag.name !== 'link') continue;
+    const rel = getAttribute(tag, 'rel')?.value.trim().toLowerCase();
+    const href = getAttribute(tag, 'href')?.value.trim().split(/[?#]/)[0];
+    if (rel !== 'stylesheet' || !hrefs.has(href)) continue;
+    if (!getAttribute(tag, 'data-render-blocking'))
+      links.push({ ...tag, href });
+  }
+  return links;
+}
+
+/**
+ * Inlines critical CSS before the first stylesheet link of a page, and
+ * loads the linked stylesheets as print stylesheets, applied to every media
+ * once loaded. The original links remain for browsers without JavaScript.
+ *
+ * @param {string} code - The HTML code of the page
+ * @param {Array<import('./html.mjs').HTMLToken>} links - The link tags to
+ *   defer, in source order
+ * @param {string} criticalCSS - The critical CSS code
+ * @returns {string} The HTML code with deferred stylesheets
+ */
+export function deferStylesheets(code, links, criticalCSS) {
+  if (!links.length) return code;
+  const tags = links.map(({ start, end }) => code.slice(start, end));
+  const style = criticalCSS ? `<style>${criticalCSS}</style>` : '';
+  const fallback = `<noscript>${tags.join('')}</noscript>`;
+
+  const deferred = links.map((link, i) => {
+    const media = getAttribute(link, 'media')?.value.trim() || 'all';
+    const tag = tags[i]
+      .replace(/\smedia\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+)/i, '')
+      .replace(/\s*\/?>$/, ` media="print" data-media="${media}">`);
+    return (
+      (i === 0 ? style : '') +
+      tag +
+      (i === links.length - 1 ? APPLY_STYLESHEETS_SCRIPT + fallback : '')
+    );
+  });
+
+  for (let i = links.length - 1; i >= 0; --i)
+    code =
+      code.slice(0, links[i].start) + deferred[i] + code.slice(links[i].end);
+  return code;
+}
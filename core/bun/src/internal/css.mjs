@@ -0,0 +1,181 @@
+/**
+ * Matches the selectors of stylesheets against the markup of pages, and
+ * filters the rules of stylesheets. Selectors are matched with Bun's
+ * HTMLRewriter; those it cannot match are approximated by broader ones.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import postcss from 'postcss';
+
+// At-rules whose rules only apply under a condition, kept if any of their
+// rules is kept.
+const CONDITIONAL_AT_RULES = new Set([
+  'container',
+  'layer',
+  'media',
+  'supports',
+]);
+
+// Regular expression to match pseudo-classes and pseudo-elements, with one
+// level of nested parentheses in their arguments.
+const REGEX_PSEUDO = /::?[\w-]+(?:\((?:[^()]|\([^()]*\))*\))?/g;
+
+// Regular expression to match attribute conditions on the root element,
+// such as its theme, which scripts set before the page renders.
+const REGEX_ROOT_ATTRIBUTES = /^(?:html|:root)(?:\[[^\]]*\])+/;
+
+/**
+ * Gets the selectors that can be matched against a page for a selector,
+ * from the most to the least accurate. The HTML rewriter only supports
+ * structural pseudo-classes and child or descendant combinators, so the
+ * others are approximated by broader selectors.
+ *
+ * @param {string} selector - The selector of a CSS rule
+ * @returns {Array<string>} The candidate selectors
+ */
+function matchableSelectors(selector) {
+  const root = selector.trim().replace(REGEX_ROOT_ATTRIBUTES, 'html');
+  // A pseudo-class standing for a whole compound selector matches any element
+  const stripped = root
+    .replace(REGEX_PSEUDO, (pseudo, offset) =>
+      /(?:^|[\s>+~])$/.test(root.slice(0, offset)) ? '*' : '',
+    )
+    .trim();
+  const subject = stripped.split(/\s*[>+~]\s*|\s+/).at(-1) || '*';
+  return [root, stripped, subject];
+}
+
+/**
+ * Checks if a node is inside a @keyframes rule.
+ *
+ * @param {import('postcss').Node} node - The node to check
+ * @returns {boolean} True if the node is a keyframe
+ */
+function isKeyframe(node) {
+  return node.parent?.type === 'atrule' && /keyframes$/i.test(node.parent.name);
+}
+
+/**
+ * Lists the selectors of the style rules of a stylesheet.
+ *
+ * @param {string} css - The CSS code of the stylesheet
+ * @returns {Set<string>} The selectors, keyframe selectors excluded
+ */
+export function listSelectors(css) {
+  const selectors = new Set();
+  postcss.parse(css).walkRules((rule) => {
+    if (!isKeyframe(rule)) for (const s of rule.selectors) selectors.add(s);
+  });
+  return selectors;
+}
+
+/**
+ * Finds the selectors matching elements of a page. Selectors that cannot
+ * be matched are reported as matching, to be safe.
+ *
+ * @param {string} html - The HTML code of the page
+ * @param {Iterable<string>} selectors - The selectors to match
+ * @param {Set<string>} [regions] - The names of the elements to match
+ *   within; only these elements, their content and the elements enclosing
+ *   them are matched. Every element is matched by default.
+ * @returns {Set<string>} The matching selectors
+ */
+export function matchSelectors(html, selectors, regions = undefined) {
+  const stack = []; // Open elements, enclosing the current one
+  const included = new Set(); // Identifiers of the elements to match
+  const matches = new Map(); // Identifiers of the matched elements
+  const unmatchable = new Set(); // Selectors the rewriter cannot match
+  let current = -1; // Identifier of the current element
+
+  // Track the elements within regions, their content and their ancestors
+  const rewriter = new HTMLRewriter().on('*', {
+    element(element) {
+      const node = {
+        id: ++current,
+        isIncluded:
+          !regions ||
+          regions.has(element.tagName) ||
+          !!stack.at(-1)?.isIncluded,
+      };
+      if (node.isIncluded)
+        for (const { id } of [...stack, node]) included.add(id);
+      if (!element.canHaveContent) return;
+      stack.push(node);
+      element.onEndTag(() => void stack.pop());
+    },
+  });
+
+  for (const selector of selectors) {
+    const ids = [];
+    const handler = { element: () => void ids.push(current) };
+    const isSupported = matchableSelectors(selector).some((candidate) => {
+      try {
+        rewriter.on(candidate, handler);
+        return true;
+      } catch {
+        return false;
+      }
+    });
+    if (isSupported) matches.set(selector, ids);
+    else unmatchable.add(selector);
+  }
+
+  rewriter.transform(html);
+
+  const matched = new Set(unmatchable);
+  for (const [selector, ids] of matches)
+    if (ids.some((id) => included.has(id))) matched.add(selector);
+  return matched;
+}
+
+/**
+ * Filters the style rules of a stylesheet. Comments, conditional at-rules
+ * left empty and the keyframes of removed animations are dropped too, while
+ * other at-rules such as font faces are kept.
+ *
+ * @param {string} css - The CSS code of the stylesheet
+ * @param {function(import('postcss').Rule): boolean} isKept - Checks if a
+ *   style rule is kept
+ * @returns {string} The filtered CSS code
+ */
+export function filterRules(css, isKept) {
+  const root = postcss.parse(css);
+
+  root.walk((node) => {
+    if (node.type === 'comment') node.remove();
+    else if (
+      node.type === 'rule' &&
+      node.parent.type !== 'rule' &&
+      !isKeyframe(node) &&
+      !isKept(node)
+    )
+      node.remove();
+  });
+
+  // Drop conditional at-rules left empty, innermost first
+  const atRules = [];
+  root.walkAtRules((atRule) => void atRules.push(atRule));
+  for (const atRule of atRules.reverse())
+    if (CONDITIONAL_AT_RULES.has(atRule.name) && !atRule.nodes?.length)
+      atRule.remove();
+
+  // Keep the keyframes of the animations still in use
+  const animations = [];
+  root.walkDecls(/^animation(-name)?$/i, (decl) => {
+    if (!isKeyframe(decl.parent)) animations.push(decl.value);
+  });
+  root.walkAtRules(/keyframes$/i, (atRule) => {
+    const name = atRule.params.trim();
+    if (!animations.some((value) => value.split(/[\s,]+/).includes(name)))
+      atRule.remove();
+  });
+
+  return root.toString().trim();
+}
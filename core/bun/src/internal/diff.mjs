@@ -0,0 +1,141 @@
+/**
+ * Compares two versions of a text line by line, for the content diffs of the
+ * build outputs. Diffs are printed in the unified format of `diff -u`.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+// Largest number of cells of the longest common subsequence table; changes
+// spanning more lines are shown as the removal of every old line then the
+// addition of every new one.
+const MAX_LCS_CELLS = 25_000_000;
+
+/**
+ * @typedef {Object} Edit
+ * @property {' '|'-'|'+'} type - Whether the line is kept, removed or added
+ * @property {string} line - The line
+ */
+
+/**
+ * Lists the edits turning a list of lines into another, keeping their
+ * longest common subsequence.
+ *
+ * @param {Array<string>} before - The old lines
+ * @param {Array<string>} after - The new lines
+ * @returns {Array<Edit>} The edits, in order
+ */
+export function diffEdits(before, after) {
+  // Common lines at both ends are kept as is
+  let start = 0;
+  while (
+    start < before.length &&
+    start < after.length &&
+    before[start] === after[start]
+  )
+    ++start;
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (
+    endBefore > start &&
+    endAfter > start &&
+    before[endBefore - 1] === after[endAfter - 1]
+  ) {
+    --endBefore;
+    --endAfter;
+  }
+
+  const a = before.slice(start, endBefore);
+  const b = after.slice(start, endAfter);
+  const middle = [];
+  if ((a.length + 1) * (b.length + 1) > MAX_LCS_CELLS) {
+    middle.push(...a.map((line) => ({ type: '-', line })));
+    middle.push(...b.map((line) => ({ type: '+', line })));
+  } else {
+    // Length of the longest common subsequence of every pair of suffixes
+    const lcs = Array.from(
+      { length: a.length + 1 },
+      () => new Uint32Array(b.length + 1),
+    );
+    for (let i = a.length - 1; i >= 0; --i)
+      for (let j = b.length - 1; j >= 0; --j)
+        lcs[i][j] =
+          a[i] === b[j] ?
+            lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length)
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        middle.push({ type: ' ', line: a[i] });
+        ++i;
+        ++j;
+      } else if (
+        i < a.length &&
+        (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])
+      )
+        middle.push({ type: '-', line: a[i++] });
+      else middle.push({ type: '+', line: b[j++] });
+  }
+
+  return [
+    ...before.slice(0, start).map((line) => ({ type: ' ', line })),
+    ...middle,
+    ...before.slice(endBefore).map((line) => ({ type: ' ', line })),
+  ];
+}
+
+/**
+ * Compares two lists of lines in the unified format, hunks only.
+ *
+ * @param {Array<string>} before - The old lines
+ * @param {Array<string>} after - The new lines
+ * @param {number} [context=3] - The number of unchanged lines shown around
+ *   every change
+ * @returns {string} The hunks, empty if the lines are equal
+ */
+export function unifiedDiff(before, after, context = 3) {
+  const edits = diffEdits(before, after);
+  const changes = edits.flatMap((edit, i) => (edit.type === ' ' ? [] : [i]));
+  if (!changes.length) return '';
+
+  // Group the changes whose context overlaps into hunks
+  const hunks = [];
+  for (const i of changes) {
+    const last = hunks.at(-1);
+    if (last && i - last.end <= 2 * context) last.end = i;
+    else hunks.push({ start: i, end: i });
+  }
+
+  // Line numbers where each edit starts, in the old and new lines
+  const lines = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const { type } of edits) {
+    lines.push([oldLine, newLine]);
+    if (type !== '+') ++oldLine;
+    if (type !== '-') ++newLine;
+  }
+
+  const output = [];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(edits.length, hunk.end + context + 1);
+    const slice = edits.slice(from, to);
+    const oldCount = slice.filter(({ type }) => type !== '+').length;
+    const newCount = slice.filter(({ type }) => type !== '-').length;
+    const [oldStart, newStart] = lines[from];
+    output.push(
+      `@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} ` +
+        `+${newCount ? newStart : newStart - 1},${newCount} @@`,
+      ...slice.map(({ type, line }) => `${type}${line}`),
+    );
+  }
+  return output.join('\n');
+}
@@ -0,0 +1,78 @@
+/**
+ * Tracks dependencies between pages, SSI includes, assets and ES modules.
+ * Stores the reverse edges (dependency to dependents) so that a change to any
+ * leaf can be propagated to every page that transitively depends on it.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+/**
+ * Represents a reverse-dependency graph keyed by pathname.
+ */
+export class DependencyGraph {
+  #dependents = new Map(); // Dependency pathname -> Set of dependent pathnames
+
+  /**
+   * Records that a node depends on another node.
+   *
+   * @param {string} dependent - The pathname of the node holding the reference
+   * @param {string} dependency - The pathname of the referenced node
+   */
+  addEdge(dependent, dependency) {
+    if (!this.#dependents.has(dependency))
+      this.#dependents.set(dependency, new Set());
+    this.#dependents.get(dependency).add(dependent);
+  }
+
+  /**
+   * Gets the nodes that directly depend on the given node.
+   *
+   * @param {string} pathname - The pathname of the node
+   * @returns {Array<string>} The direct dependents
+   */
+  dependentsOf(pathname) {
+    return [...(this.#dependents.get(pathname) || [])];
+  }
+
+  /**
+   * Gets every node that transitively depends on any of the given nodes.
+   * The given nodes are included in the result; cycles are tolerated.
+   *
+   * @param {Iterable<string>} pathnames - The pathnames of the changed nodes
+   * @returns {Set<string>} The invalidated pathnames
+   */
+  invalidate(pathnames) {
+    const invalidated = new Set(pathnames);
+    const queue = [...invalidated];
+
+    while (queue.length) {
+      for (const dependent of this.dependentsOf(queue.pop())) {
+        if (invalidated.has(dependent)) continue;
+        invalidated.add(dependent);
+        queue.push(dependent);
+      }
+    }
+
+    return invalidated;
+  }
+
+  /**
+   * Serializes the graph for the build manifest, with sorted keys and values
+   * so that unchanged graphs produce identical manifests.
+   *
+   * @returns {Object<string, Array<string>>} Dependents keyed by dependency
+   */
+  toJSON() {
+    return Object.fromEntries(
+      [...this.#dependents.keys()]
+        .sort()
+        .map((pathname) => [pathname, this.dependentsOf(pathname).sort()]),
+    );
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * Stages builds away from the live output and swaps them in once they
+ * succeed, so that a failed build never leaves a half-updated site. Every
+ * build swapped out is kept in the history of the output directory, by
+ * version, to be rolled back to.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import {
+  cp,
+  exists,
+  mkdir,
+  mkdtemp,
+  readdir,
+  rename,
+  rm,
+  stat,
+} from 'node:fs/promises';
+import { basename, dirname, join } from 'node:path';
+
+// Number of previous builds kept in the history when none is given.
+export const DEFAULT_KEEP = 3;
+
+// Directory of the previous builds, relative to the output directory.
+const HISTORY_DIR = 'history';
+
+/**
+ * Gets the directory of the previous builds.
+ *
+ * @param {string} outDir - The output directory
+ * @returns {string} The history directory
+ */
+export function getHistoryDir(outDir) {
+  return join(outDir, HISTORY_DIR);
+}
+
+/**
+ * Copies the outputs of the live build to a new staging directory, next to
+ * them so that they can be renamed into place, for the next build to update
+ * incrementally. The whole live output is copied on every build, rebuilds
+ * of watch mode included: it is what keeps a failed rebuild from breaking
+ * the site being served, at the cost of a copy of the output per build.
+ *
+ * @param {string} outDir - The output directory
+ * @param {Array<string>} outputs - The outputs of a build, relative to the
+ *   output directory
+ * @returns {Promise<string>} The staging directory, to swap in or remove
+ */
+export async function stageBuild(outDir, outputs) {
+  await mkdir(outDir, { recursive: true });
+  const stageDir = await mkdtemp(join(outDir, '.stage-'));
+  for (const output of outputs)
+    if (await exists(join(outDir, output)))
+      await cp(join(outDir, output), join(stageDir, output), {
+        recursive: true,
+      });
+  return stageDir;
+}
+
+/**
+ * Moves an output from a directory to another, replacing the one already
+ * there.
+ *
+ * @param {string} fromDir - The directory holding the output
+ * @param {string} toDir - The directory to move it to
+ * @param {string} output - The output, relative to both
+ * @returns {Promise<void>}
+ */
+async function moveOutput(fromDir, toDir, output) {
+  const to = join(toDir, output);
+  await mkdir(dirname(to), { recursive: true });
+  await rm(to, { recursive: true, force: true });
+  await rename(join(fromDir, output), to);
+}
+
+/**
+ * Moves outputs from a directory to another, replacing those already there.
+ *
+ * @param {string} fromDir - The directory holding the outputs
+ * @param {string} toDir - The directory to move them to
+ * @param {Array<string>} outputs - The outputs, relative to both
+ * @returns {Promise<void>}
+ */
+async function moveOutputs(fromDir, toDir, outputs) {
+  for (const output of outputs)
+    if (await exists(join(fromDir, output)))
+      await moveOutput(fromDir, toDir, output);
+}
+
+/**
+ * Swaps a staged build in place of the live one. Each live output is
+ * renamed aside into the history, then the staged one is renamed into its
+ * place, so that it is never seen half-written nor missing for longer than
+ * between two renames. If a rename fails, the live outputs already moved
+ * aside are restored before the error is thrown, and the staged build is
+ * discarded.
+ *
+ * The live build is kept in the history under the version of its manifest,
+ * replacing the previous build of the same version, and only the newest
+ * builds are kept.
+ *
+ * @param {string} outDir - The output directory
+ * @param {string} stageDir - The staging directory
+ * @param {Array<string>} outputs - The outputs of a build, relative to the
+ *   output directory
+ * @param {string} manifest - The path of the build manifest, relative to
+ *   the output directory
+ * @param {number} [keep=DEFAULT_KEEP] - The number of builds to keep
+ * @returns {Promise<string|null>} The version of the build swapped out, if
+ *   any
+ */
+export async function swapBuild(
+  outDir,
+  stageDir,
+  outputs,
+  manifest,
+  keep = DEFAULT_KEEP,
+) {
+  const historyDir = getHistoryDir(outDir);
+  let version = null;
+  let versionDir = null;
+  if (await exists(join(outDir, outputs[0]))) {
+    const live = await Bun.file(join(outDir, manifest))
+      .json()
+      .catch(() => ({}));
+    version = live.version || 'unversioned';
+    versionDir = join(historyDir, version);
+    await rm(versionDir, { recursive: true, force: true });
+  }
+
+  const movedAside = [];
+  try {
+    for (const output of outputs) {
+      if (versionDir && (await exists(join(outDir, output)))) {
+        await moveOutput(outDir, versionDir, output);
+        movedAside.push(output);
+      }
+      if (await exists(join(stageDir, output)))
+        await moveOutput(stageDir, outDir, output);
+    }
+  } catch (error) {
+    for (const output of movedAside.reverse())
+      await moveOutput(versionDir, outDir, output);
+    if (versionDir) await rm(versionDir, { recursive: true, force: true });
+    throw error;
+  } finally {
+    await rm(stageDir, { recursive: true, force: true });
+  }
+
+  // Drop the oldest builds, by the time they were swapped out
+  const builds = await listBuilds(outDir);
+  for (const { version } of builds.slice(Math.max(0, keep)))
+    await rm(join(historyDir, version), { recursive: true, force: true });
+  return version;
+}
+
+/**
+ * Publishes a staged build: swaps it in place of the live one if it changed
+ * any output, or only updates the manifest of the live build otherwise, so
+ * that the history keeps builds that differ. Failed builds are discarded,
+ * leaving the live build as it was.
+ *
+ * @param {string} outDir - The output directory
+ * @param {string} stageDir - The staging directory
+ * @param {import('./report.mjs').BuildReport} report - The report of the
+ *   staged build
+ * @param {Array<string>} outputs - The outputs of a build, relative to the
+ *   output directory
+ * @param {string} manifest - The path of the build manifest, relative to
+ *   the output directory
+ * @param {number} [keep=DEFAULT_KEEP] - The number of builds to keep
+ * @returns {Promise<boolean>} True if the staged build was swapped in
+ */
+export async function publishBuild(
+  outDir,
+  stageDir,
+  report,
+  outputs,
+  manifest,
+  keep = DEFAULT_KEEP,
+) {
+  if (report.hasChange && !report.hasFailed) {
+    await swapBuild(outDir, stageDir, outputs, manifest, keep);
+    return true;
+  }
+  const staged = Bun.file(join(stageDir, manifest));
+  if (!report.hasFailed && (await staged.exists()))
+    await Bun.write(join(outDir, manifest), staged);
+  await rm(stageDir, { recursive: true, force: true });
+  return false;
+}
+
+/**
+ * Lists the builds kept in the history, newest first.
+ *
+ * @param {string} outDir - The output directory
+ * @returns {Promise<Array<{version: string, time: Date}>>} The version of
+ *   every build and when it was swapped out
+ */
+export async function listBuilds(outDir) {
+  const historyDir = getHistoryDir(outDir);
+  if (!(await exists(historyDir))) return [];
+  const entries = await readdir(historyDir, { withFileTypes: true });
+  const builds = await Promise.all(
+    entries
+      .filter((entry) => entry.isDirectory())
+      .map(async ({ name }) => ({
+        version: name,
+        time: (await stat(join(historyDir, name))).mtime,
+      })),
+  );
+  return builds.sort((a, b) => b.time - a.time);
+}
+
+/**
+ * Restores a build of the history in place of the live one, which is kept
+ * in the history in turn.
+ *
+ * @param {string} outDir - The output directory
+ * @param {string} version - The version of the build to restore
+ * @param {Array<string>} outputs - The outputs of a build, relative to the
+ *   output directory
+ * @param {string} manifest - The path of the build manifest, relative to
+ *   the output directory
+ * @param {number} [keep=DEFAULT_KEEP] - The number of builds to keep
+ * @returns {Promise<void>}
+ * @throws {Error} If no build of the version is kept
+ */
+export async function rollbackBuild(
+  outDir,
+  version,
+  outputs,
+  manifest,
+  keep = DEFAULT_KEEP,
+) {
+  const versionDir = join(getHistoryDir(outDir), version);
+  // Versions name a directory of the history, never a path out of it
+  const isName = version && basename(version) === version && version[0] !== '.';
+  if (!isName || !(await exists(versionDir))) {
+    const versions = (await listBuilds(outDir)).map((build) => build.version);
+    throw new Error(
+      `No build of version ${version} to roll back to, ` +
+        `kept: ${versions.join(', ') || 'none'}`,
+    );
+  }
+  // Moved out of the history first, as the live build may take its place
+  const stageDir = await mkdtemp(join(outDir, '.stage-'));
+  await moveOutputs(versionDir, stageDir, outputs);
+  await rm(versionDir, { recursive: true, force: true });
+  await swapBuild(outDir, stageDir, outputs, manifest, keep);
+}
@@ -0,0 +1,143 @@
+/**
+ * Provides a lightweight HTML token stream built on the htmlparser2 tokenizer.
+ * Tokens keep the source offsets of tags, attribute values, comments and raw
+ * script/style text so that callers can rewrite the original markup in place
+ * without reformatting it.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { QuoteType, Tokenizer } from 'htmlparser2';
+
+// Elements whose content is raw text rather than markup.
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+/**
+ * @typedef {Object} HTMLAttribute
+ * @property {string} name - The lowercased attribute name
+ * @property {string} value - The raw attribute value, entities not decoded
+ * @property {number} start - The offset where the value starts
+ * @property {number} end - The offset where the value ends (exclusive)
+ */
+
+/**
+ * @typedef {Object} HTMLToken
+ * @property {'tag'|'closetag'|'comment'|'text'} type - The token type
+ * @property {number} start - The offset where the token starts
+ * @property {number} end - The offset where the token ends (exclusive)
+ * @property {string} [name] - The lowercased tag name (tags only)
+ * @property {Array<HTMLAttribute>} [attrs] - The attributes (tags only)
+ * @property {string} [data] - The comment content (comments only)
+ * @property {HTMLToken} [parent] - The enclosing script or style tag (raw
+ *   text only)
+ */
+
+/**
+ * Splits HTML code into tags, closing tags, comments and raw text tokens.
+ * Plain text outside of script and style elements is not reported.
+ *
+ * @param {string} html - The HTML code to tokenize
+ * @returns {Array<HTMLToken>} The tokens, in source order
+ */
+export function tokenize(html) {
+  const tokens = [];
+  let tag = null;
+  let attr = null;
+  let rawTextParent = null;
+
+  function endOpenTag(endIndex) {
+    tag.end = endIndex + 1;
+    tokens.push(tag);
+    if (RAW_TEXT_ELEMENTS.has(tag.name)) rawTextParent = tag;
+    tag = null;
+  }
+
+  const tokenizer = new Tokenizer(
+    { decodeEntities: false },
+    {
+      onopentagname(start, endIndex) {
+        const name = html.slice(start, endIndex).toLowerCase();
+        tag = { type: 'tag', name, start: start - 1, end: 0, attrs: [] };
+      },
+      onattribname(start, endIndex) {
+        const name = html.slice(start, endIndex).toLowerCase();
+        attr = { name, value: '', start: -1, end: -1 };
+      },
+      onattribdata(start, endIndex) {
+        if (attr.start < 0) attr.start = start;
+        attr.end = endIndex;
+      },
+      onattribentity() {},
+      onattribend(quote, endIndex) {
+        if (attr.start < 0) {
+          // Empty or missing value, point right before the closing quote
+          const isQuoted =
+            quote === QuoteType.Double || quote === QuoteType.Single;
+          attr.start = attr.end = isQuoted ? endIndex - 1 : endIndex;
+        }
+        attr.value = html.slice(attr.start, attr.end);
+        tag.attrs.push(attr);
+        attr = null;
+      },
+      onopentagend: endOpenTag,
+      onselfclosingtag: endOpenTag,
+      onclosetag(start, endIndex) {
+        const name = html.slice(start, endIndex).toLowerCase();
+        tokens.push({
+          type: 'closetag',
+          name,
+          start: start - 2,
+          end: endIndex + 1,
+        });
+        rawTextParent = null;
+      },
+      oncomment(start, endIndex, endOffset) {
+        tokens.push({
+          type: 'comment',
+          data: html.slice(start, endIndex - endOffset),
+          start: start - 4,
+          end: endIndex + 1,
+        });
+      },
+      ontext(start, endIndex) {
+        if (!rawTextParent) return;
+        const last = tokens.at(-1);
+        // Merge consecutive chunks of the same raw text
+        if (last.type === 'text' && last.end === start) last.end = endIndex;
+        else
+          tokens.push({
+            type: 'text',
+            start,
+            end: endIndex,
+            parent: rawTextParent,
+          });
+      },
+      ontextentity() {},
+      oncdata() {},
+      ondeclaration() {},
+      onprocessinginstruction() {},
+      onend() {},
+    },
+  );
+
+  tokenizer.write(html);
+  tokenizer.end();
+  return tokens;
+}
+
+/**
+ * Gets an attribute of a tag token by name.
+ *
+ * @param {HTMLToken} tag - The tag token
+ * @param {string} name - The lowercased attribute name
+ * @returns {HTMLAttribute|undefined} The attribute, if present
+ */
+export function getAttribute(tag, name) {
+  return tag.attrs.find((attr) => attr.name === name);
+}
@@ -0,0 +1,122 @@
+/**
+ * Generates the responsive variants of raster images and the markup offering
+ * them to browsers. Images are resized to a set of widths and encoded in
+ * modern formats (AVIF, WebP), then <img> tags are rendered as <picture>
+ * elements with srcset, sizes and the intrinsic size of the image.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import sharp from 'sharp';
+import { getAttribute } from './html.mjs';
+
+// Regular expression to match raster images that can be resized.
+export const REGEX_RASTER_IMAGE = /\.(jpe?g|png)$/i;
+
+// Widths of the resized variants, only those below the image width are kept.
+const VARIANT_WIDTHS = [320, 640, 960, 1280, 1920];
+
+// Modern formats offered before the original one, in order of preference.
+const VARIANT_FORMATS = ['avif', 'webp'];
+
+// Sizes used when the <img> tag does not describe its displayed width.
+const DEFAULT_SIZES = '100vw';
+
+/**
+ * @typedef {Object} ResponsiveImage
+ * @property {string} src - The output pathname of the original image
+ * @property {string} format - The format of the original image
+ * @property {number} width - The intrinsic width of the original image
+ * @property {number} height - The intrinsic height of the original image
+ * @property {Array<{outPathname: string, format: string, width: number}>}
+ *   variants - The resized and re-encoded copies of the image
+ */
+
+/**
+ * Creates the variants of a raster image: every variant width below its own
+ * in the original format, and every width including its own in the modern
+ * formats.
+ *
+ * @param {ArrayBuffer|Buffer} input - The content of the image
+ * @returns {Promise<{format: string, width: number, height: number,
+ *   variants: Array<{format: string, width: number, content: Buffer}>}>}
+ *   The format and intrinsic size of the image, and its variants
+ */
+export async function createVariants(input) {
+  const { format, width, height } = await sharp(input).metadata();
+  const widths = [...VARIANT_WIDTHS.filter((w) => w < width), width];
+
+  const variants = [];
+  for (const format_ of [...VARIANT_FORMATS, format])
+    for (const width_ of widths)
+      // The original image already covers its own width and format
+      if (format_ !== format || width_ !== width)
+        variants.push({ format: format_, width: width_ });
+
+  // Encode one variant at a time, as images are already built a few at a
+  // time and sharp spreads each encode across the threads of libvips
+  for (const variant of variants)
+    variant.content = await sharp(input)
+      .resize({ width: variant.width })
+      .toFormat(variant.format)
+      .toBuffer();
+
+  return { format, width, height, variants };
+}
+
+/**
+ * Builds the srcset of an image for one format.
+ *
+ * @param {ResponsiveImage} image - The image and its variants
+ * @param {string} format - The format of the candidates
+ * @returns {string} The comma-separated candidates with width descriptors
+ */
+function srcsetOf(image, format) {
+  const candidates = image.variants.filter((v) => v.format === format);
+  if (format === image.format)
+    candidates.push({ outPathname: image.src, width: image.width });
+  return candidates
+    .map(({ outPathname, width }) => `${outPathname} ${width}w`)
+    .join(', ');
+}
+
+/**
+ * Renders an <img> tag as a <picture> element offering the variants of its
+ * image. The displayed width is read from the optional data-sizes attribute
+ * of the tag, which is replaced by the standard sizes attribute.
+ *
+ * @param {string} code - The HTML code holding the tag
+ * @param {import('./html.mjs').HTMLToken} tag - The img tag token
+ * @param {ResponsiveImage} image - The image and its variants
+ * @returns {string} The <picture> markup replacing the tag
+ */
+export function renderPicture(code, tag, image) {
+  const sizes = getAttribute(tag, 'data-sizes')?.value.trim() || DEFAULT_SIZES;
+
+  const sources = VARIANT_FORMATS.map(
+    (format) =>
+      `<source type="image/${format}" srcset="${srcsetOf(image, format)}"` +
+      ` sizes="${sizes}">`,
+  );
+
+  const attrs = [
+    `srcset="${srcsetOf(image, image.format)}"`,
+    `sizes="${sizes}"`,
+  ];
+  // Reserve the space of the image before it loads to avoid layout shifts
+  if (!getAttribute(tag, 'width') && !getAttribute(tag, 'height'))
+    attrs.push(`width="${image.width}"`, `height="${image.height}"`);
+
+  const img = code
+    .slice(tag.start, tag.end)
+    .replace(/\s+data-sizes\s*=\s*(["'])[^"']*\1/i, '')
+    .replace(/\s*\/?>$/, ` ${attrs.join(' ')}>`);
+
+  return `<picture>${sources.join('')}${img}</picture>`;
+}
@@ -0,0 +1,116 @@
+/**
+ * Renders pages into shared layouts. Pages declare their variables, such as
+ * their title or language, in a YAML front-matter block, and the layout
+ * places them with a subset of the Mustache syntax:
+ *
+ * - `{{ name }}` inserts a variable, HTML-escaped.
+ * - `{{{ name }}}` inserts a variable as is, such as the page `content`.
+ * - `{{#name}}...{{/name}}` renders its block once if the variable is set,
+ *   or once per item of a list, where `{{ . }}` is the item.
+ * - `{{^name}}...{{/name}}` renders its block if the variable is unset or an
+ *   empty list.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+// Layout of the pages whose front-matter does not name one.
+export const DEFAULT_LAYOUT = '/_layout.html';
+
+// Regular expression to match the front-matter block at the top of a page.
+const REGEX_FRONT_MATTER =
+  /^---\r?\n(?:([\s\S]*?)\r?\n)?---[^\S\r\n]*(?:\r?\n|$)/;
+
+// Regular expression to match the sections of a template. Sections of the
+// same name cannot be nested.
+const REGEX_SECTION =
+  /\{\{([#^])\s*([\w.-]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+
+// Regular expression to match the lines holding nothing but a section tag,
+// which are removed along with the tag so that sections leave no blank line.
+const REGEX_STANDALONE_TAG = /^[^\S\r\n]*(\{\{[#^/][^}]*\}\})[^\S\r\n]*\r?\n/gm;
+
+// Regular expression to match the raw and escaped variables of a template.
+const REGEX_VARIABLE = /\{\{\{\s*([\w.-]+)\s*\}\}\}|\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Escapes the characters of a string that are special in HTML.
+ *
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeHTML(text) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+  return text.replace(/[&<>"]/g, (c) => entities[c]);
+}
+
+/**
+ * Splits the front-matter of a page from its content.
+ *
+ * @param {string} code - The code of the page
+ * @returns {{data: Object|null, content: string}} The front-matter
+ *   variables, null if the page has none, and the content that follows
+ */
+export function parseFrontMatter(code) {
+  const match = code.match(REGEX_FRONT_MATTER);
+  if (!match) return { data: null, content: code };
+  const data = Bun.YAML.parse(match[1] ?? '') ?? {};
+  if (typeof data !== 'object' || Array.isArray(data))
+    throw new Error('The front-matter must be a mapping of variables');
+  return { data, content: code.slice(match[0].length) };
+}
+
+/**
+ * Renders a template with variables.
+ *
+ * @param {string} template - The template code
+ * @param {Object} variables - The variables, by name
+ * @returns {string} The rendered code
+ */
+export function renderTemplate(template, variables) {
+  template = template.replace(REGEX_STANDALONE_TAG, '$1');
+  const rendered = template.replace(REGEX_SECTION, (_, type, name, block) => {
+    const value = variables[name];
+    const isEmpty = Array.isArray(value) ? !value.length : !value;
+    if (type === '^') return isEmpty ? renderTemplate(block, variables) : '';
+    if (isEmpty) return '';
+    if (!Array.isArray(value)) return renderTemplate(block, variables);
+    return value
+      .map((item) =>
+        renderTemplate(block, {
+          ...variables,
+          ...(typeof item === 'object' ? item : {}),
+          '.': item,
+        }),
+      )
+      .join('');
+  });
+
+  return rendered.replace(REGEX_VARIABLE, (_, raw, escaped) => {
+    const value = String(variables[raw ?? escaped] ?? '');
+    return raw ? value : escapeHTML(value);
+  });
+}
+
+/**
+ * Renders a page into its layout. The front-matter of the layout holds the
+ * default values of the variables of its pages.
+ *
+ * @param {string} layout - The code of the layout
+ * @param {Object} data - The front-matter variables of the page
+ * @param {string} content - The content of the page
+ * @returns {string} The code of the page
+ */
+export function renderLayout(layout, data, content) {
+  const { data: defaults, content: template } = parseFrontMatter(layout);
+  return renderTemplate(template, {
+    ...defaults,
+    ...data,
+    content: content.trimEnd(),
+  });
+}
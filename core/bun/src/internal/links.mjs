@@ -0,0 +1,179 @@
+/**
+ * Audits the outbound links of the site, such as profiles and project
+ * repositories. URLs are checked against an audit file holding an allowlist
+ * and a cache of previous checks, so that the audit can run offline in CI
+ * once the cache is up to date, and only stale or failed URLs are fetched
+ * again otherwise.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { runPool } from './pool.mjs';
+
+// Regular expression to match absolute HTTP URLs in source files. Template
+// variables and the quotes, brackets and tags around URLs end them.
+const REGEX_URL = /\bhttps?:\/\/[^\s"'`<>(){}\\]+/g;
+
+// Time given to a server to answer, in milliseconds.
+const CHECK_TIMEOUT = 10_000;
+
+// Concurrent requests, spread across hosts as found.
+const CHECK_CONCURRENCY = 4;
+
+// Statuses of servers refusing automated requests whatever the page, such as
+// the 999 of LinkedIn. They tell that the server answered, but not whether
+// the page exists.
+const REFUSED_STATUSES = [999];
+
+/**
+ * @typedef {Object} CachedCheck
+ * @property {number} status - The HTTP status of the URL, 0 if unreachable
+ * @property {string} checked - When the URL was checked, as an ISO date
+ */
+
+/**
+ * @typedef {Object} LinkAudit
+ * @property {Array<string>} allow - Patterns of the URLs never checked,
+ *   where '*' matches any text
+ * @property {Object<string, CachedCheck>} cache - The last check of every
+ *   URL, by URL
+ */
+
+/**
+ * @typedef {'ok'|'allowed'|'refused'|'broken'|'unchecked'} LinkStatus
+ */
+
+/**
+ * Finds the absolute HTTP URLs of a source file, with their line. URLs
+ * built from template variables are left out, as they are only complete
+ * once rendered.
+ *
+ * @param {string} code - The code of the source file
+ * @returns {Array<{url: string, line: number}>} The URLs, in source order
+ */
+export function findOutboundURLs(code) {
+  const urls = [];
+  for (const match of code.matchAll(REGEX_URL)) {
+    if (code[match.index + match[0].length] === '{') continue;
+    const url = match[0].replace(/[.,;:!?]+$/, '').replace(/&amp;/g, '&');
+    const line = code.slice(0, match.index).split('\n').length;
+    urls.push({ url, line });
+  }
+  return urls;
+}
+
+/**
+ * Checks if a URL matches a pattern of the allowlist.
+ *
+ * @param {string} url - The URL
+ * @param {Array<string>} patterns - The patterns, where '*' matches any text
+ * @returns {boolean} True if the URL is allowed without a check
+ */
+export function isAllowed(url, patterns) {
+  return patterns.some((pattern) => {
+    const source = pattern
+      .split('*')
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}$`).test(url);
+  });
+}
+
+/**
+ * Fetches a URL to get its HTTP status, with a HEAD request first, then a
+ * GET request for servers that refuse HEAD requests.
+ *
+ * @param {string} url - The URL
+ * @returns {Promise<number>} The HTTP status, 0 if the server is unreachable
+ */
+export async function checkURL(url) {
+  for (const method of ['HEAD', 'GET']) {
+    try {
+      const response = await fetch(url, {
+        method,
+        redirect: 'follow',
+        signal: AbortSignal.timeout(CHECK_TIMEOUT),
+      });
+      await response.body?.cancel();
+      if (method === 'GET' || ![403, 405, 501].includes(response.status))
+        return response.status;
+    } catch {
+      if (method === 'GET') return 0;
+    }
+  }
+}
+
+/**
+ * Gets the status of a link from the HTTP status of its URL.
+ *
+ * @param {number} code - The HTTP status, 0 if the server is unreachable
+ * @returns {LinkStatus} The status of the link
+ */
+function statusOf(code) {
+  if (code >= 200 && code < 400) return 'ok';
+  return REFUSED_STATUSES.includes(code) ? 'refused' : 'broken';
+}
+
+/**
+ * Audits URLs. Allowed URLs are never checked. Offline, the others are
+ * judged by their cached check, and are unchecked if they have none.
+ * Online, URLs without a recent check that succeeded or was refused are
+ * fetched again and their check is cached. Refused URLs are reported apart
+ * from broken ones, as their server answered without telling whether the
+ * page exists.
+ *
+ * @param {Array<string>} urls - The URLs to audit
+ * @param {LinkAudit} audit - The allowlist and cache, updated in place
+ * @param {Object} [options] - The audit options
+ * @param {boolean} [options.offline=false] - If true, never fetches URLs
+ * @param {number} [options.maxAge=30] - The days a successful check is
+ *   trusted for
+ * @param {Date} [options.now] - The current time
+ * @param {function(string): Promise<number>} [options.check=checkURL] -
+ *   Gets the HTTP status of a URL
+ * @returns {Promise<Map<string, {status: LinkStatus, code: number|null}>>}
+ *   The status of every URL and its HTTP status, if checked
+ */
+export async function auditURLs(urls, audit, options = {}) {
+  const {
+    offline = false,
+    maxAge = 30,
+    now = new Date(),
+    check = checkURL,
+  } = options;
+  const isFresh = (cached) =>
+    statusOf(cached.status) !== 'broken' &&
+    now - new Date(cached.checked) < maxAge * 24 * 60 * 60 * 1000;
+
+  const results = new Map();
+  const stale = [];
+  for (const url of new Set(urls)) {
+    const cached = audit.cache[url];
+    if (isAllowed(url, audit.allow))
+      results.set(url, { status: 'allowed', code: null });
+    else if (cached && (offline || isFresh(cached)))
+      results.set(url, {
+        status: statusOf(cached.status),
+        code: cached.status,
+      });
+    else if (offline) results.set(url, { status: 'unchecked', code: null });
+    else stale.push(url);
+  }
+
+  await runPool(
+    stale,
+    async (url) => {
+      const code = await check(url);
+      audit.cache[url] = { status: code, checked: now.toISOString() };
+      results.set(url, { status: statusOf(code), code });
+    },
+    CHECK_CONCURRENCY,
+  );
+  return results;
+}
@@ -0,0 +1,84 @@
+/**
+ * Minifies the scripts, stylesheets and pages of the site, with esbuild for
+ * JavaScript and CSS, and html-minifier-terser for HTML.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import * as esbuild from 'esbuild';
+import { minify as minifyHTML } from 'html-minifier-terser';
+
+/**
+ * Minifies JavaScript code using esbuild.
+ *
+ * @param {string} input - The JavaScript code to minify
+ * @returns {Promise<string>} The minified JavaScript code
+ */
+export async function minifyJS(input) {
+  const { code } = await esbuild.transform(input, {
+    loader: 'js',
+    minify: true,
+    target: 'esnext',
+  });
+  return code;
+}
+
+/**
+ * Minifies CSS code using esbuild.
+ *
+ * @param {string} input - The CSS code to minify
+ * @returns {Promise<string>} The minified CSS code
+ */
+export async function minifyCSS(input) {
+  const { code } = await esbuild.transform(input, {
+    loader: 'css',
+    minify: true,
+  });
+  return code;
+}
+
+/**
+ * Minifies CSS code found in HTML using esbuild. Style attributes hold
+ * declarations and media attributes hold media queries rather than a
+ * stylesheet, so they are wrapped in a rule while minified.
+ *
+ * @param {string} input - The CSS code to minify
+ * @param {'inline'|'media'} [type] - The attribute holding the code, if any
+ * @returns {Promise<string>} The minified CSS code
+ */
+async function minifyHTMLCSS(input, type = undefined) {
+  if (type === 'inline')
+    return (await minifyCSS(`*{${input}}`)).trim().slice(2, -1);
+  if (type === 'media') {
+    const code = await minifyCSS(`@media ${input}{a{top:0}}`);
+    return code.match(/^@media\s*([\s\S]*?)\s*\{/)?.[1] ?? input;
+  }
+  return minifyCSS(input);
+}
+
+/**
+ * Minifies the HTML of a page and strips its comments, as the profile
+ * requires. Inline scripts and styles are minified along with it.
+ *
+ * @param {string} code - The HTML code of the page
+ * @param {import('./profiles.mjs').BuildProfile} profile - The build profile
+ * @returns {Promise<string>} The minified HTML code
+ */
+export function minifyPage(code, profile) {
+  return minifyHTML(code, {
+    collapseWhitespace: profile.minify,
+    minifyJS: profile.minify && minifyJS,
+    minifyCSS: profile.minify && minifyHTMLCSS,
+    html5: true,
+    removeComments: profile.removeComments,
+    useShortDoctype: profile.minify,
+    sortAttributes: profile.minify,
+    sortClassName: profile.minify,
+  });
+}
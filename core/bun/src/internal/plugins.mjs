@@ -0,0 +1,261 @@
+/**
+ * Runs the plugins of the bundler. Plugins register hooks for the steps of a
+ * build: discovering source files, transforming the content of assets,
+ * transforming pages before and after their Server Side Includes are
+ * expanded, and finishing the build. The behaviors of the bundler itself are
+ * built-in plugins, and the project config file adds its own.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { exists } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+
+// Rank of the plugins by order: 'pre' plugins run before the built-in ones,
+// 'post' plugins after every other.
+const ORDER_RANKS = { pre: 0, normal: 1, post: 2 };
+
+// Hooks a plugin may register, besides its name, order and file pattern.
+const HOOKS = [
+  'discover',
+  'transformAsset',
+  'transformPageSource',
+  'transformPage',
+  'postBuild',
+];
+
+/**
+ * @typedef {'page'|'asset'|'ignore'} FileKind
+ */
+
+/**
+ * @typedef {Object} AssetFile
+ * @property {string} pathname - The pathname of the source file
+ * @property {string|ArrayBuffer} content - The content to write, text for
+ *   scripts, stylesheets and .htaccess files
+ * @property {string|null} outname - The output filename, null for a name
+ *   made of the hash of the content
+ */
+
+/**
+ * @typedef {Object} PageFile
+ * @property {string} pathname - The pathname of the source file
+ * @property {string} outPathname - The pathname of the output file
+ * @property {string} code - The HTML code of the page
+ * @property {Array<import('./sitemap.mjs').Alternate>} [alternates] - The
+ *   translations of the page, once SSI are expanded
+ */
+
+/**
+ * @typedef {Object} Plugin
+ * @property {string} name - The name of the plugin, in errors and manifests
+ * @property {'pre'|'post'} [order] - Whether the plugin runs before the
+ *   built-in plugins, or after every other; plugins run in the order they
+ *   are configured otherwise
+ * @property {RegExp} [test] - The pathnames of the source files the
+ *   transform hooks apply to, every file if omitted
+ * @property {function(string): (FileKind|undefined)} [discover] - Tells
+ *   whether a source file is a page, an asset or ignored, given its
+ *   pathname; the first plugin to answer decides
+ * @property {function(AssetFile, Object): Promise<Partial<AssetFile>|void>}
+ *   [transformAsset] - Transforms the content of an asset before it is
+ *   named and written
+ * @property {function(PageFile, Object): Promise<Partial<PageFile>|void>}
+ *   [transformPageSource] - Transforms a page as read, before its SSI are
+ *   expanded and its references scanned
+ * @property {function(PageFile, Object): Promise<Partial<PageFile>|void>}
+ *   [transformPage] - Transforms a page once its SSI are expanded and its
+ *   references point to the outputs, before it is written
+ * @property {function(PostBuildContext): Promise<void>} [postBuild] - Runs
+ *   once every page and asset is built
+ * @property {Array<string>} [emits] - The pathnames of the files the
+ *   post-build hook emits, which pages may link to as if they were assets
+ */
+
+/**
+ * @typedef {Object} PostBuildContext
+ * @property {string} srcDir - The source directory
+ * @property {string} outDir - The output directory of the site
+ * @property {import('./profiles.mjs').BuildProfile} profile - The build
+ *   profile
+ * @property {import('./report.mjs').BuildReport} report - The report of the
+ *   build so far
+ * @property {Object} manifest - The manifest of the build, listing the
+ *   outputs of its pages and assets
+ * @property {Object} previous - The manifest of the previous build, empty
+ *   for full rebuilds
+ * @property {function(string, string|ArrayBuffer): Promise<void>} emit -
+ *   Writes a file to the output directory, given its pathname, and keeps it
+ *   from being cleaned up
+ * @property {function(string): void} keep - Keeps a file a previous build
+ *   emitted from being cleaned up, given its pathname, without writing it
+ */
+
+/**
+ * Checks a plugin, so that mistakes in the config file fail early.
+ *
+ * @param {Plugin} plugin - The plugin
+ * @throws {Error} If the plugin has no name, or an invalid order, hook or
+ *   list of emitted files
+ */
+function validatePlugin(plugin) {
+  if (typeof plugin?.name !== 'string' || !plugin.name)
+    throw new Error(`Invalid plugin without a name: ${JSON.stringify(plugin)}`);
+  if (plugin.order !== undefined && !['pre', 'post'].includes(plugin.order))
+    throw new Error(`Unknown order ${plugin.order} of plugin ${plugin.name}`);
+  if (plugin.test !== undefined && !(plugin.test instanceof RegExp))
+    throw new Error(`Invalid test of plugin ${plugin.name}`);
+  if (plugin.emits !== undefined && !Array.isArray(plugin.emits))
+    throw new Error(`Invalid emits of plugin ${plugin.name}`);
+  for (const hook of HOOKS)
+    if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function')
+      throw new Error(`Invalid ${hook} hook of plugin ${plugin.name}`);
+}
+
+/**
+ * Loads the project config file of the bundler, if there is one.
+ *
+ * @param {string} path - The path of the config file
+ * @returns {Promise<{plugins: Array<Plugin>}>} The config
+ * @throws {Error} If the config lists an invalid plugin
+ */
+export async function loadConfig(path) {
+  if (!(await exists(path))) return { plugins: [] };
+  const config = (await import(pathToFileURL(path).href)).default ?? {};
+  const plugins = config.plugins ?? [];
+  if (!Array.isArray(plugins))
+    throw new Error(`Invalid plugins in ${path}, expected an array`);
+  for (const plugin of plugins) validatePlugin(plugin);
+  return { ...config, plugins };
+}
+
+/**
+ * Represents the plugins of a build, sorted in the order their hooks run.
+ */
+export class PluginHost {
+  #plugins = []; // Plugins, in the order their hooks run
+
+  /**
+   * Creates the host of the given plugins, sorted by order. Plugins of the
+   * same order keep the order they are given in.
+   *
+   * @param {Array<Plugin>} plugins - The built-in then configured plugins
+   */
+  constructor(plugins) {
+    for (const plugin of plugins) validatePlugin(plugin);
+    this.#plugins = plugins.toSorted(
+      (a, b) =>
+        ORDER_RANKS[a.order ?? 'normal'] - ORDER_RANKS[b.order ?? 'normal'],
+    );
+  }
+
+  /**
+   * Gets the names of the plugins, in the order their hooks run.
+   *
+   * @returns {Array<string>} The plugin names
+   */
+  get names() {
+    return this.#plugins.map(({ name }) => name);
+  }
+
+  /**
+   * Gets the pathnames of the files the plugins emit after the build.
+   *
+   * @returns {Set<string>} The pathnames
+   */
+  get emitted() {
+    return new Set(this.#plugins.flatMap(({ emits }) => emits ?? []));
+  }
+
+  /**
+   * Tells whether a source file is a page, an asset or ignored.
+   *
+   * @param {string} pathname - The pathname of the source file
+   * @returns {FileKind} The kind of file, ignored if no plugin answers
+   */
+  discover(pathname) {
+    for (const plugin of this.#plugins) {
+      const kind = plugin.discover?.(pathname);
+      if (kind !== undefined) return kind;
+    }
+    return 'ignore';
+  }
+
+  /**
+   * Runs a transform hook of every plugin matching a file, each one given
+   * the output of the previous one.
+   *
+   * @template {AssetFile|PageFile} T
+   * @param {string} hook - The name of the hook
+   * @param {T} file - The file to transform
+   * @param {Object} context - The build context given to the hook
+   * @returns {Promise<T>} The transformed file
+   */
+  async #transform(hook, file, context) {
+    for (const plugin of this.#plugins) {
+      if (!plugin[hook] || plugin.test?.test(file.pathname) === false) continue;
+      try {
+        file = { ...file, ...(await plugin[hook](file, context)) };
+      } catch (error) {
+        console.error(`Plugin ${plugin.name} failed on ${file.pathname}`);
+        throw error;
+      }
+    }
+    return file;
+  }
+
+  /**
+   * Transforms the content of an asset.
+   *
+   * @param {AssetFile} file - The asset
+   * @param {Object} context - The build context
+   * @returns {Promise<AssetFile>} The transformed asset
+   */
+  transformAsset(file, context) {
+    return this.#transform('transformAsset', file, context);
+  }
+
+  /**
+   * Transforms a page as read, before its SSI are expanded.
+   *
+   * @param {PageFile} page - The page
+   * @param {Object} context - The build context
+   * @returns {Promise<PageFile>} The transformed page
+   */
+  transformPageSource(page, context) {
+    return this.#transform('transformPageSource', page, context);
+  }
+
+  /**
+   * Transforms a page once its SSI are expanded, before it is written.
+   *
+   * @param {PageFile} page - The page
+   * @param {Object} context - The build context
+   * @returns {Promise<PageFile>} The transformed page
+   */
+  transformPage(page, context) {
+    return this.#transform('transformPage', page, context);
+  }
+
+  /**
+   * Runs the post-build hook of every plugin, one after another.
+   *
+   * @param {Object} context - The build context
+   * @returns {Promise<void>}
+   */
+  async postBuild(context) {
+    for (const plugin of this.#plugins)
+      try {
+        await plugin.postBuild?.(context);
+      } catch (error) {
+        console.error(`Plugin ${plugin.name} failed after the build`);
+        throw error;
+      }
+  }
+}
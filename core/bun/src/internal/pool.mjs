@@ -0,0 +1,52 @@
+/**
+ * Runs tasks with a bounded number of them in flight, so that building many
+ * images or pages at once does not exhaust memory or file handles.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { availableParallelism } from 'node:os';
+
+// Number of tasks in flight when none is given, one per CPU core.
+export const DEFAULT_CONCURRENCY = availableParallelism();
+
+/**
+ * Runs a task for every item, at most `concurrency` at a time. Like
+ * `Promise.allSettled`, a failed task does not stop the others.
+ *
+ * @template T, R
+ * @param {Array<T>} items - The items to process
+ * @param {function(T, number): Promise<R>} task - The task run for an item
+ *   and its index
+ * @param {number} [concurrency=DEFAULT_CONCURRENCY] - The maximum number of
+ *   tasks in flight
+ * @returns {Promise<Array<PromiseSettledResult<R>>>} The result of every
+ *   task, in the order of the items
+ */
+export async function runPool(items, task, concurrency = DEFAULT_CONCURRENCY) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  // Each worker takes the next item until none is left
+  async function work() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        const value = await task(items[index], index);
+        results[index] = { status: 'fulfilled', value };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+
+  const workers = Math.min(Math.floor(concurrency) || 1, items.length);
+  await Promise.all(Array.from({ length: workers }, work));
+  return results;
+}
@@ -0,0 +1,171 @@
+/**
+ * Previews what a build changes in the output directory. Dry runs build into
+ * a staged copy of the live build, discarded rather than swapped in, then
+ * list the files that would be written, renamed or deleted; the HTML outputs
+ * can also be compared to the previous build, line by line.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { exists } from 'node:fs/promises';
+import { join, posix } from 'node:path';
+import { unifiedDiff } from './diff.mjs';
+
+// Suffixes of the files renamed along with the output file of an asset:
+// its pre-compressed siblings.
+const SIBLING_SUFFIXES = ['', '.br', '.gz'];
+
+/**
+ * @typedef {Object} OutputFile
+ * @property {string} hash - The SHA256 digest of the file content
+ * @property {string|null} text - The content of HTML files, kept to compare
+ *   them once overwritten
+ */
+
+/**
+ * @typedef {Object} OutputChanges
+ * @property {Array<string>} written - The pathnames of the new or changed
+ *   files
+ * @property {Array<[string, string]>} renamed - The old and new pathnames of
+ *   the files renamed as their content hash changed
+ * @property {Array<string>} deleted - The pathnames of the removed files
+ */
+
+/**
+ * Hashes every file of a directory, keeping the content of HTML files.
+ *
+ * @param {string} dir - The directory
+ * @returns {Promise<Map<string, OutputFile>>} The files, by pathname
+ */
+export async function snapshotOutputs(dir) {
+  const files = new Map();
+  if (!(await exists(dir))) return files;
+  const glob = new Bun.Glob('**/*');
+  for await (const path of glob.scan({ cwd: dir, dot: true })) {
+    const pathname = `/${path.replace(/\\/g, '/')}`;
+    const content = await Bun.file(join(dir, path)).arrayBuffer();
+    files.set(pathname, {
+      hash: new Bun.CryptoHasher('sha256').update(content).digest('hex'),
+      text:
+        pathname.endsWith('.html') ? new TextDecoder().decode(content) : null,
+    });
+  }
+  return files;
+}
+
+/**
+ * Lists the output files renamed between two builds, as their content hash
+ * changed, from the manifests of both builds.
+ *
+ * @param {Object} oldManifest - The manifest of the previous build
+ * @param {Object} newManifest - The manifest of the build
+ * @returns {Array<[string, string]>} The old and new output pathnames
+ */
+export function findRenames(oldManifest, newManifest) {
+  const renames = [];
+  for (const [pathname, config] of Object.entries(newManifest.assets ?? {})) {
+    const previous = oldManifest.assets?.[pathname];
+    if (!previous) continue;
+    const dir = posix.dirname(pathname);
+    for (const key of ['outname', 'map'])
+      if (previous[key] && config[key] && previous[key] !== config[key])
+        renames.push([
+          posix.join(dir, previous[key]),
+          posix.join(dir, config[key]),
+        ]);
+  }
+  return renames;
+}
+
+/**
+ * Compares two snapshots of the output directory.
+ *
+ * @param {Map<string, OutputFile>} before - The files before the build
+ * @param {Map<string, OutputFile>} after - The files after the build
+ * @param {Array<[string, string]>} [renames=[]] - The output pathnames of
+ *   the assets renamed by the build
+ * @returns {OutputChanges} The changes
+ */
+export function planChanges(before, after, renames = []) {
+  const written = new Set(
+    [...after.keys()].filter((p) => before.get(p)?.hash !== after.get(p).hash),
+  );
+  const deleted = new Set([...before.keys()].filter((p) => !after.has(p)));
+
+  const renamed = [];
+  for (const [oldPathname, newPathname] of renames)
+    for (const suffix of SIBLING_SUFFIXES) {
+      const from = oldPathname + suffix;
+      const to = newPathname + suffix;
+      if (!deleted.has(from) || !written.has(to) || before.has(to)) continue;
+      deleted.delete(from);
+      written.delete(to);
+      renamed.push([from, to]);
+    }
+
+  return {
+    written: [...written].sort(),
+    renamed: renamed.sort(([a], [b]) => a.localeCompare(b)),
+    deleted: [...deleted].sort(),
+  };
+}
+
+/**
+ * Formats the changes of a dry run for the console.
+ *
+ * @param {OutputChanges} changes - The changes
+ * @returns {string} The list of changes
+ */
+export function formatChanges({ written, renamed, deleted }) {
+  const sections = [
+    ['write', written],
+    ['rename', renamed.map(([from, to]) => `${from} -> ${to}`)],
+    ['delete', deleted],
+  ];
+  return sections
+    .map(
+      ([verb, lines]) =>
+        `Would ${verb} ${lines.length} file(s)${lines.length ? ':' : ''}` +
+        lines.map((line) => `\n  ${line}`).join(''),
+    )
+    .join('\n');
+}
+
+/**
+ * Splits HTML code into lines at tag boundaries, since minified outputs are
+ * a single line.
+ *
+ * @param {string} code - The HTML code
+ * @returns {Array<string>} The lines
+ */
+function splitHTML(code) {
+  return code.replace(/>\s*</g, '>\n<').split('\n');
+}
+
+/**
+ * Compares the HTML outputs changed by a build to their previous version.
+ *
+ * @param {Map<string, OutputFile>} before - The files before the build
+ * @param {Map<string, OutputFile>} after - The files after the build
+ * @returns {string} The unified diff of every changed HTML file, empty if
+ *   none changed
+ */
+export function diffOutputs(before, after) {
+  const diffs = [];
+  for (const [pathname, file] of [...after].sort(([a], [b]) =>
+    a.localeCompare(b),
+  )) {
+    const previous = before.get(pathname);
+    if (file.text === null || !previous || previous.hash === file.hash)
+      continue;
+    const hunks = unifiedDiff(splitHTML(previous.text), splitHTML(file.text));
+    diffs.push(`--- a${pathname}\n+++ b${pathname}\n${hunks}`);
+  }
+  return diffs.join('\n');
+}
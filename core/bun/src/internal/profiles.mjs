@@ -0,0 +1,73 @@
+/**
+ * Defines the build profiles of the bundler. A profile controls whether
+ * scripts, stylesheets and pages are minified, whether scripts get source
+ * maps, and whether HTML comments are stripped from pages.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+// Ways to emit source maps: not at all, linked from the script with a
+// sourceMappingURL comment, or written next to it without being linked.
+const SOURCEMAP_MODES = ['none', 'linked', 'external'];
+
+/**
+ * @typedef {Object} BuildProfile
+ * @property {string} name - The name of the profile
+ * @property {boolean} minify - Whether scripts, stylesheets and pages are
+ *   minified
+ * @property {'none'|'linked'|'external'} sourcemap - How the source maps of
+ *   scripts are emitted
+ * @property {boolean} removeComments - Whether HTML comments are stripped
+ *   from pages
+ */
+
+/**
+ * The available build profiles, by name.
+ *
+ * @type {Object<string, BuildProfile>}
+ */
+export const PROFILES = {
+  dev: {
+    name: 'dev',
+    minify: false,
+    sourcemap: 'linked',
+    removeComments: false,
+  },
+  prod: {
+    name: 'prod',
+    minify: true,
+    sourcemap: 'none',
+    removeComments: true,
+  },
+};
+
+/**
+ * Gets a build profile by name, optionally overriding its source map mode.
+ *
+ * @param {string} [name='prod'] - The name of the profile
+ * @param {string} [sourcemap] - The source map mode overriding the profile's
+ * @returns {BuildProfile} The build profile
+ * @throws {Error} If the profile or the source map mode is unknown
+ */
+export function getProfile(name = 'prod', sourcemap = undefined) {
+  if (!Object.hasOwn(PROFILES, name))
+    throw new Error(
+      `Unknown build profile: ${name} (expected one of: ` +
+        `${Object.keys(PROFILES).join(', ')})`,
+    );
+
+  const profile = PROFILES[name];
+  if (sourcemap === undefined) return profile;
+  if (!SOURCEMAP_MODES.includes(sourcemap))
+    throw new Error(
+      `Unknown source map mode: ${sourcemap} (expected one of: ` +
+        `${SOURCEMAP_MODES.join(', ')})`,
+    );
+  return { ...profile, sourcemap };
+}
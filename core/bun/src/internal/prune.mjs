@@ -0,0 +1,104 @@
+/**
+ * Prunes the rules of stylesheets that no page uses. Selectors are matched
+ * against the markup of every page, SSI includes expanded, while classes
+ * that scripts add at runtime and elements that built-in plugins generate
+ * are kept through safelists.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { filterRules, listSelectors, matchSelectors } from './css.mjs';
+
+// Classes that scripts add at runtime, absent from the markup of pages.
+export const SAFELIST = [
+  'fade-in',
+  'fade-in-item',
+  'hyperlink-selected',
+  'input-invalid',
+  'input-valid',
+];
+
+// Elements that built-in plugins generate once stylesheets are built, such
+// as the <picture> wrapping responsive images, absent from the markup of
+// pages.
+export const SAFELIST_ELEMENTS = ['picture', 'source'];
+
+// Regular expression to match PHP code blocks, whose output is only known
+// at request time.
+const REGEX_PHP = /<\?(?:php|=)?[\s\S]*?(?:\?>|$)/g;
+
+/**
+ * Removes the rules of stylesheets whose selectors match no element of any
+ * page. Whether a selector is used is remembered across stylesheets.
+ */
+export class CSSPruner {
+  #pages = []; // Markup of every page, without PHP code
+  #safelist = null; // Regular expression matching safelisted classes
+  #elements = null; // Regular expression matching safelisted elements
+  #used = new Map(); // Whether each selector seen so far is used
+
+  /**
+   * Creates a new CSSPruner instance.
+   *
+   * @param {Array<string>} pages - The markup of every page
+   * @param {Array<string>} [safelist=SAFELIST] - The classes to keep rules
+   *   for, even if no page uses them
+   * @param {Array<string>} [elements=SAFELIST_ELEMENTS] - The elements to
+   *   keep rules for, even if no page uses them
+   */
+  constructor(pages, safelist = SAFELIST, elements = SAFELIST_ELEMENTS) {
+    this.#pages = pages.map((html) => html.replace(REGEX_PHP, ''));
+    const escape = (name) => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (safelist.length)
+      this.#safelist = new RegExp(
+        `\\.(?:${safelist.map(escape).join('|')})(?![\\w-])`,
+      );
+    if (elements.length)
+      this.#elements = new RegExp(
+        `(?:^|[\\s>+~(,])(?:${elements.map(escape).join('|')})(?![\\w-])`,
+        'i',
+      );
+  }
+
+  /**
+   * Checks if a selector targets a safelisted class or element.
+   *
+   * @param {string} selector - The selector
+   * @returns {boolean} True if the rules of the selector are kept
+   */
+  #isSafelisted(selector) {
+    return !!(this.#safelist?.test(selector) || this.#elements?.test(selector));
+  }
+
+  /**
+   * Prunes the unused rules of a stylesheet.
+   *
+   * @param {string} css - The CSS code of the stylesheet
+   * @returns {{code: string, saved: number}} The pruned CSS code and the
+   *   number of bytes saved
+   */
+  prune(css) {
+    const selectors = [...listSelectors(css)].filter((s) => !this.#used.has(s));
+    for (const selector of selectors)
+      this.#used.set(selector, this.#isSafelisted(selector));
+
+    let pending = selectors.filter((selector) => !this.#used.get(selector));
+    for (const html of this.#pages) {
+      if (!pending.length) break;
+      const matched = matchSelectors(html, pending);
+      for (const selector of matched) this.#used.set(selector, true);
+      pending = pending.filter((selector) => !matched.has(selector));
+    }
+
+    const code = filterRules(css, (rule) =>
+      rule.selectors.some((selector) => this.#used.get(selector)),
+    );
+    return { code, saved: Buffer.byteLength(css) - Buffer.byteLength(code) };
+  }
+}
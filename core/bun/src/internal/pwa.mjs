@@ -0,0 +1,259 @@
+/**
+ * Makes the site an installable Progressive Web App. The web app manifest
+ * is generated from the metadata of the start page and the SVG favicon,
+ * rendered to the PNG sizes installers require. The service worker
+ * precaches the hashed assets of the build manifest, serves the offline
+ * page of their language when navigations fail, and drops the caches of
+ * previous versions once a new one activates.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { posix } from 'node:path';
+import sharp from 'sharp';
+import { getAttribute, tokenize } from './html.mjs';
+
+// Pathnames of the files generated for the web app, which pages link to.
+export const WEB_MANIFEST_PATHNAME = '/manifest.webmanifest';
+export const SERVICE_WORKER_PATHNAME = '/sw.js';
+
+// Regular expression to match the offline page of a language, such as
+// '/en/offline.shtml'.
+const REGEX_OFFLINE_PAGE = /^\/([a-z]{2}(?:-[a-z]{2})?)\/offline\.s?html$/i;
+
+// Regular expression to match the outputs named by the hash of their
+// content, such as 'f7182051.min.css' or the 'j7neyvh8.min.js' chunks.
+const REGEX_HASHED = /^[0-9a-z]{8}\./;
+
+// Sizes of the PNG icons rendered from the SVG favicon, those installers
+// require.
+export const ICON_SIZES = [192, 512];
+
+// Highest density sharp rasterizes vectors at, in DPI.
+const MAX_DENSITY = 100_000;
+
+/**
+ * @typedef {Object} SiteMeta
+ * @property {string} name - The name of the site
+ * @property {string} description - The description of the site
+ * @property {string} lang - The language of the start page
+ * @property {string} themeColor - The color of the browser interface
+ */
+
+/**
+ * @typedef {Object} WebAppIcon
+ * @property {string} src - The pathname of the icon
+ * @property {string} sizes - The sizes of the icon, or 'any'
+ * @property {string} type - The MIME type of the icon
+ */
+
+/**
+ * Reads the name, description, language and theme color of the site from
+ * its start page.
+ *
+ * @param {string} code - The HTML code of the start page
+ * @returns {SiteMeta} The metadata of the site
+ */
+export function readSiteMeta(code) {
+  const meta = { name: '', description: '', lang: '', themeColor: '' };
+  let title = '';
+  const tokens = tokenize(code);
+  for (const [i, tag] of tokens.entries()) {
+    if (tag.type !== 'tag') continue;
+    const value = (name) => getAttribute(tag, name)?.value.trim() ?? '';
+    if (tag.name === 'html') meta.lang = value('lang');
+    else if (tag.name === 'title')
+      title = code.slice(tag.end, tokens[i + 1]?.start).trim();
+    else if (tag.name === 'meta' && value('property') === 'og:site_name')
+      meta.name = value('content');
+    else if (tag.name === 'meta' && value('name') === 'description')
+      meta.description = value('content');
+    else if (tag.name === 'meta' && value('name') === 'theme-color')
+      meta.themeColor = value('content');
+  }
+  meta.name ||= title;
+  return meta;
+}
+
+/**
+ * Lists the hashed outputs of a build: its scripts, chunks, stylesheets,
+ * fonts and images. Responsive images are left out, since browsers only
+ * fetch the variant they display.
+ *
+ * @param {Object} manifest - The build manifest
+ * @returns {Array<string>} The output pathnames, sorted
+ */
+export function listPrecache(manifest) {
+  const pathnames = new Set();
+  for (const [pathname, asset] of Object.entries(manifest.assets)) {
+    if (!REGEX_HASHED.test(asset.outname ?? '') || asset.image) continue;
+    pathnames.add(posix.join(posix.dirname(pathname), asset.outname));
+    for (const chunk of asset.chunks ?? []) pathnames.add(chunk.outPathname);
+  }
+  return [...pathnames].sort();
+}
+
+/**
+ * Finds the offline page of every language in a build manifest.
+ *
+ * @param {Object} manifest - The build manifest
+ * @returns {Object<string, string>} The URL of the offline pages, without
+ *   their extension as they are served, by language
+ */
+export function findOfflinePages(manifest) {
+  const pages = {};
+  for (const pathname of Object.keys(manifest.pages).sort()) {
+    const match = pathname.match(REGEX_OFFLINE_PAGE);
+    if (match) pages[match[1]] = pathname.replace(/\.s?html$/, '');
+  }
+  return pages;
+}
+
+/**
+ * Renders an SVG icon as a square PNG icon.
+ *
+ * @param {Buffer|ArrayBuffer} svg - The SVG icon
+ * @param {number} size - The width and height of the PNG icon
+ * @returns {Promise<Buffer>} The PNG icon
+ */
+export async function renderIcon(svg, size) {
+  const input = Buffer.from(svg);
+  // Rasterize the vector at a density reaching the target size rather than
+  // at its intrinsic size, so that it is not upscaled. The rendered size
+  // does not grow linearly with the density for every unit, hence the
+  // search
+  let density = 72;
+  let { width, height } = await sharp(input, { density }).metadata();
+  while (Math.max(width, height) < size && density < MAX_DENSITY) {
+    density = Math.min(density * 2, MAX_DENSITY);
+    ({ width, height } = await sharp(input, { density }).metadata());
+  }
+  return sharp(input, { density })
+    .resize(size, size, {
+      fit: 'contain',
+      background: { r: 0, g: 0, b: 0, alpha: 0 },
+    })
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Creates the web app manifest of the site.
+ *
+ * @param {SiteMeta} meta - The metadata of the site
+ * @param {Array<WebAppIcon>} icons - The icons of the site
+ * @returns {string} The JSON code of the web app manifest
+ */
+export function createWebManifest(meta, icons) {
+  const manifest = {
+    id: '/',
+    name: meta.name,
+    ...(meta.description && { description: meta.description }),
+    ...(meta.lang && { lang: meta.lang }),
+    start_url: '/',
+    scope: '/',
+    display: 'standalone',
+    ...(meta.themeColor && {
+      theme_color: meta.themeColor,
+      background_color: meta.themeColor,
+    }),
+    icons,
+  };
+  return `${JSON.stringify(manifest, null, 2)}\n`;
+}
+
+/**
+ * Creates the service worker of the site. Its cache is named after the
+ * version of the site, so that bumping the version replaces every cached
+ * file, and hashed files are served from the cache first since their
+ * content never changes under the same name. Pages always come from the
+ * network, falling back to the offline page of their language, or of the
+ * default language.
+ *
+ * @param {Object} options - The service worker options
+ * @param {string} options.version - The version of the site
+ * @param {Array<string>} options.precache - The pathnames cached on install
+ * @param {Object<string, string>} options.offlinePages - The URL of the
+ *   offline pages, by language
+ * @param {string} options.defaultLanguage - The language of the offline
+ *   page served outside of the language trees
+ * @returns {string} The JavaScript code of the service worker
+ */
+export function createServiceWorker(options) {
+  const { version, precache, offlinePages, defaultLanguage } = options;
+  const json = (value) => JSON.stringify(value, null, 2);
+  return `// Generated by the bundler, do not edit.
+const CACHE_NAME = ${JSON.stringify(`site-v${version}`)};
+const PRECACHE = ${json(precache)};
+const OFFLINE_PAGES = ${json(offlinePages)};
+const DEFAULT_LANGUAGE = ${JSON.stringify(defaultLanguage)};
+const REGEX_HASHED = /\\/[0-9a-z]{8}\\.[^/]+$/;
+
+function offlinePageOf(pathname) {
+  const lang = pathname.split('/')[1];
+  return OFFLINE_PAGES[lang] ?? OFFLINE_PAGES[DEFAULT_LANGUAGE];
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) =>
+        cache.addAll(
+          [...PRECACHE, ...Object.values(OFFLINE_PAGES)].map(
+            (url) => new Request(url, { cache: 'reload' }),
+          ),
+        ),
+      )
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name !== CACHE_NAME)
+            .map((name) => caches.delete(name)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    const offlinePage = offlinePageOf(url.pathname);
+    if (offlinePage)
+      event.respondWith(
+        fetch(request).catch(() =>
+          caches.match(offlinePage).then((response) => response ?? Response.error()),
+        ),
+      );
+  } else if (REGEX_HASHED.test(url.pathname)) {
+    event.respondWith(
+      caches.open(CACHE_NAME).then(async (cache) => {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+      }),
+    );
+  }
+});
+`;
+}
@@ -0,0 +1,350 @@
+/**
+ * Discovers and rewrites the local files referenced by pages, stylesheets and
+ * scripts. HTML is scanned with a real tokenizer (attributes, srcset, inline
+ * styles and scripts, SSI includes), CSS for @import and url() references,
+ * and JavaScript for static and dynamic imports.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { posix } from 'node:path';
+import { getAttribute, tokenize } from './html.mjs';
+
+// Regular expression to match CSS @import rules and url() functions.
+// Captures the URL of either form, with the 'd' flag for its offsets.
+const REGEX_CSS_REFERENCE =
+  /@import\s+(?:url\(\s*)?(["']?)([^"')\s;]+)\1|url\(\s*(["']?)([^"')\s]+)\3\s*\)/dgi;
+
+// Regular expression to match an SSI include directive inside a comment.
+const REGEX_SSI_INCLUDE = /^#include\s+virtual=(["'])([^"']+)\1\s*$/;
+
+// Attributes holding a single URL, by element name.
+const URL_ATTRIBUTES = {
+  audio: ['src'],
+  embed: ['src'],
+  img: ['src'],
+  input: ['src'],
+  link: ['href'],
+  script: ['src'],
+  source: ['src'],
+  track: ['src'],
+  video: ['src', 'poster'],
+};
+
+// Attributes holding a comma-separated list of image candidates.
+const SRCSET_ATTRIBUTES = {
+  img: ['srcset'],
+  link: ['imagesrcset'],
+  source: ['srcset'],
+};
+
+// Link relations pointing to files served alongside the page.
+const LINK_RELATIONS = new Set([
+  'apple-touch-icon',
+  'apple-touch-icon-precomposed',
+  'icon',
+  'manifest',
+  'mask-icon',
+  'modulepreload',
+  'prefetch',
+  'preload',
+  'shortcut',
+  'stylesheet',
+]);
+
+// Meta tags whose content is an absolute URL to an image.
+const META_IMAGES = new Set([
+  'msapplication-tileimage',
+  'og:image',
+  'og:image:secure_url',
+  'og:image:url',
+  'twitter:image',
+]);
+
+// Script types holding JavaScript code.
+export const SCRIPT_TYPES = new Set([
+  '',
+  'application/javascript',
+  'module',
+  'text/javascript',
+]);
+
+/**
+ * @typedef {Object} Reference
+ * @property {'include'|'attribute'|'srcset'|'meta'|'url'|'import'} kind -
+ *   How the file is referenced: an SSI include, an HTML attribute, a srcset
+ *   candidate, a meta tag content, a CSS url(), or a CSS/JS import
+ * @property {string} pathname - The referenced file, relative to the web root
+ * @property {number} start - The offset where the replaced text starts
+ * @property {number} end - The offset where the replaced text ends
+ *   (exclusive); the whole SSI directive for includes, otherwise only the
+ *   path part of the URL (query strings and fragments are kept)
+ * @property {string} [element] - The lowercased name of the element holding
+ *   the URL, for references found in tag attributes
+ */
+
+/**
+ * Resolves a URL found in a file to a pathname relative to the web root.
+ * External URLs, data URIs, protocol-relative URLs and fragments are not
+ * local files and resolve to null.
+ *
+ * @param {string} url - The URL as written in the file
+ * @param {string} basePathname - The pathname of the file holding the URL
+ * @returns {{pathname: string, length: number}|null} The resolved pathname
+ *   and the length of the path part of the URL, or null
+ */
+export function resolveURL(url, basePathname) {
+  if (/^(?:[a-z][a-z\d+.-]*:|\/\/|#)/i.test(url)) return null;
+
+  const path = url.split(/[?#]/)[0];
+  if (!path) return null;
+
+  const pathname =
+    path.startsWith('/') ?
+      posix.normalize(path)
+    : posix.join(posix.dirname(basePathname), path);
+  return { pathname, length: path.length };
+}
+
+/**
+ * Creates a reference to a URL found at the given offset.
+ *
+ * @param {string} kind - The reference kind
+ * @param {string} url - The URL as written in the file
+ * @param {number} start - The offset where the URL starts
+ * @param {string} basePathname - The pathname of the file holding the URL
+ * @returns {Reference|null} The reference, or null for non-local URLs
+ */
+function createReference(kind, url, start, basePathname) {
+  const resolved = resolveURL(url, basePathname);
+  if (!resolved) return null;
+  const end = start + resolved.length;
+  return { kind, pathname: resolved.pathname, start, end };
+}
+
+/**
+ * Splits a srcset attribute value into its image candidate URLs.
+ *
+ * @param {string} value - The srcset attribute value
+ * @returns {Array<{url: string, start: number}>} The candidate URLs and their
+ *   offsets within the value
+ */
+export function parseSrcset(value) {
+  const candidates = [];
+  let i = 0;
+
+  while (i < value.length) {
+    // Skip separators between candidates
+    while (i < value.length && /[\s,]/.test(value[i])) ++i;
+    if (i >= value.length) break;
+
+    // The URL runs until the next whitespace, trailing commas excluded
+    const start = i;
+    while (i < value.length && !/\s/.test(value[i])) ++i;
+    const url = value.slice(start, i).replace(/,+$/, '');
+    candidates.push({ url, start });
+    if (value[start + url.length] === ',') continue;
+
+    // Skip the width or density descriptor
+    while (i < value.length && value[i] !== ',') ++i;
+  }
+
+  return candidates;
+}
+
+/**
+ * Scans CSS code for the files it references.
+ *
+ * @param {string} code - The CSS code to scan
+ * @param {string} pathname - The pathname of the file holding the code
+ * @param {number} [offset=0] - The offset of the code within its file
+ * @returns {Array<Reference>} The @import ('import') and url() ('url')
+ *   references
+ */
+export function scanCSS(code, pathname, offset = 0) {
+  // Blank out comments while keeping offsets intact
+  code = code.replace(/\/\*[\s\S]*?\*\//g, (comment) =>
+    ' '.repeat(comment.length),
+  );
+
+  const references = [];
+  for (const match of code.matchAll(REGEX_CSS_REFERENCE)) {
+    const group = match[2] ? 2 : 4;
+    const kind = group === 2 ? 'import' : 'url';
+    const start = offset + match.indices[group][0];
+    const reference = createReference(kind, match[group], start, pathname);
+    if (reference) references.push(reference);
+  }
+
+  return references;
+}
+
+/**
+ * Scans JavaScript code for the modules it imports, statically or
+ * dynamically. Code that fails to parse has no references.
+ *
+ * @param {string} code - The JavaScript code to scan
+ * @param {string} pathname - The pathname of the file holding the code
+ * @param {number} [offset=0] - The offset of the code within its file
+ * @returns {Array<Reference>} The import ('import') references
+ */
+export function scanJS(code, pathname, offset = 0) {
+  let specifiers;
+  try {
+    const transpiler = new Bun.Transpiler({ loader: 'js' });
+    specifiers = new Set(transpiler.scanImports(code).map(({ path }) => path));
+  } catch {
+    return [];
+  }
+
+  // Locate every string literal holding one of the imported specifiers
+  const references = [];
+  for (const specifier of specifiers) {
+    // Bare specifiers refer to packages, not to files of the web root
+    if (!/^\.{0,2}\//.test(specifier)) continue;
+    const escaped = specifier.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    for (const match of code.matchAll(
+      new RegExp(`(["'\`])${escaped}\\1`, 'g'),
+    )) {
+      const start = offset + match.index + 1;
+      const reference = createReference('import', specifier, start, pathname);
+      if (reference) references.push(reference);
+    }
+  }
+
+  return references.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Scans the URL attributes of an HTML tag for the files it references.
+ *
+ * @param {import('./html.mjs').HTMLToken} tag - The tag token
+ * @param {string} pathname - The pathname of the page
+ * @returns {Array<Reference|null>} The references, null for non-local URLs
+ */
+function scanTag(tag, pathname) {
+  const references = [];
+
+  // Links only reference files for a known set of relations
+  if (tag.name === 'link') {
+    const rel = getAttribute(tag, 'rel')?.value.toLowerCase() || '';
+    if (!rel.split(/\s+/).some((token) => LINK_RELATIONS.has(token)))
+      return references;
+  }
+
+  // Image inputs are the only inputs with a source
+  if (tag.name === 'input') {
+    const type = getAttribute(tag, 'type')?.value.toLowerCase();
+    if (type !== 'image') return references;
+  }
+
+  for (const name of URL_ATTRIBUTES[tag.name] || []) {
+    const attr = getAttribute(tag, name);
+    if (!attr) continue;
+    const url = attr.value.trim();
+    const start = attr.start + attr.value.indexOf(url);
+    references.push(createReference('attribute', url, start, pathname));
+  }
+
+  for (const name of SRCSET_ATTRIBUTES[tag.name] || []) {
+    const attr = getAttribute(tag, name);
+    if (!attr) continue;
+    for (const { url, start } of parseSrcset(attr.value))
+      references.push(
+        createReference('srcset', url, attr.start + start, pathname),
+      );
+  }
+
+  // Social images are absolute URLs, only their path is local
+  if (tag.name === 'meta') {
+    const property = getAttribute(tag, 'property') || getAttribute(tag, 'name');
+    const content = getAttribute(tag, 'content');
+    if (content && META_IMAGES.has(property?.value.toLowerCase())) {
+      const url = URL.parse(content.value.trim());
+      const index = url ? content.value.indexOf(url.pathname) : -1;
+      if (index >= 0 && url.pathname !== '/')
+        references.push({
+          kind: 'meta',
+          pathname: url.pathname,
+          start: content.start + index,
+          end: content.start + index + url.pathname.length,
+        });
+      else if (!url)
+        references.push(
+          createReference('meta', content.value, content.start, pathname),
+        );
+    }
+  }
+
+  // Inline styles may reference images through url()
+  const style = getAttribute(tag, 'style');
+  if (style) references.push(...scanCSS(style.value, pathname, style.start));
+
+  return references.map((r) => r && { ...r, element: tag.name });
+}
+
+/**
+ * Scans HTML code for the files it references: SSI includes, URL and srcset
+ * attributes, social image meta tags, and the CSS and JavaScript references
+ * of inline styles and scripts.
+ *
+ * @param {string} code - The HTML code to scan
+ * @param {string} pathname - The pathname of the page
+ * @returns {Array<Reference>} The references, in source order
+ */
+export function scanHTML(code, pathname) {
+  const references = [];
+
+  for (const token of tokenize(code)) {
+    if (token.type === 'comment') {
+      const match = token.data.trim().match(REGEX_SSI_INCLUDE);
+      const resolved = match && resolveURL(match[2], pathname);
+      if (resolved)
+        references.push({
+          kind: 'include',
+          pathname: resolved.pathname,
+          start: token.start,
+          end: token.end,
+        });
+    } else if (token.type === 'tag') {
+      references.push(...scanTag(token, pathname));
+    } else if (token.type === 'text' && token.parent.name === 'style') {
+      const text = code.slice(token.start, token.end);
+      references.push(...scanCSS(text, pathname, token.start));
+    } else if (token.type === 'text') {
+      const type = getAttribute(token.parent, 'type')?.value.toLowerCase();
+      if (!SCRIPT_TYPES.has(type?.trim() ?? '')) continue;
+      const text = code.slice(token.start, token.end);
+      references.push(...scanJS(text, pathname, token.start));
+    }
+  }
+
+  return references.filter(Boolean);
+}
+
+/**
+ * Rewrites references in code, replacing their text with the value returned
+ * by the callback. References for which the callback returns null or
+ * undefined are left untouched.
+ *
+ * @param {string} code - The code holding the references
+ * @param {Array<Reference>} references - References found in the same code
+ * @param {function(Reference): (string|null|undefined)} replace - Returns the
+ *   replacement text of a reference
+ * @returns {string} The rewritten code
+ */
+export function rewriteReferences(code, references, replace) {
+  const sorted = [...references].sort((a, b) => b.start - a.start);
+  for (const reference of sorted) {
+    const text = replace(reference);
+    if (text === null || text === undefined) continue;
+    code = code.slice(0, reference.start) + text + code.slice(reference.end);
+  }
+  return code;
+}
@@ -0,0 +1,180 @@
+/**
+ * Packages a build into a versioned release: a reproducible tarball of the
+ * web root and of the PHP runtime, a release manifest listing the hash of
+ * every packaged file, and a checksums file to verify both on the host.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { mkdir, readdir, stat } from 'node:fs/promises';
+import { join, posix, relative } from 'node:path';
+import { createTar, formatChecksums } from './archive.mjs';
+
+// Files of the PHP runtime, relative to the project root. Composer
+// dependencies are installed on the host with `composer install --no-dev`.
+export const PHP_RUNTIME_FILES = [
+  'core/php/bootstrap',
+  'core/php/composer.json',
+  'core/php/composer.lock',
+  'core/php/language',
+  'core/php/src',
+];
+
+/**
+ * @typedef {Object} ReleaseFiles
+ * @property {string} archive - The path of the tarball
+ * @property {string} manifest - The path of the release manifest
+ * @property {string} checksums - The path of the checksums file
+ */
+
+/**
+ * Computes the SHA256 digest of a file content.
+ *
+ * @param {string|Uint8Array} content - The content
+ * @returns {string} The hex-encoded digest
+ */
+function digest(content) {
+  return new Bun.CryptoHasher('sha256').update(content).digest('hex');
+}
+
+/**
+ * Lists the files of a directory, or the file itself, recursively.
+ *
+ * @param {string} path - The path of the file or directory
+ * @returns {Promise<Array<string>>} The paths of the files
+ */
+async function listFiles(path) {
+  const stats = await stat(path).catch(() => null);
+  if (!stats) throw new Error(`Missing release file ${path}`);
+  if (!stats.isDirectory()) return [path];
+  const entries = await readdir(path, { recursive: true, withFileTypes: true });
+  return entries
+    .filter((entry) => entry.isFile())
+    .map((entry) => join(entry.parentPath, entry.name));
+}
+
+/**
+ * Gets the modification time given to every packaged file, so that
+ * packaging the same files twice gives the same tarball: the
+ * SOURCE_DATE_EPOCH environment variable if set, otherwise the time of the
+ * last commit.
+ *
+ * @param {string} root - The project root
+ * @returns {number} The time, in seconds since the epoch
+ */
+export function getSourceDateEpoch(root) {
+  if (process.env.SOURCE_DATE_EPOCH)
+    return Number.parseInt(process.env.SOURCE_DATE_EPOCH, 10);
+  const git = Bun.spawnSync(['git', 'log', '-1', '--format=%ct'], {
+    cwd: root,
+    stderr: 'ignore',
+  });
+  return git.success ? Number.parseInt(git.stdout.toString(), 10) || 0 : 0;
+}
+
+/**
+ * Creates the manifest of a release, listing the SHA256 digest and size of
+ * every packaged file.
+ *
+ * @param {string} name - The name of the release
+ * @param {string} version - The version of the release
+ * @param {Array<import('./archive.mjs').ArchiveEntry>} entries - The
+ *   packaged files, by path in the release
+ * @returns {{name: string, version: string,
+ *   files: Object<string, {hash: string, size: number}>}} The manifest
+ */
+export function createReleaseManifest(name, version, entries) {
+  const files = {};
+  for (const { path, content } of [...entries].sort((a, b) =>
+    a.path < b.path ? -1 : 1,
+  ))
+    files[path] = {
+      hash: digest(content),
+      size: content.length,
+    };
+  return { name, version, files };
+}
+
+/**
+ * Packages the web root of a build and the PHP runtime into a release. The
+ * tarball holds a single directory named after the release, laid out like
+ * the server: 'public_html' next to 'core/php', plus the release manifest.
+ *
+ * @param {Object} options - The release options
+ * @param {string} options.name - The name of the project
+ * @param {string} options.version - The version of the release
+ * @param {string} options.root - The project root
+ * @param {string} options.webRoot - The built web root
+ * @param {string} options.releaseDir - The directory to write the release to
+ * @param {number} [options.mtime=0] - The modification time of every
+ *   packaged file, in seconds since the epoch
+ * @returns {Promise<ReleaseFiles>} The paths of the written files
+ */
+export async function packRelease({
+  name,
+  version,
+  root,
+  webRoot,
+  releaseDir,
+  mtime = 0,
+}) {
+  const release = `${name}-${version}`;
+  const sources = [
+    ...(await listFiles(webRoot)).map((path) => [
+      path,
+      posix.join('public_html', relative(webRoot, path).replace(/\\/g, '/')),
+    ]),
+    ...(
+      await Promise.all(
+        PHP_RUNTIME_FILES.map((path) => listFiles(join(root, path))),
+      )
+    )
+      .flat()
+      .map((path) => [path, relative(root, path).replace(/\\/g, '/')]),
+  ];
+  const entries = await Promise.all(
+    sources.map(async ([source, path]) => ({
+      path,
+      content: await Bun.file(source).bytes(),
+    })),
+  );
+
+  const manifest = createReleaseManifest(name, version, entries);
+  const manifestJSON = `${JSON.stringify(manifest, null, 2)}\n`;
+  const archive = Bun.gzipSync(
+    createTar(
+      [
+        ...entries,
+        { path: 'release.json', content: Buffer.from(manifestJSON) },
+      ].map(({ path, content }) => ({
+        path: posix.join(release, path),
+        content,
+      })),
+      mtime,
+    ),
+    { level: 9 },
+  );
+
+  const files = {
+    archive: join(releaseDir, `${release}.tar.gz`),
+    manifest: join(releaseDir, `${release}.release.json`),
+    checksums: join(releaseDir, `${release}.sha256`),
+  };
+  await mkdir(releaseDir, { recursive: true });
+  await Bun.write(files.archive, archive);
+  await Bun.write(files.manifest, manifestJSON);
+  await Bun.write(
+    files.checksums,
+    formatChecksums({
+      [`${release}.tar.gz`]: digest(archive),
+      [`${release}.release.json`]: digest(manifestJSON),
+    }),
+  );
+  return files;
+}
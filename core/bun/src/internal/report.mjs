@@ -0,0 +1,192 @@
+/**
+ * Collects the outcome of a build: whether each output file was skipped,
+ * rebuilt or removed, its input and output sizes and how long it took, along
+ * with the steps that failed.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+/**
+ * @typedef {'skipped'|'rebuilt'|'removed'|'failed'} FileStatus
+ */
+
+/**
+ * @typedef {Object} FileReport
+ * @property {string} pathname - The pathname of the source or output file
+ * @property {FileStatus} status - What the build did with the file
+ * @property {number|null} inputSize - The size of the source file, in bytes
+ * @property {number|null} outputSize - The size of the output file, in bytes
+ * @property {number} duration - The time spent on the file, in milliseconds
+ */
+
+/**
+ * Formats a number of bytes for humans.
+ *
+ * @param {number|null} size - The size in bytes, if known
+ * @returns {string} The formatted size, such as '1.2 kB'
+ */
+export function formatSize(size) {
+  if (size == null) return '-';
+  if (size < 1000) return `${size} B`;
+  if (size < 1000 ** 2) return `${(size / 1000).toFixed(1)} kB`;
+  return `${(size / 1000 ** 2).toFixed(1)} MB`;
+}
+
+/**
+ * Represents the report of a build.
+ */
+export class BuildReport {
+  #files = []; // Outcome of every file, in completion order
+  #errors = []; // Failed files and steps, with their error message
+  #issues = []; // Validation issues of the pages, with their location
+  #startTime = performance.now(); // When the build started
+
+  /**
+   * Gets the outcome of every file.
+   *
+   * @returns {Array<FileReport>} The file reports
+   */
+  get files() {
+    return this.#files;
+  }
+
+  /**
+   * Gets the validation issues of every page.
+   *
+   * @returns {Array<{pathname: string, page: string} &
+   *   import('./validate.mjs').ValidationIssue>} The issues, with the
+   *   pathname of the file they are located in and of their page
+   */
+  get issues() {
+    return this.#issues;
+  }
+
+  /**
+   * Checks if any file was rebuilt or removed.
+   *
+   * @returns {boolean} True if the output has changed
+   */
+  get hasChange() {
+    return this.#files.some(
+      ({ status }) => status === 'rebuilt' || status === 'removed',
+    );
+  }
+
+  /**
+   * Checks if any file or step failed.
+   *
+   * @returns {boolean} True if the build failed
+   */
+  get hasFailed() {
+    return this.#errors.length > 0;
+  }
+
+  /**
+   * Records the outcome of a file.
+   *
+   * @param {FileReport} file - The file report
+   */
+  add(file) {
+    this.#files.push(file);
+  }
+
+  /**
+   * Records the validation issues of a page. Issues located in another
+   * file than the page, such as one of its includes, carry its pathname,
+   * and are listed along with the page.
+   *
+   * @param {string} pathname - The pathname of the page
+   * @param {Array<import('./validate.mjs').ValidationIssue &
+   *   {pathname?: string}>} issues - The issues found
+   */
+  addIssues(pathname, issues) {
+    for (const issue of issues)
+      this.#issues.push({ pathname, ...issue, page: pathname });
+  }
+
+  /**
+   * Records a failed file, or a failed step of the build if no pathname is
+   * given.
+   *
+   * @param {string|null} pathname - The pathname of the file, if any
+   * @param {Error} error - The error thrown
+   * @param {number} [duration=0] - The time spent on the file, in
+   *   milliseconds
+   */
+  fail(pathname, error, duration = 0) {
+    // Bun.build() and esbuild throw a generic error, listing the causes
+    const causes = error?.errors?.map((cause) => cause.message ?? cause);
+    const message =
+      causes?.length ? causes.join('; ') : (error?.message ?? String(error));
+    this.#errors.push({ pathname, message });
+    if (pathname)
+      this.add({
+        pathname,
+        status: 'failed',
+        inputSize: null,
+        outputSize: null,
+        duration,
+      });
+  }
+
+  /**
+   * Counts the files by status.
+   *
+   * @returns {Object<FileStatus, number>} The number of files by status
+   */
+  count() {
+    const counts = { rebuilt: 0, skipped: 0, removed: 0, failed: 0 };
+    for (const { status } of this.#files) ++counts[status];
+    return counts;
+  }
+
+  /**
+   * Summarizes the build for the console, listing every validation issue
+   * and failure.
+   *
+   * @returns {string} The summary
+   */
+  summarize() {
+    const seconds = ((performance.now() - this.#startTime) / 1000).toFixed(2);
+    const counts = Object.entries(this.count())
+      .map(([status, count]) => `${count} ${status}`)
+      .join(', ');
+    const lines = [
+      `Build ${this.hasFailed ? 'failed' : 'finished'} in ${seconds}s: ` +
+        counts,
+      ...this.#issues.map(
+        ({ pathname, line, severity, message, rule, page }) =>
+          `  ${pathname}:${line}: ${severity}: ${message} (${rule})` +
+          (page === pathname ? '' : ` in ${page}`),
+      ),
+      ...this.#errors.map(
+        ({ pathname, message }) => `  ${pathname ?? 'Build'}: ${message}`,
+      ),
+    ];
+    return lines.join('\n');
+  }
+
+  /**
+   * Serializes the report, for the JSON output of the build.
+   *
+   * @returns {{ok: boolean, duration: number, summary: Object,
+   *   files: Array<FileReport>, errors: Array<Object>,
+   *   issues: Array<Object>}} The report
+   */
+  toJSON() {
+    return {
+      ok: !this.hasFailed,
+      duration: Math.round(performance.now() - this.#startTime),
+      summary: this.count(),
+      files: this.#files,
+      errors: this.#errors,
+      issues: this.#issues,
+    };
+  }
+}
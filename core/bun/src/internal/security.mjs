@@ -0,0 +1,207 @@
+/**
+ * Generates the security metadata of built pages: Subresource Integrity
+ * digests for the scripts and stylesheets they load, and a strict
+ * Content-Security-Policy allowing their inline scripts and styles by hash
+ * rather than with 'unsafe-inline'. The policy is written into the output
+ * .htaccess and into an nginx configuration snippet.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { getAttribute, tokenize } from './html.mjs';
+import { SCRIPT_TYPES } from './references.mjs';
+
+// Site-wide policy, extended with the sources collected from pages.
+// reCAPTCHA loads its script from Google and renders its widget in a frame.
+const CSP_DIRECTIVES = {
+  'default-src': ["'self'"],
+  'base-uri': ["'self'"],
+  'form-action': ["'self'"],
+  'frame-ancestors': ["'self'"],
+  'object-src': ["'none'"],
+  'script-src': [
+    "'self'",
+    'https://www.google.com/recaptcha/',
+    'https://www.gstatic.com/recaptcha/',
+  ],
+  'style-src': ["'self'"],
+  'img-src': ["'self'", 'data:'],
+  'frame-src': [
+    "'self'",
+    'https://www.google.com/recaptcha/',
+    'https://recaptcha.google.com/recaptcha/',
+  ],
+};
+
+// Link relations whose fetches can be checked with an integrity attribute.
+const INTEGRITY_LINK_RELATIONS = new Set([
+  'modulepreload',
+  'preload',
+  'stylesheet',
+]);
+
+// Regular expression to match the policy header of a previous build.
+const REGEX_CSP_HEADER =
+  /^([ \t]*)Header always set Content-Security-Policy .*$/m;
+
+/**
+ * Computes the SHA-384 Subresource Integrity digest of some content.
+ *
+ * @param {string|ArrayBuffer} content - The content to digest
+ * @returns {string} The digest, prefixed with its algorithm
+ */
+export function integrity(content) {
+  const digest = new Bun.CryptoHasher('sha384').update(content);
+  return `sha384-${digest.digest('base64')}`;
+}
+
+/**
+ * Adds integrity attributes to the scripts and stylesheets loaded by a page.
+ * Tags that already have an integrity attribute are left as written.
+ *
+ * @param {string} code - The HTML code of the page
+ * @param {function(string): (string|undefined)} integrityOf - Returns the
+ *   integrity digest of the file at a pathname, if known
+ * @returns {string} The HTML code with integrity attributes
+ */
+export function addIntegrity(code, integrityOf) {
+  const insertions = [];
+
+  for (const tag of tokenize(code)) {
+    if (tag.type !== 'tag' || getAttribute(tag, 'integrity')) continue;
+
+    let url;
+    if (tag.name === 'script') url = getAttribute(tag, 'src');
+    else if (tag.name === 'link') {
+      const rel = getAttribute(tag, 'rel')?.value.toLowerCase() || '';
+      if (rel.split(/\s+/).some((token) => INTEGRITY_LINK_RELATIONS.has(token)))
+        url = getAttribute(tag, 'href');
+    }
+
+    const digest = url && integrityOf(url.value.trim().split(/[?#]/)[0]);
+    if (!digest) continue;
+
+    // Insert the attribute right before the end of the tag
+    const end = code[tag.end - 2] === '/' ? tag.end - 2 : tag.end - 1;
+    insertions.push({ start: end, end, digest });
+  }
+
+  for (const { start, end, digest } of insertions.reverse())
+    code = `${code.slice(0, start)} integrity="${digest}"${code.slice(end)}`;
+  return code;
+}
+
+/**
+ * Collects the policy sources a page needs on top of the site-wide policy:
+ * hashes of its inline scripts, style elements and style attributes, and
+ * the origins of its external images.
+ *
+ * @param {string} code - The HTML code of the page, as served
+ * @returns {Object<string, Array<string>>} The sorted sources by directive
+ */
+export function collectCSPSources(code) {
+  const sources = {
+    'script-src': new Set(),
+    'style-src': new Set(),
+    'img-src': new Set(),
+  };
+
+  for (const token of tokenize(code)) {
+    if (token.type === 'text') {
+      const text = code.slice(token.start, token.end);
+      const { parent } = token;
+      if (parent.name === 'style') {
+        sources['style-src'].add(`'${integrity(text)}'`);
+        continue;
+      }
+      // Only executable inline scripts are subject to the policy
+      const type = getAttribute(parent, 'type')?.value.trim().toLowerCase();
+      if (!getAttribute(parent, 'src') && SCRIPT_TYPES.has(type ?? ''))
+        sources['script-src'].add(`'${integrity(text)}'`);
+    } else if (token.type === 'tag') {
+      // Style attributes can only be allowed by hash with 'unsafe-hashes'
+      const style = getAttribute(token, 'style');
+      if (style)
+        sources['style-src']
+          .add("'unsafe-hashes'")
+          .add(`'${integrity(style.value)}'`);
+
+      const src = token.name === 'img' && getAttribute(token, 'src');
+      const url = src && URL.parse(src.value.trim());
+      if (url && /^https?:$/.test(url.protocol))
+        sources['img-src'].add(url.origin);
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(sources)
+      .filter(([, values]) => values.size)
+      .map(([directive, values]) => [directive, [...values].sort()]),
+  );
+}
+
+/**
+ * Builds the site-wide Content-Security-Policy from the sources needed by
+ * every page.
+ *
+ * @param {Array<Object<string, Array<string>>>} pageSources - The sources
+ *   collected from each page
+ * @returns {string} The policy
+ */
+export function buildCSP(pageSources) {
+  const extraSources = {};
+  for (const sources of pageSources)
+    for (const [directive, values] of Object.entries(sources))
+      for (const value of values)
+        (extraSources[directive] ??= new Set()).add(value);
+
+  const directives = Object.keys({ ...CSP_DIRECTIVES, ...extraSources });
+  return directives
+    .map((directive) => {
+      // Directives missing from the site-wide policy fall back to default-src
+      const base = CSP_DIRECTIVES[directive] ?? CSP_DIRECTIVES['default-src'];
+      const extra = [...(extraSources[directive] ?? [])].sort();
+      return [directive, ...base, ...extra].join(' ');
+    })
+    .join('; ');
+}
+
+/**
+ * Sets the Content-Security-Policy header in an .htaccess file, replacing
+ * the policy of a previous build if there is one.
+ *
+ * @param {string} htaccess - The content of the .htaccess file
+ * @param {string} csp - The policy
+ * @returns {string} The content with the policy header
+ */
+export function setCSPHeader(htaccess, csp) {
+  const header = `Header always set Content-Security-Policy "${csp}"`;
+  if (REGEX_CSP_HEADER.test(htaccess))
+    return htaccess.replace(REGEX_CSP_HEADER, (_, indent) => indent + header);
+
+  return (
+    `${htaccess.trimEnd()}\n\n` +
+    '# Content-Security-Policy allowing the inline scripts of pages by hash.\n' +
+    `<IfModule mod_headers.c>\n  ${header}\n</IfModule>\n`
+  );
+}
+
+/**
+ * Creates the nginx configuration snippet setting the
+ * Content-Security-Policy header, to be included in a server block.
+ *
+ * @param {string} csp - The policy
+ * @returns {string} The nginx configuration snippet
+ */
+export function createCSPSnippet(csp) {
+  return (
+    '# Content-Security-Policy allowing the inline scripts of pages by hash.\n' +
+    `add_header Content-Security-Policy "${csp}" always;\n`
+  );
+}
@@ -0,0 +1,240 @@
+/**
+ * Provides a local development server and a source watcher for the bundler.
+ * Serves the built web root with the same clean-URL rules as the bundled
+ * .htaccess files and pushes live-reload events to connected browsers.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { watch as watchFS } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import { join, normalize, posix } from 'node:path';
+
+// Endpoint used by the injected client to listen for reload events.
+const LIVE_RELOAD_PATHNAME = '/__livereload';
+
+// Client script injected in every served HTML page.
+const LIVE_RELOAD_SCRIPT = `<script>
+  new EventSource('${LIVE_RELOAD_PATHNAME}').addEventListener('reload', () =>
+    window.location.reload(),
+  );
+</script>`;
+
+/**
+ * Gets the stats of a path without throwing when it does not exist.
+ *
+ * @param {string} path - The path to check
+ * @returns {Promise<import('node:fs').Stats|null>} The stats or null
+ */
+async function statOrNull(path) {
+  try {
+    return await stat(path);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+    throw error;
+  }
+}
+
+/**
+ * Reads the DirectoryIndex directive of the nearest .htaccess file.
+ * Walks up from the given directory until the web root is reached,
+ * like Apache does when inheriting per-directory configuration.
+ *
+ * @param {string} rootDir - The web root directory
+ * @param {string} dirPathname - The directory pathname, relative to rootDir
+ * @returns {Promise<Array<string>>} The index filenames, in priority order
+ */
+export async function findDirectoryIndex(rootDir, dirPathname) {
+  let pathname = posix.normalize(`${dirPathname}/`);
+
+  for (;;) {
+    const file = Bun.file(join(rootDir, pathname, '.htaccess'));
+    if (await file.exists()) {
+      const match = (await file.text()).match(/^\s*DirectoryIndex\s+(.+)$/m);
+      if (match) return match[1].trim().split(/\s+/);
+    }
+
+    if (pathname === '/') return ['index.html'];
+    pathname = posix.dirname(pathname.slice(0, -1)) + '/';
+    if (pathname === '//') pathname = '/';
+  }
+}
+
+/**
+ * Resolves a request pathname against the built web root.
+ * Mirrors the rewrite rules of the root .htaccess: ".html" URLs are
+ * redirected to their clean form, clean URLs are served from the matching
+ * ".html" file, and directories are served through their DirectoryIndex.
+ *
+ * @param {string} rootDir - The web root directory
+ * @param {string} pathname - The decoded request pathname
+ * @returns {Promise<{status: number, path?: string, location?: string}>}
+ *   The resolution result:
+ *   - status: The HTTP status code to answer with
+ *   - path: The file to serve, if any
+ *   - location: The redirect target, if any
+ */
+export async function resolveRequest(rootDir, pathname) {
+  pathname = posix.normalize(pathname);
+
+  // Redirect any request ending with .html to the same path without it
+  if (/^\/.+\.html$/.test(pathname))
+    return { status: 302, location: pathname.slice(0, -'.html'.length) };
+
+  // Serve the .html file matching a clean URL
+  const cleanPath = join(rootDir, `${pathname.replace(/\/$/, '')}.html`);
+  if (pathname !== '/' && (await statOrNull(cleanPath))?.isFile())
+    return { status: 200, path: cleanPath };
+
+  const path = join(rootDir, normalize(pathname));
+  const stats = await statOrNull(path);
+
+  if (stats?.isDirectory()) {
+    // Add the trailing slash like mod_dir before looking up the index
+    if (!pathname.endsWith('/'))
+      return { status: 301, location: `${pathname}/` };
+
+    for (const index of await findDirectoryIndex(rootDir, pathname)) {
+      const indexPath = join(path, index);
+      if ((await statOrNull(indexPath))?.isFile())
+        return { status: 200, path: indexPath };
+    }
+  } else if (stats?.isFile() && !posix.basename(pathname).startsWith('.')) {
+    return { status: 200, path };
+  }
+
+  // Serve the nearest localized 404 page
+  for (let dir = pathname; ; dir = posix.dirname(dir)) {
+    const notFoundPath = join(rootDir, dir, '404.html');
+    if ((await statOrNull(notFoundPath))?.isFile())
+      return { status: 404, path: notFoundPath };
+    if (dir === '/') return { status: 404 };
+  }
+}
+
+/**
+ * Starts a development server for the built web root.
+ * HTML responses get a live-reload client injected; call the returned
+ * reload() function to refresh every connected browser.
+ *
+ * @param {string} rootDir - The web root directory to serve
+ * @param {number} [port=8080] - The port to listen on
+ * @returns {{server: import('bun').Server, reload: function(): void}}
+ *   The running server and a function broadcasting a reload event
+ */
+export function serve(rootDir, port = 8080) {
+  const clients = new Set();
+
+  const server = Bun.serve({
+    port,
+    idleTimeout: 0, // Keep live-reload event streams open
+    async fetch(request) {
+      const { pathname } = new URL(request.url);
+
+      // Open a server-sent event stream for live reload
+      if (pathname === LIVE_RELOAD_PATHNAME) {
+        let client;
+        const body = new ReadableStream({
+          start(controller) {
+            client = controller;
+            clients.add(client);
+          },
+          cancel() {
+            clients.delete(client);
+          },
+        });
+        return new Response(body, {
+          headers: {
+            'Cache-Control': 'no-cache',
+            'Content-Type': 'text/event-stream',
+          },
+        });
+      }
+
+      let decodedPathname;
+      try {
+        decodedPathname = decodeURIComponent(pathname);
+      } catch {
+        return new Response('Bad Request', { status: 400 });
+      }
+
+      const { status, path, location } = await resolveRequest(
+        rootDir,
+        decodedPathname,
+      );
+
+      if (location)
+        return new Response(null, { status, headers: { Location: location } });
+      if (!path) return new Response('Not Found', { status });
+
+      // PHP handlers need the PHP/Apache container
+      if (path.endsWith('.php'))
+        return new Response('PHP is not supported by the dev server', {
+          status: 501,
+        });
+
+      const file = Bun.file(path);
+      if (!path.endsWith('.html')) return new Response(file, { status });
+
+      // Inject the live-reload client before the closing body tag
+      const html = (await file.text()).replace(
+        /(<\/body>)|$/i,
+        (tag = '') => LIVE_RELOAD_SCRIPT + tag,
+      );
+      return new Response(html, {
+        status,
+        headers: { 'Content-Type': 'text/html; charset=utf-8' },
+      });
+    },
+  });
+
+  function reload() {
+    const event = new TextEncoder().encode('event: reload\ndata: {}\n\n');
+    for (const client of clients) client.enqueue(event);
+  }
+
+  return { server, reload };
+}
+
+/**
+ * Watches the source directory and runs a callback after changes settle.
+ * Changes made while the callback runs are batched into one more run.
+ *
+ * @param {string} srcDir - The directory to watch recursively
+ * @param {function(Set<string>): Promise<void>} onChange - Called with the
+ *   changed pathnames, relative to srcDir
+ * @param {number} [delay=100] - Debounce delay in milliseconds
+ * @returns {import('node:fs').FSWatcher} The underlying watcher
+ */
+export function watch(srcDir, onChange, delay = 100) {
+  let timer = null;
+  let running = null;
+  let pending = new Set();
+
+  function flush() {
+    timer = null;
+    if (running) return; // Picked up once the current run completes
+
+    const changes = pending;
+    pending = new Set();
+    running = onChange(changes)
+      .catch((error) => console.error(error))
+      .finally(() => {
+        running = null;
+        if (pending.size && !timer) timer = setTimeout(flush, delay);
+      });
+  }
+
+  return watchFS(srcDir, { recursive: true }, (_event, filename) => {
+    if (!filename) return;
+    pending.add(`/${filename.replace(/\\/g, '/')}`);
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(flush, delay);
+  });
+}
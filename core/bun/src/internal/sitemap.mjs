@@ -0,0 +1,168 @@
+/**
+ * Derives the sitemap, the robots.txt file and the hreflang alternates of
+ * pages from their canonical links. Pages translated in another language
+ * share the canonical URL of each other, their language segment aside.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { getAttribute, tokenize } from './html.mjs';
+
+// Language of the pages that visitors without a matching language get, as
+// the root of the site redirects to them.
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * @typedef {Object} PageMeta
+ * @property {string|null} canonical - The canonical URL, if any
+ * @property {string|null} ogURL - The Open Graph URL, if any
+ * @property {string} lang - The language of the page, empty if unknown
+ * @property {boolean} isIndexable - Whether search engines may index the page
+ */
+
+/**
+ * @typedef {Object} Alternate
+ * @property {string} hreflang - The language, or 'x-default'
+ * @property {string} href - The canonical URL of the page in this language
+ */
+
+/**
+ * Escapes the characters of a string that are special in XML.
+ *
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeXML(text) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+  return text.replace(/[&<>"]/g, (c) => entities[c]);
+}
+
+/**
+ * Reads the canonical link, the Open Graph URL, the language and the robots
+ * directives of a page.
+ *
+ * @param {string} code - The HTML code of the page
+ * @returns {PageMeta} The metadata of the page
+ */
+export function readPageMeta(code) {
+  const meta = { canonical: null, ogURL: null, lang: '', isIndexable: true };
+  for (const tag of tokenize(code)) {
+    if (tag.type !== 'tag') continue;
+    const value = (name) => getAttribute(tag, name)?.value.trim() ?? '';
+    if (tag.name === 'html') meta.lang = value('lang');
+    else if (tag.name === 'link' && /^canonical$/i.test(value('rel')))
+      meta.canonical ??= value('href');
+    else if (tag.name === 'meta' && value('property') === 'og:url')
+      meta.ogURL ??= value('content');
+    else if (tag.name === 'meta' && /^robots$/i.test(value('name')))
+      meta.isIndexable &&= !/\b(?:noindex|none)\b/i.test(value('content'));
+  }
+  return meta;
+}
+
+/**
+ * Finds the translations of every canonical URL. URLs are translations of
+ * each other when they only differ by their language segment.
+ *
+ * @param {Array<PageMeta>} metas - The metadata of the pages
+ * @returns {Map<string, Array<Alternate>>} The alternates by canonical URL,
+ *   for pages with at least one translation
+ */
+export function findAlternates(metas) {
+  const groups = new Map();
+  for (const { canonical, lang } of metas) {
+    if (!canonical || !lang) continue;
+    const url = new URL(canonical);
+    const segments = url.pathname.split('/');
+    const index = segments.indexOf(lang);
+    if (index < 0) continue;
+    segments.splice(index, 1);
+    const key = url.origin + segments.join('/');
+    if (!groups.has(key)) groups.set(key, new Map());
+    groups.get(key).set(lang, canonical);
+  }
+
+  const alternates = new Map();
+  for (const group of groups.values()) {
+    if (group.size < 2) continue;
+    const links = [...group]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([hreflang, href]) => ({ hreflang, href }));
+    if (group.has(DEFAULT_LANGUAGE))
+      links.push({ hreflang: 'x-default', href: group.get(DEFAULT_LANGUAGE) });
+    for (const href of group.values()) alternates.set(href, links);
+  }
+  return alternates;
+}
+
+/**
+ * Adds hreflang alternate links after the canonical link of a page. Pages
+ * already linking to their alternates are left as written.
+ *
+ * @param {string} code - The HTML code of the page
+ * @param {Array<Alternate>} alternates - The alternates of the page
+ * @returns {string} The HTML code with alternate links
+ */
+export function addAlternateLinks(code, alternates) {
+  let canonical = null;
+  for (const tag of tokenize(code)) {
+    if (tag.type !== 'tag' || tag.name !== 'link') continue;
+    if (getAttribute(tag, 'hreflang')) return code;
+    const rel = getAttribute(tag, 'rel')?.value.trim();
+    if (/^canonical$/i.test(rel ?? '')) canonical ??= tag;
+  }
+  if (!canonical || !alternates.length) return code;
+
+  const links = alternates.map(
+    ({ hreflang, href }) =>
+      `\n<link rel="alternate" hreflang="${hreflang}" href="${href}">`,
+  );
+  return (
+    code.slice(0, canonical.end) + links.join('') + code.slice(canonical.end)
+  );
+}
+
+/**
+ * Creates a sitemap listing URLs, along with their translations.
+ *
+ * @param {Array<string>} urls - The URLs of the indexable pages
+ * @param {Map<string, Array<Alternate>>} [alternates=new Map()] - The
+ *   alternates by URL
+ * @returns {string} The XML code of the sitemap
+ */
+export function createSitemap(urls, alternates = new Map()) {
+  const entries = urls.map((url) => {
+    const links = (alternates.get(url) ?? []).map(
+      ({ hreflang, href }) =>
+        `    <xhtml:link rel="alternate" hreflang="${hreflang}" ` +
+        `href="${escapeXML(href)}"/>\n`,
+    );
+    return `  <url>\n    <loc>${escapeXML(url)}</loc>\n${links.join('')}  </url>\n`;
+  });
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" ' +
+    'xmlns:xhtml="http://www.w3.org/1999/xhtml">\n' +
+    entries.join('') +
+    '</urlset>\n'
+  );
+}
+
+/**
+ * Creates a robots.txt file allowing every crawler, and pointing them to the
+ * sitemap. Pages kept out of search results rely on their robots meta tag,
+ * which crawlers could not read if disallowed here.
+ *
+ * @param {string} [sitemapURL] - The URL of the sitemap, if any
+ * @returns {string} The content of the robots.txt file
+ */
+export function createRobots(sitemapURL = undefined) {
+  const robots = 'User-agent: *\nAllow: /\n';
+  return sitemapURL ? `${robots}\nSitemap: ${sitemapURL}\n` : robots;
+}
@@ -0,0 +1,266 @@
+/**
+ * Renders the social card of every page: the 1200×630 image link previews
+ * show, in place of a single image shared by the whole site. Cards are
+ * drawn from an SVG template holding the title, site name and URL of the
+ * page in its language, in the colors of its theme as set by the design
+ * tokens of the site, then rasterized locally to PNG. Items of a page, such
+ * as its projects, get a card of their own through their microdata.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import sharp from 'sharp';
+import { getAttribute, tokenize } from './html.mjs';
+
+// Pathname of the stylesheet defining the colors of the themes.
+export const THEME_COLORS_PATHNAME = '/assets/styles/design-tokens/colors.css';
+
+// Directory of the rendered cards, named after the hash of their content.
+export const CARDS_DIR = '/assets/images/social';
+
+// Size of the cards, the one Open Graph recommends.
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+
+// Characters of the title fitting on a line of the card, and lines shown.
+const TITLE_LINE_LENGTH = 26;
+const TITLE_MAX_LINES = 3;
+
+// Fonts of the card, those of the site.
+const FONT_FAMILY =
+  "system-ui, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+
+/**
+ * @typedef {Object} CardMeta
+ * @property {string} title - The title of the page
+ * @property {string} siteName - The name of the site
+ * @property {string} url - The URL of the page, if any
+ * @property {string} lang - The language of the page, empty if unknown
+ * @property {string} theme - The theme of the page, such as 'light'
+ * @property {{start: number, end: number}|null} image - The location of the
+ *   content of the og:image meta tag, if any
+ */
+
+/**
+ * Escapes the characters of a string that are special in XML.
+ *
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeXML(text) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+  return text.replace(/[&<>"]/g, (c) => entities[c]);
+}
+
+/**
+ * Decodes the character references of an attribute value.
+ *
+ * @param {string} text - The raw attribute value
+ * @returns {string} The decoded text
+ */
+function decodeEntities(text) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] !== '#') return entities[name.toLowerCase()] ?? match;
+    return String.fromCodePoint(
+      name[1].toLowerCase() === 'x' ?
+        parseInt(name.slice(2), 16)
+      : parseInt(name.slice(1), 10),
+    );
+  });
+}
+
+/**
+ * Reads the custom properties of every theme from a stylesheet. Those of
+ * ':root' apply to every theme, and those of a `[data-theme='<name>']`
+ * selector to that theme.
+ *
+ * @param {string} css - The code of the stylesheet
+ * @returns {Object<string, Object<string, string>>} The values of the
+ *   custom properties, by name, by theme
+ */
+export function readThemeColors(css) {
+  const root = {};
+  const themes = {};
+  const code = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  for (const [, selector, block] of code.matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+    const theme = selector.match(/\[data-theme=['"]?([\w-]+)/)?.[1];
+    const target =
+      theme ? (themes[theme] ??= {})
+      : selector.trim() === ':root' ? root
+      : null;
+    if (!target) continue;
+    for (const [, name, value] of block.matchAll(/(--[\w-]+)\s*:\s*([^;]+)/g))
+      target[name] = value.trim();
+  }
+  return Object.fromEntries(
+    Object.entries(themes).map(([theme, colors]) => [
+      theme,
+      { ...root, ...colors },
+    ]),
+  );
+}
+
+/**
+ * Reads what the card of a page shows from its HTML code: its Open Graph
+ * title, site name and URL, its language and its theme.
+ *
+ * @param {string} code - The HTML code of the page
+ * @returns {CardMeta} The metadata of the page
+ */
+export function readCardMeta(code) {
+  const meta = {
+    title: '',
+    siteName: '',
+    url: '',
+    lang: '',
+    theme: 'light',
+    image: null,
+  };
+  for (const tag of tokenize(code)) {
+    if (tag.type !== 'tag') continue;
+    const value = (name) => getAttribute(tag, name)?.value.trim() ?? '';
+    if (tag.name === 'html') {
+      meta.lang = value('lang');
+      meta.theme = value('data-theme') || meta.theme;
+      continue;
+    }
+    if (tag.name !== 'meta') continue;
+    const content = decodeEntities(value('content'));
+    const property = value('property');
+    if (property === 'og:title') meta.title = content;
+    else if (property === 'og:site_name') meta.siteName = content;
+    else if (property === 'og:url') meta.url = content;
+    else if (property === 'og:image' && !meta.image) {
+      const { start, end } = getAttribute(tag, 'content') ?? {};
+      if (start !== undefined) meta.image = { start, end };
+    }
+  }
+  return meta;
+}
+
+/**
+ * @typedef {Object} ItemCardMeta
+ * @property {string} id - The ID of the item, the anchor of its URL
+ * @property {string} name - The name of the item
+ * @property {{start: number, end: number}} image - The location of the
+ *   content of the image meta tag of the item
+ */
+
+/**
+ * Reads the items of a page that get a card of their own from its HTML
+ * code: the elements with an ID and an `itemscope` attribute, followed by
+ * the `<meta itemprop="name">` and `<meta itemprop="image">` tags of the
+ * item. Items without a name or an image are left out.
+ *
+ * @param {string} code - The HTML code of the page
+ * @returns {Array<ItemCardMeta>} The metadata of the items, in the order
+ *   of the page
+ */
+export function readItemCards(code) {
+  const items = [];
+  let item = null;
+  for (const tag of tokenize(code)) {
+    if (tag.type !== 'tag') continue;
+    if (getAttribute(tag, 'itemscope')) {
+      const id = getAttribute(tag, 'id')?.value.trim();
+      item = id ? { id, name: '', image: null } : null;
+      if (item) items.push(item);
+      continue;
+    }
+    if (!item || tag.name !== 'meta') continue;
+    const itemprop = getAttribute(tag, 'itemprop')?.value.trim();
+    const content = getAttribute(tag, 'content');
+    if (!content) continue;
+    if (itemprop === 'name') item.name = decodeEntities(content.value.trim());
+    else if (itemprop === 'image' && !item.image)
+      item.image = { start: content.start, end: content.end };
+  }
+  return items.filter(({ name, image }) => name && image);
+}
+
+/**
+ * Splits a text into lines of a maximum length, breaking between words,
+ * and ends the last line with an ellipsis if the text does not fit.
+ *
+ * @param {string} text - The text
+ * @param {number} lineLength - The maximum characters of a line
+ * @param {number} maxLines - The maximum number of lines
+ * @returns {Array<string>} The lines
+ */
+export function wrapText(text, lineLength, maxLines) {
+  const lines = [];
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const line = lines.at(-1);
+    if (line !== undefined && line.length + 1 + word.length <= lineLength)
+      lines[lines.length - 1] = `${line} ${word}`;
+    else lines.push(word);
+  }
+  if (lines.length <= maxLines) return lines;
+  const last = lines[maxLines - 1];
+  return [
+    ...lines.slice(0, maxLines - 1),
+    `${last.slice(0, lineLength - 1).trimEnd()}…`,
+  ];
+}
+
+/**
+ * Creates the SVG code of the card of a page.
+ *
+ * @param {CardMeta} meta - The metadata of the page
+ * @param {Object<string, string>} colors - The custom properties of the
+ *   theme of the page
+ * @returns {string} The SVG code
+ */
+export function createCardSVG(meta, colors) {
+  const background = colors['--bg-color-03'] ?? '#fff';
+  const primary = colors['--primary-color'] ?? '#0050ff';
+  const text = colors['--font-color-01'] ?? '#000';
+  const muted = colors['--font-color-02'] ?? text;
+  const url = URL.parse(meta.url);
+  const address =
+    url ? `${url.host}${url.pathname.replace(/\/$/, '')}${url.hash}` : '';
+  const lines = wrapText(
+    meta.title || meta.siteName,
+    TITLE_LINE_LENGTH,
+    TITLE_MAX_LINES,
+  );
+  const top = 330 - ((lines.length - 1) * 80) / 2;
+  const lang = meta.lang ? ` xml:lang="${escapeXML(meta.lang)}"` : '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}"${lang}>
+  <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="${background}"/>
+  <rect width="24" height="${CARD_HEIGHT}" fill="${primary}"/>
+  <g font-family="${escapeXML(FONT_FAMILY)}">
+    <rect x="96" y="72" width="48" height="48" fill="${primary}"/>
+    <text x="168" y="108" font-size="36" font-weight="600" fill="${text}">${escapeXML(meta.siteName)}</text>
+${lines
+  .map(
+    (line, i) =>
+      `    <text x="96" y="${top + i * 80}" font-size="64" font-weight="700" fill="${text}">${escapeXML(line)}</text>`,
+  )
+  .join('\n')}
+    <text x="96" y="558" font-size="30" fill="${muted}">${escapeXML(address)}</text>
+  </g>
+</svg>
+`;
+}
+
+/**
+ * Rasterizes the SVG code of a card to PNG.
+ *
+ * @param {string} svg - The SVG code of the card
+ * @returns {Promise<Buffer>} The PNG card
+ */
+export function renderCard(svg) {
+  return sharp(Buffer.from(svg))
+    .resize(CARD_WIDTH, CARD_HEIGHT)
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+}
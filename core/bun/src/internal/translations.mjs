@@ -0,0 +1,162 @@
+/**
+ * Checks that the pages and partials of every language tree, such as /en
+ * and /fr, stay in sync. Translations are paired by their pathname, their
+ * language segment aside, and must include the same partials, reference the
+ * same assets and point to the same canonical and Open Graph paths.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { DEFAULT_LANGUAGE } from './sitemap.mjs';
+
+// Regular expression to match the language directory at the root of a
+// pathname, such as '/en/'.
+const REGEX_LANGUAGE_DIR = /^\/([a-z]{2}(?:-[a-z]{2})?)\//i;
+
+/**
+ * @typedef {Object} TranslatedPage
+ * @property {string} pathname - The pathname of the page
+ * @property {Array<{kind: string, pathname: string}>} assets - The includes
+ *   and assets referenced by the page
+ * @property {string|null} canonical - The canonical URL, if any
+ * @property {string|null} ogURL - The Open Graph URL, if any
+ */
+
+/**
+ * Replaces the language directory of a pathname with a placeholder, so
+ * that the pathnames of translations are equal.
+ *
+ * @param {string} pathname - The pathname
+ * @returns {string} The pathname, language agnostic
+ */
+function neutralize(pathname) {
+  return pathname.replace(REGEX_LANGUAGE_DIR, '/{lang}/');
+}
+
+/**
+ * Compares two lists of pathnames, language directories aside.
+ *
+ * @param {Array<string>} actual - The pathnames of the translation
+ * @param {Array<string>} expected - The pathnames of the reference page
+ * @returns {string} The added and removed pathnames, empty if the lists
+ *   match
+ */
+function diffPathnames(actual, expected) {
+  const actualSet = new Set(actual.map(neutralize));
+  const expectedSet = new Set(expected.map(neutralize));
+  const added = [...actualSet].filter((p) => !expectedSet.has(p));
+  const removed = [...expectedSet].filter((p) => !actualSet.has(p));
+  return [
+    ...added.sort().map((p) => `+${p}`),
+    ...removed.sort().map((p) => `-${p}`),
+  ].join(', ');
+}
+
+/**
+ * Lists the includes or the assets referenced by a page.
+ *
+ * @param {TranslatedPage} page - The page
+ * @param {boolean} isInclude - Whether to list includes rather than assets
+ * @returns {Array<string>} The referenced pathnames
+ */
+function listReferences(page, isInclude) {
+  return page.assets
+    .filter(({ kind }) => (kind === 'include') === isInclude)
+    .map(({ pathname }) => pathname);
+}
+
+/**
+ * Gets the path of a URL, language directory aside.
+ *
+ * @param {string|null} url - The URL
+ * @returns {string|null} The language agnostic path, if any URL
+ */
+function neutralPath(url) {
+  if (!url) return null;
+  try {
+    return neutralize(new URL(url).pathname);
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Checks that the translations of every page stay in sync. Each page is
+ * compared to its counterpart in the default language, or in the first
+ * language otherwise; pages outside of language trees are ignored.
+ *
+ * @param {Array<TranslatedPage>} pages - The pages of every language tree
+ * @returns {Array<string>} The issues found, empty if none
+ */
+export function checkTranslations(pages) {
+  const trees = new Map(); // Pages by pathname, by language
+  for (const page of pages) {
+    const lang = page.pathname.match(REGEX_LANGUAGE_DIR)?.[1];
+    if (!lang) continue;
+    if (!trees.has(lang)) trees.set(lang, new Map());
+    trees.get(lang).set(neutralize(page.pathname), page);
+  }
+  if (trees.size < 2) return [];
+
+  const languages = [...trees.keys()].sort();
+  const reference =
+    trees.has(DEFAULT_LANGUAGE) ? DEFAULT_LANGUAGE : languages[0];
+  const neutrals = new Set(languages.flatMap((l) => [...trees.get(l).keys()]));
+
+  const issues = [];
+  for (const neutral of [...neutrals].sort()) {
+    const existing = languages.find((lang) => trees.get(lang).has(neutral));
+    const original = trees.get(existing).get(neutral).pathname;
+    for (const lang of languages)
+      if (!trees.get(lang).has(neutral))
+        issues.push(
+          `${original}: missing its translation ` +
+            neutral.replace('{lang}', lang),
+        );
+
+    const expected = trees.get(reference).get(neutral);
+    if (!expected) continue;
+    for (const lang of languages) {
+      const actual = trees.get(lang).get(neutral);
+      if (!actual || actual === expected) continue;
+      const { pathname } = actual;
+
+      const includes = diffPathnames(
+        listReferences(actual, true),
+        listReferences(expected, true),
+      );
+      if (includes)
+        issues.push(
+          `${pathname}: SSI includes differ from ${expected.pathname} ` +
+            `(${includes})`,
+        );
+      const assets = diffPathnames(
+        listReferences(actual, false),
+        listReferences(expected, false),
+      );
+      if (assets)
+        issues.push(
+          `${pathname}: asset references differ from ${expected.pathname} ` +
+            `(${assets})`,
+        );
+
+      // Canonical and Open Graph URLs, by path
+      for (const [key, label] of [
+        ['canonical', 'canonical'],
+        ['ogURL', 'og:url'],
+      ])
+        if (neutralPath(actual[key]) !== neutralPath(expected[key]))
+          issues.push(
+            `${pathname}: ${label} ${actual[key] ?? '(none)'} does not match ` +
+              `${expected[key] ?? '(none)'} of ${expected.pathname}`,
+          );
+    }
+  }
+  return issues;
+}
@@ -0,0 +1,299 @@
+/**
+ * Validates the pages of the site offline, once their Server Side Includes
+ * are expanded: HTML conformance, broken internal links, images without
+ * alternative text, duplicate IDs, heading order and form controls without
+ * a label. Internal links are resolved the way the nginx configuration of
+ * the site serves clean URLs, such as '/en/contact'.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { posix } from 'node:path';
+import { getAttribute, tokenize } from './html.mjs';
+import { resolveURL, scanHTML } from './references.mjs';
+
+// Files served for a directory URL, as set by the index directive of
+// ci/nginx/nginx.conf.
+const DIRECTORY_INDEXES = ['index.html', 'about.html'];
+
+// Elements without content, never closed.
+const VOID_ELEMENTS = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'source',
+  'track',
+  'wbr',
+]);
+
+// Elements whose closing tag may be omitted.
+const OPTIONAL_END_TAGS = new Set([
+  'body',
+  'colgroup',
+  'dd',
+  'dt',
+  'head',
+  'html',
+  'li',
+  'optgroup',
+  'option',
+  'p',
+  'rp',
+  'rt',
+  'tbody',
+  'td',
+  'tfoot',
+  'th',
+  'thead',
+  'tr',
+]);
+
+// Elements that are no longer part of HTML.
+const OBSOLETE_ELEMENTS = new Set([
+  'acronym',
+  'applet',
+  'basefont',
+  'big',
+  'blink',
+  'center',
+  'font',
+  'frame',
+  'frameset',
+  'marquee',
+  'strike',
+  'tt',
+]);
+
+// Elements holding SVG or MathML, where tags may self-close.
+const FOREIGN_ELEMENTS = new Set(['math', 'svg']);
+
+// Input types that are labelled by their value or need no label.
+const UNLABELLED_INPUT_TYPES = new Set([
+  'button',
+  'hidden',
+  'image',
+  'reset',
+  'submit',
+]);
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} rule - The rule the page breaks, such as 'img-alt'
+ * @property {'error'|'warning'} severity - Whether the issue fails the build
+ * @property {string} message - The description of the issue
+ * @property {number} line - The line of the page where the issue is found
+ */
+
+/**
+ * Resolves an internal URL path to the output file nginx serves for it:
+ * the file itself, the same path with a .html extension, the landing page
+ * of a directory named after it, or a directory index.
+ *
+ * @param {string} pathname - The pathname of the URL
+ * @param {function(string): boolean} hasOutput - Tells whether an output
+ *   pathname exists
+ * @returns {string|null} The output pathname served, or null if none
+ */
+export function resolveRoute(pathname, hasOutput) {
+  const dir = pathname.endsWith('/') ? pathname : `${pathname}/`;
+  const candidates = [
+    pathname,
+    `${pathname}.html`,
+    `${dir}${posix.basename(dir)}.html`,
+    ...DIRECTORY_INDEXES.map((index) => dir + index),
+  ];
+  return candidates.find((candidate) => hasOutput(candidate)) ?? null;
+}
+
+/**
+ * Validates the HTML code of a page.
+ *
+ * @param {string} code - The HTML code of the page, SSI expanded
+ * @param {string} outPathname - The output pathname of the page
+ * @param {function(string): boolean} hasOutput - Tells whether an output
+ *   pathname exists
+ * @returns {Array<ValidationIssue>} The issues, in source order
+ */
+export function validatePage(code, outPathname, hasOutput) {
+  const issues = [];
+  const lineOf = (offset) => code.slice(0, offset).split('\n').length;
+  const report = (rule, severity, message, offset) =>
+    issues.push({ rule, severity, message, line: lineOf(offset) });
+
+  if (!/^\s*<!doctype html\s*>/i.test(code))
+    report('doctype', 'error', 'Missing <!DOCTYPE html>', 0);
+
+  const open = []; // Elements not closed yet, innermost last
+  const ids = new Map(); // Offset of the first element of each ID
+  const labelled = new Set(); // IDs of the controls labels point to
+  const labels = []; // Labels, checked once every ID is known
+  const controls = []; // Form controls that need a label
+  const fragments = []; // Links to an element of the page
+  let heading = 0;
+  let titles = 0;
+
+  for (const token of tokenize(code)) {
+    if (token.type === 'closetag') {
+      if (VOID_ELEMENTS.has(token.name)) {
+        report(
+          'void-close',
+          'error',
+          `Closing tag of void <${token.name}>`,
+          token.start,
+        );
+        continue;
+      }
+      const index = open.findLastIndex(({ name }) => name === token.name);
+      if (index < 0) {
+        report(
+          'stray-close',
+          'error',
+          `Stray closing tag </${token.name}>`,
+          token.start,
+        );
+        continue;
+      }
+      for (const tag of open.splice(index).slice(1))
+        if (!OPTIONAL_END_TAGS.has(tag.name))
+          report('unclosed', 'error', `Unclosed <${tag.name}>`, tag.start);
+      continue;
+    }
+    if (token.type !== 'tag') continue;
+
+    const { name } = token;
+    const inForeign = open.some((tag) => FOREIGN_ELEMENTS.has(tag.name));
+    const isSelfClosed = code[token.end - 2] === '/';
+    if (!VOID_ELEMENTS.has(name) && !(inForeign && isSelfClosed))
+      open.push(token);
+
+    const seen = new Set();
+    for (const attr of token.attrs) {
+      if (seen.has(attr.name))
+        report(
+          'duplicate-attribute',
+          'error',
+          `Duplicate attribute ${attr.name} on <${name}>`,
+          token.start,
+        );
+      seen.add(attr.name);
+    }
+
+    if (OBSOLETE_ELEMENTS.has(name))
+      report('obsolete', 'error', `Obsolete element <${name}>`, token.start);
+    if (name === 'html' && !getAttribute(token, 'lang')?.value.trim())
+      report(
+        'html-lang',
+        'error',
+        'Missing lang attribute on <html>',
+        token.start,
+      );
+    if (name === 'title' && !inForeign) ++titles;
+
+    const id = getAttribute(token, 'id')?.value;
+    if (id !== undefined && ids.has(id))
+      report(
+        'duplicate-id',
+        'error',
+        `Duplicate id "${id}", first used on line ${lineOf(ids.get(id))}`,
+        token.start,
+      );
+    else if (id !== undefined) ids.set(id, token.start);
+
+    // Images need a text alternative, empty if decorative
+    const type = getAttribute(token, 'type')?.value.toLowerCase() ?? '';
+    if (
+      (name === 'img' ||
+        name === 'area' ||
+        (name === 'input' && type === 'image')) &&
+      !getAttribute(token, 'alt')
+    )
+      report(
+        'img-alt',
+        'error',
+        `Missing alt attribute on <${name}>`,
+        token.start,
+      );
+
+    // Heading levels increase one at a time
+    const level = name.match(/^h([1-6])$/)?.[1];
+    if (level && level > heading + 1)
+      report(
+        'heading-order',
+        'warning',
+        `<${name}> follows ${heading ? `<h${heading}>` : 'no heading'}`,
+        token.start,
+      );
+    if (level) heading = Number(level);
+
+    if (name === 'label') {
+      const target = getAttribute(token, 'for')?.value;
+      if (target) {
+        labels.push({ target, start: token.start });
+        labelled.add(target);
+      }
+    }
+    const isControl =
+      name === 'select' ||
+      name === 'textarea' ||
+      (name === 'input' && !UNLABELLED_INPUT_TYPES.has(type));
+    if (
+      isControl &&
+      !open.some((tag) => tag.name === 'label') &&
+      !['aria-label', 'aria-labelledby', 'title'].some((attr) =>
+        getAttribute(token, attr)?.value.trim(),
+      )
+    )
+      controls.push({ name, id, start: token.start });
+
+    // Internal links and form actions point to a page or file of the site
+    const href =
+      name === 'a' || name === 'area' ? getAttribute(token, 'href')
+      : name === 'form' ? getAttribute(token, 'action')
+      : null;
+    const url = href?.value.trim();
+    if (url?.startsWith('#')) {
+      if (url.length > 1) fragments.push({ url, start: token.start });
+    } else if (url) {
+      const resolved = resolveURL(url, outPathname);
+      if (resolved && !resolveRoute(resolved.pathname, hasOutput))
+        report('broken-link', 'error', `Broken link to ${url}`, token.start);
+    }
+  }
+
+  for (const tag of open)
+    if (!OPTIONAL_END_TAGS.has(tag.name))
+      report('unclosed', 'error', `Unclosed <${tag.name}>`, tag.start);
+  if (titles !== 1)
+    report('title', 'error', `Expected one <title>, found ${titles}`, 0);
+
+  for (const { url, start } of fragments)
+    if (!ids.has(url.slice(1)))
+      report('broken-link', 'error', `Link to missing id ${url}`, start);
+  for (const { target, start } of labels)
+    if (!ids.has(target))
+      report('label', 'error', `Label for missing id "${target}"`, start);
+  for (const { name, id, start } of controls)
+    if (!id || !labelled.has(id))
+      report('label', 'error', `<${name}> without a label`, start);
+
+  // Scripts, stylesheets and images point to built files. Social images are
+  // absolute URLs, possibly to another host
+  for (const { kind, pathname, start } of scanHTML(code, outPathname))
+    if (kind !== 'include' && kind !== 'meta' && !hasOutput(pathname))
+      report('broken-link', 'error', `Missing file ${pathname}`, start);
+
+  return issues.sort((a, b) => a.line - b.line);
+}
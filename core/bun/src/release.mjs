@@ -0,0 +1,72 @@
+/**
+ * Builds the project with the production profile, then packages the web
+ * root and the PHP runtime into a versioned release under 'build/releases'.
+ * The tarball is reproducible: packaging the same build twice gives the same
+ * bytes, dated from SOURCE_DATE_EPOCH or the last commit. It comes with a
+ * release manifest listing the hash of every file, and a checksums file to
+ * verify both with `sha256sum --check` before deploying or rolling back.
+ *
+ * Like any build, it is staged and swapped in only if it succeeds. With
+ * '--force', it rebuilds every file rather than reusing the outputs of the
+ * previous build.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { basename, join } from 'node:path';
+import {
+  bundle,
+  getBuildOutputs,
+  getManifestPath,
+} from './internal/bundle.mjs';
+import { publishBuild, stageBuild } from './internal/history.mjs';
+import { loadConfig } from './internal/plugins.mjs';
+import { getProfile } from './internal/profiles.mjs';
+import { getSourceDateEpoch, packRelease } from './internal/release.mjs';
+import { Version } from './internal/version.mjs';
+
+const force = process.argv.includes('--force');
+
+const { root, srcDir, outDir, versionPath, packagePath, configPath } =
+  globalThis.path;
+const config = await loadConfig(configPath);
+const version = await Version.load(versionPath);
+const { name } = await Bun.file(packagePath).json();
+
+console.log(`Release ${version} started at: ${new Date().toLocaleString()}`);
+const outputs = getBuildOutputs(srcDir);
+const stageDir = await stageBuild(outDir, outputs);
+const report = await bundle(srcDir, stageDir, {
+  force,
+  profile: getProfile('prod'),
+  plugins: config.plugins,
+  budgets: config.budgets,
+});
+await publishBuild(
+  outDir,
+  stageDir,
+  report,
+  outputs,
+  getManifestPath(srcDir, ''),
+);
+console.log(report.summarize());
+if (report.hasFailed) {
+  console.error('Release aborted, the build failed');
+  process.exit(1);
+}
+
+const files = await packRelease({
+  name,
+  version: version.toString(),
+  root,
+  webRoot: join(outDir, basename(srcDir)),
+  releaseDir: join(outDir, 'releases'),
+  mtime: getSourceDateEpoch(root),
+});
+for (const path of Object.values(files)) console.log(`Wrote ${path}`);
@@ -0,0 +1,60 @@
+/**
+ * Provides unit tests for the reproducible tar archives of releases.
+ * Ensures that entries are sorted, that headers follow the ustar format and
+ * that checksums can be verified with `sha256sum`.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import { createTar, formatChecksums } from '../src/internal/archive.mjs';
+
+const decoder = new TextDecoder();
+const field = (archive, offset, length) =>
+  decoder.decode(archive.subarray(offset, offset + length)).replace(/\0.*/, '');
+
+describe('createTar', () => {
+  const entries = [
+    { path: 'b.txt', content: new TextEncoder().encode('B') },
+    { path: 'a.txt', content: new TextEncoder().encode('Hello') },
+  ];
+
+  test('Packs the same files into the same bytes, sorted by path', () => {
+    const ans = createTar(entries, 1700000000);
+
+    expect(ans).toEqual(createTar([...entries].reverse(), 1700000000));
+    expect(ans.length).toBe(512 * 6);
+    expect(field(ans, 0, 100)).toBe('a.txt');
+    expect(field(ans, 124, 12)).toBe('00000000005');
+    expect(field(ans, 136, 12)).toBe((1700000000).toString(8));
+    expect(field(ans, 257, 6)).toBe('ustar');
+    expect(field(ans, 512, 5)).toBe('Hello');
+    expect(field(ans, 1024, 100)).toBe('b.txt');
+  });
+
+  test('Splits long paths into a prefix and a name', () => {
+    const path = `${'d'.repeat(60)}/${'e'.repeat(60)}/f.txt`;
+
+    const ans = createTar([{ path, content: new Uint8Array() }]);
+
+    expect(field(ans, 345, 155)).toBe('d'.repeat(60));
+    expect(field(ans, 0, 100)).toBe(`${'e'.repeat(60)}/f.txt`);
+    expect(() =>
+      createTar([{ path: 'f'.repeat(101), content: new Uint8Array() }]),
+    ).toThrow('Path too long');
+  });
+});
+
+describe('formatChecksums', () => {
+  test('Lists digests like sha256sum, sorted by path', () => {
+    const ans = formatChecksums({ 'b.tar.gz': '02', 'a.json': '01' });
+
+    expect(ans).toBe('01  a.json\n02  b.tar.gz\n');
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Provides tests for the performance budgets of the pages, weighing the
+ * files of a build in a temporary directory.
+ * Ensures that pages count the files they load through their includes,
+ * compressed and at the preferred size of their images, and that exceeded
+ * budgets are listed against the previous build.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { beforeAll, describe, expect, test } from 'bun:test';
+import {
+  checkBudgets,
+  formatTrend,
+  measurePages,
+} from '../src/internal/budgets.mjs';
+
+const asset = (outname, fields = {}) => ({
+  outname,
+  compressed: [],
+  chunks: [],
+  references: [],
+  image: null,
+  ...fields,
+});
+
+const MANIFEST = {
+  pages: {
+    '/index.shtml': {
+      compressed: ['.gz'],
+      assets: [
+        { kind: 'include', pathname: '/_head.html' },
+        { kind: 'image', pathname: '/hero.jpeg' },
+      ],
+    },
+    '/_head.html': {
+      compressed: [],
+      assets: [
+        { kind: 'asset', pathname: '/main.css' },
+        { kind: 'asset', pathname: '/app.mjs' },
+      ],
+    },
+  },
+  assets: {
+    '/main.css': asset('a1.min.css', { references: ['/font.woff2'] }),
+    '/font.woff2': asset('f1.woff2'),
+    '/app.mjs': asset('b2.min.js', {
+      chunks: [{ outPathname: '/chunks/c3.min.js', compressed: [] }],
+    }),
+    '/hero.jpeg': asset('d4.jpeg', {
+      image: {
+        variants: [
+          { outname: 'e5.avif', format: 'avif', width: 320 },
+          { outname: 'e6.avif', format: 'avif', width: 640 },
+          { outname: 'e7.jpeg', format: 'jpeg', width: 320 },
+        ],
+      },
+    }),
+  },
+};
+
+describe('measurePages', () => {
+  const outDir = join(globalThis.pathTemp.root, 'budgets');
+
+  beforeAll(async () => {
+    await rm(outDir, { recursive: true, force: true });
+    const files = {
+      'index.html': 1000,
+      'index.html.gz': 300,
+      'a1.min.css': 40,
+      'f1.woff2': 500,
+      'b2.min.js': 60,
+      'chunks/c3.min.js': 70,
+      'd4.jpeg': 9000,
+      'e6.avif': 800,
+    };
+    for (const [path, size] of Object.entries(files))
+      await Bun.write(join(outDir, path), 'x'.repeat(size));
+  });
+
+  test('Weighs the files each public page loads, by type', async () => {
+    const ans = await measurePages(outDir, MANIFEST);
+
+    expect(ans).toEqual({
+      '/index.html': {
+        total: 1770,
+        html: 300,
+        css: 40,
+        font: 500,
+        js: 130,
+        image: 800,
+      },
+    });
+  });
+});
+
+describe('checkBudgets and formatTrend', () => {
+  test('Lists the budgets exceeded against the previous build', () => {
+    const weights = {
+      '/index.html': { total: 1770, image: 800 },
+      '/about.html': { total: 2500, image: 2000 },
+    };
+    const budgets = {
+      page: { total: 2000, image: 1000 },
+      pages: { '/about.html': { image: 3000 } },
+    };
+
+    const exceeded = checkBudgets(weights, budgets);
+    const ans = formatTrend(
+      exceeded,
+      { '/about.html': { total: 2000 } },
+      '1.0.0',
+    );
+
+    expect(exceeded).toEqual([
+      { page: '/about.html', type: 'total', size: 2500, budget: 2000 },
+    ]);
+    expect(ans.split('\n')).toEqual([
+      'Page         Type   Size    Budget  Previous (1.0.0)  Change',
+      '/about.html  total  2.5 kB  2.0 kB  2.0 kB            +500 B',
+    ]);
+  });
+});
@@ -0,0 +1,303 @@
+/**
+ * Integration test for the incremental builds of the bundler, building a
+ * small site in a temporary directory.
+ * Verifies that files are rebuilt when their content changes rather than
+ * their modification time, that the outputs of another version of the
+ * bundler or of Bun are never reused, that modules shared by several
+ * entrypoints are split into a chunk that pages verify and preload, that
+ * the files of the web app are only emitted again when their inputs change,
+ * and that validation issues are located in the file they come from.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { readdir, rm, stat, utimes } from 'node:fs/promises';
+import { join } from 'node:path';
+import { beforeAll, beforeEach, describe, expect, spyOn, test } from 'bun:test';
+import { bundle, getManifestPath } from '../src/internal/bundle.mjs';
+import { getAttribute, tokenize } from '../src/internal/html.mjs';
+import { integrity } from '../src/internal/security.mjs';
+
+/**
+ * Creates the code of a page.
+ *
+ * @param {string} head - The code of the head of the page, after its title
+ * @returns {string} The HTML code of the page
+ */
+function page(head) {
+  return (
+    '<!DOCTYPE html>\n<html lang="en">\n<head>\n<title>Home</title>\n' +
+    `${head}\n</head>\n<body>\n<h1>Home</h1>\n</body>\n</html>\n`
+  );
+}
+
+/**
+ * Builds a site without logging the progress of the build.
+ *
+ * @param {string} srcDir - The source directory
+ * @param {string} outDir - The output directory
+ * @returns {Promise<import('../src/internal/report.mjs').BuildReport>} The
+ *   report of the build
+ */
+async function build(srcDir, outDir) {
+  const log = spyOn(console, 'log').mockImplementation(() => {});
+  try {
+    return await bundle(srcDir, outDir, { jobs: 1 });
+  } finally {
+    log.mockRestore();
+  }
+}
+
+/**
+ * Gets the status of every file of a build report.
+ *
+ * @param {import('../src/internal/report.mjs').BuildReport} report - The
+ *   report of the build
+ * @returns {Object<string, string>} The status of the files, by pathname
+ */
+function statusOf(report) {
+  return Object.fromEntries(
+    report.files.map(({ pathname, status }) => [pathname, status]),
+  );
+}
+
+describe('bundle incremental builds', () => {
+  const rootDir = join(globalThis.pathTemp.root, 'bundle');
+  const srcDir = join(rootDir, 'public_html');
+  const outDir = join(rootDir, 'build');
+  const css = join(srcDir, 'main.css');
+  const manifestPath = getManifestPath(srcDir, outDir);
+
+  beforeEach(async () => {
+    await rm(rootDir, { recursive: true, force: true });
+    await Bun.write(
+      join(srcDir, 'index.html'),
+      page('<link rel="stylesheet" href="/main.css">'),
+    );
+    await Bun.write(css, 'h1 { color: red; }\n');
+    await build(srcDir, outDir);
+  });
+
+  test('Skips files whose modification time changed but not content', async () => {
+    const future = new Date(Date.now() + 60_000);
+    await utimes(css, future, future);
+
+    const ans = await build(srcDir, outDir);
+
+    expect(statusOf(ans)).toEqual({
+      '/main.css': 'skipped',
+      '/index.html': 'skipped',
+    });
+  });
+
+  test('Rebuilds files whose content changed, whatever their modification time', async () => {
+    await Bun.write(css, 'h1 { color: blue; }\n');
+    const past = new Date(0);
+    await utimes(css, past, past);
+
+    const ans = await build(srcDir, outDir);
+
+    expect(statusOf(ans)).toMatchObject({
+      '/main.css': 'rebuilt',
+      '/index.html': 'rebuilt',
+    });
+  });
+
+  test('Rebuilds every file after a change of the bundler or of Bun', async () => {
+    const manifest = await Bun.file(manifestPath).json();
+    const results = [];
+
+    for (const changes of [{ bundler: -1 }, { bun: '0.0.0' }]) {
+      await Bun.write(
+        manifestPath,
+        JSON.stringify({ ...manifest, ...changes }),
+      );
+      results.push(statusOf(await build(srcDir, outDir)));
+    }
+
+    expect(results).toEqual([
+      { '/main.css': 'rebuilt', '/index.html': 'rebuilt' },
+      { '/main.css': 'rebuilt', '/index.html': 'rebuilt' },
+    ]);
+  });
+});
+
+describe('bundle code splitting', () => {
+  const rootDir = join(globalThis.pathTemp.root, 'bundle-splitting');
+  const srcDir = join(rootDir, 'public_html');
+  const outDir = join(rootDir, 'build');
+  const dstDir = join(outDir, 'public_html');
+  let manifest;
+
+  beforeAll(async () => {
+    await rm(rootDir, { recursive: true, force: true });
+    const files = {
+      'scripts/shared.mjs':
+        'export function greet(name) {\n' +
+        '  document.title = `Hello, ${name}`;\n}\n',
+      'scripts/a.mjs': "import { greet } from './shared.mjs';\ngreet('a');\n",
+      'scripts/b.mjs': "import { greet } from './shared.mjs';\ngreet('b');\n",
+      'index.html': page(
+        '<script type="module" src="/scripts/a.mjs"></script>',
+      ),
+      'other.html': page(
+        '<script type="module" src="/scripts/b.mjs"></script>',
+      ),
+    };
+    for (const [path, code] of Object.entries(files))
+      await Bun.write(join(srcDir, path), code);
+    await build(srcDir, outDir);
+    manifest = await Bun.file(getManifestPath(srcDir, outDir)).json();
+  });
+
+  test('Writes a module shared by two entrypoints as a single chunk', async () => {
+    const names = await readdir(join(dstDir, 'scripts', 'chunks'));
+    const chunks = names.filter((name) => name.endsWith('.js'));
+
+    const ans = ['/scripts/a.mjs', '/scripts/b.mjs'].map((pathname) =>
+      manifest.assets[pathname].chunks.map((chunk) => chunk.outPathname),
+    );
+
+    expect(chunks).toHaveLength(1);
+    expect(ans).toEqual([
+      [`/scripts/chunks/${chunks[0]}`],
+      [`/scripts/chunks/${chunks[0]}`],
+    ]);
+  });
+
+  test('Gives the chunk the integrity of its content', async () => {
+    const [chunk] = manifest.assets['/scripts/a.mjs'].chunks;
+
+    const ans = integrity(
+      await Bun.file(join(dstDir, chunk.outPathname)).text(),
+    );
+
+    expect(chunk.integrity).toBe(ans);
+  });
+
+  test('Preloads the chunks of the entrypoints pages load', async () => {
+    const [chunk] = manifest.assets['/scripts/a.mjs'].chunks;
+    const code = await Bun.file(join(dstDir, 'index.html')).text();
+
+    const ans = tokenize(code)
+      .filter(
+        (tag) =>
+          tag.name === 'link' &&
+          getAttribute(tag, 'rel')?.value === 'modulepreload',
+      )
+      .map((tag) => getAttribute(tag, 'href').value);
+
+    expect(ans).toContain(chunk.outPathname);
+  });
+});
+
+describe('bundle web app', () => {
+  const rootDir = join(globalThis.pathTemp.root, 'bundle-web-app');
+  const srcDir = join(rootDir, 'public_html');
+  const outDir = join(rootDir, 'build');
+  const dstDir = join(outDir, 'public_html');
+  const favicon = (color) =>
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16">' +
+    `<rect width="16" height="16" fill="${color}"/></svg>\n`;
+  const files = [
+    '/manifest.webmanifest',
+    '/sw.js',
+    '/favicon-192x192.png',
+    '/favicon-512x512.png',
+  ];
+
+  /**
+   * Dates the files of the web app from the epoch, to tell whether the
+   * next build writes them again.
+   *
+   * @returns {Promise<void>}
+   */
+  async function age() {
+    const epoch = new Date(0);
+    for (const pathname of files)
+      await utimes(join(dstDir, pathname), epoch, epoch);
+  }
+
+  /**
+   * Lists the files of the web app the last build wrote.
+   *
+   * @returns {Promise<Array<string>>} The pathnames of the files
+   */
+  async function listWritten() {
+    const stats = await Promise.all(
+      files.map((pathname) => stat(join(dstDir, pathname))),
+    );
+    return files.filter((_, i) => stats[i].mtimeMs > 0);
+  }
+
+  beforeEach(async () => {
+    await rm(rootDir, { recursive: true, force: true });
+    await Bun.write(join(srcDir, 'favicon.svg'), favicon('#0050ff'));
+    await Bun.write(
+      join(srcDir, 'index.html'),
+      page('<link rel="icon" href="/favicon.svg" type="image/svg+xml">'),
+    );
+    await build(srcDir, outDir);
+    await age();
+  });
+
+  test('Keeps the files of the web app while their inputs are unchanged', async () => {
+    await Bun.write(
+      join(srcDir, 'index.html'),
+      page('<link rel="icon" href="/favicon.svg" type="image/svg+xml">\n'),
+    );
+
+    const report = await build(srcDir, outDir);
+    const ans = await listWritten();
+
+    expect(report.hasChange).toBe(true);
+    expect(ans).toEqual([]);
+  });
+
+  test('Emits the files of the web app again once the favicon changes', async () => {
+    await Bun.write(join(srcDir, 'favicon.svg'), favicon('#ff5000'));
+
+    await build(srcDir, outDir);
+    const ans = await listWritten();
+
+    expect(ans).toEqual(files);
+  });
+});
+
+describe('bundle validation', () => {
+  const rootDir = join(globalThis.pathTemp.root, 'bundle-validation');
+  const srcDir = join(rootDir, 'public_html');
+  const outDir = join(rootDir, 'build');
+
+  test('Locates the issues of a page in the include they come from', async () => {
+    await rm(rootDir, { recursive: true, force: true });
+    await Bun.write(
+      join(srcDir, 'index.shtml'),
+      page('').replace(
+        '<h1>Home</h1>\n',
+        '<h1>Home</h1>\n<!--#include virtual="/_part.html"-->\n',
+      ),
+    );
+    await Bun.write(
+      join(srcDir, '_part.html'),
+      '<div>\n  <h4>Deep</h4>\n</div>\n',
+    );
+
+    const report = await build(srcDir, outDir);
+
+    expect(report.issues).toEqual([
+      expect.objectContaining({
+        rule: 'heading-order',
+        pathname: '/_part.html',
+        line: 2,
+        page: '/index.shtml',
+      }),
+    ]);
+  });
+});
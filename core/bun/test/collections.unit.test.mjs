@@ -0,0 +1,106 @@
+/**
+ * Provides unit tests for the partials generated from data files.
+ * Ensures that entries are sorted and rendered once per language, with their
+ * period and icons resolved.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import {
+  formatPeriod,
+  renderCollection,
+} from '../src/internal/collections.mjs';
+
+describe('formatPeriod', () => {
+  test('Joins years and ISO dates as shown on the pages', () => {
+    const ans = [
+      formatPeriod(2023, 2025),
+      formatPeriod('2020-03-02', '2020-03-26'),
+      formatPeriod(2026),
+    ];
+
+    expect(ans).toEqual(['2023 - 2025', '03/02/2020 - 03/26/2020', '2026']);
+  });
+});
+
+describe('renderCollection', () => {
+  const template =
+    '---\n' +
+    'output: /{{ lang }}/projects/_projects.html\n' +
+    'order: desc\n' +
+    'text:\n' +
+    '  en: { remote: Remote }\n' +
+    '  fr: { remote: Distance }\n' +
+    '---\n' +
+    '<h2>{{ title }} ({{ period }}, {{ remote }})</h2>' +
+    '{{#icons}}<img alt="{{ alt }}">{{/icons}}\n';
+
+  test('Renders the entries of every language, newest first', () => {
+    const ans = renderCollection(
+      template,
+      [
+        {
+          name: 'a.yaml',
+          data: {
+            start: 2016,
+            end: 2019,
+            icons: ['cpp'],
+            text: { en: { title: 'Old' }, fr: { title: 'Ancien' } },
+          },
+        },
+        {
+          name: 'b.yaml',
+          data: { start: 2026, text: { en: { title: 'New' }, fr: {} } },
+        },
+      ],
+      { cpp: { alt: 'C++', src: '/cpp.svg' } },
+    );
+
+    expect(Object.fromEntries(ans)).toEqual({
+      '/en/projects/_projects.html':
+        '<h2>New (2026, Remote)</h2>\n' +
+        '<h2>Old (2016 - 2019, Remote)</h2><img alt="C++">\n',
+      '/fr/projects/_projects.html':
+        '<h2> (2026, Distance)</h2>\n' +
+        '<h2>Ancien (2016 - 2019, Distance)</h2><img alt="C++">\n',
+    });
+  });
+
+  test('Rejects entries missing a language or an icon', () => {
+    const entry = (data) => [{ name: 'a.yaml', data }];
+
+    expect(() =>
+      renderCollection(template, entry({ text: { en: { title: 'A' } } })),
+    ).toThrow('Missing fr text in a.yaml');
+    expect(() =>
+      renderCollection(
+        template,
+        entry({ icons: ['rust'], text: { en: {}, fr: {} } }),
+      ),
+    ).toThrow('Unknown icon rust in a.yaml');
+  });
+
+  test('Names the anchor of entries after their data file', () => {
+    const ans = renderCollection(
+      '---\noutput: /{{ lang }}.html\n---\n<div id="{{ id }}"></div>',
+      [
+        {
+          name: '/_data/projects/2023_My_portfolio.yaml',
+          data: { text: { en: {} } },
+        },
+        { name: 'b.yaml', data: { id: 'custom', text: { en: {} } } },
+      ],
+    );
+
+    expect(ans.get('/en.html')).toBe(
+      '<div id="2023-my-portfolio"></div><div id="custom"></div>',
+    );
+  });
+});
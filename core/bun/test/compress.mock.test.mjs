@@ -0,0 +1,84 @@
+/**
+ * Integration test for the pre-compressed outputs of the bundler.
+ * Verifies that Brotli and gzip siblings are written only when worthwhile,
+ * that stale siblings are removed, and that the .htaccess rules serving them
+ * keep redirects first.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { join } from 'node:path';
+import { brotliDecompressSync, gunzipSync } from 'node:zlib';
+import { describe, expect, test } from 'bun:test';
+import {
+  MIN_COMPRESS_SIZE,
+  addCompressionRules,
+  writeCompressed,
+} from '../src/internal/compress.mjs';
+
+describe('writeCompressed', () => {
+  const rootDir = join(globalThis.pathTemp.root, 'compress');
+  const content = 'main { color: red; }\n'.repeat(MIN_COMPRESS_SIZE);
+
+  test('Writes Brotli and gzip siblings of large text files', async () => {
+    const path = join(rootDir, 'large.css');
+
+    const ans = await writeCompressed(path, content);
+
+    expect(ans).toEqual(['.br', '.gz']);
+    const [br, gz] = await Promise.all(
+      ans.map((ext) => Bun.file(path + ext).arrayBuffer()),
+    );
+    expect(brotliDecompressSync(br).toString()).toBe(content);
+    expect(gunzipSync(gz).toString()).toBe(content);
+  });
+
+  test('Skips small and binary files, removing stale siblings', async () => {
+    const path = join(rootDir, 'shrunk.css');
+    await writeCompressed(path, content);
+
+    const [small, binary] = await Promise.all([
+      writeCompressed(path, 'main{}'),
+      writeCompressed(join(rootDir, 'photo.jpeg'), content),
+    ]);
+
+    expect([small, binary]).toEqual([[], []]);
+    expect(await Bun.file(`${path}.br`).exists()).toBe(false);
+    expect(await Bun.file(`${path}.gz`).exists()).toBe(false);
+  });
+});
+
+describe('addCompressionRules', () => {
+  test('Inserts rewrite rules between redirects and clean URL rules', () => {
+    const ans = addCompressionRules(
+      [
+        'RewriteEngine On',
+        'RewriteRule ^(.+)\\.html$ /$1 [L,R]',
+        '',
+        '# Serve clean URLs',
+        'RewriteCond %{REQUEST_FILENAME}.html -f',
+        'RewriteRule ^(.*)/?$ /$1.html [END]',
+      ].join('\n'),
+    );
+
+    const redirect = ans.indexOf('[L,R]');
+    const compressed = ans.indexOf('/$1.br [END]');
+    const cleanURL = ans.indexOf('# Serve clean URLs');
+    expect(redirect).toBeLessThan(compressed);
+    expect(compressed).toBeLessThan(cleanURL);
+    expect(ans).toContain('AddEncoding br .br');
+  });
+
+  test('Enables the rewrite engine when missing', () => {
+    const ans = addCompressionRules('DirectoryIndex index.html\n');
+
+    expect(ans).toStartWith('DirectoryIndex index.html\n\nRewriteEngine On\n');
+    expect(ans).toContain('AddEncoding gzip .gz');
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Provides unit tests for the critical CSS of pages.
+ * Ensures that only the rules styling above-the-fold content and design
+ * tokens are inlined, and that stylesheets are deferred unless they opt out.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import {
+  deferStylesheets,
+  extractCriticalCSS,
+  findDeferrableStylesheets,
+} from '../src/internal/critical.mjs';
+
+describe('extractCriticalCSS', () => {
+  const html =
+    '<html data-theme="light"><body>' +
+    '<header><a href="/">Home</a></header>' +
+    '<main><section><h1>Title</h1></section><footer>End</footer></main>' +
+    '</body></html>';
+
+  test('Keeps rules of the header, the main heading and their ancestors', () => {
+    const ans = extractCriticalCSS(
+      html,
+      'header > a:hover { color: red; }\n' +
+        'main > section { display: flex; }\n' +
+        'footer { color: gray; }\n' +
+        '@media print { h1 { margin: 0; } footer { display: none; } }',
+    );
+
+    expect(ans).toContain('header > a:hover');
+    expect(ans).toContain('main > section');
+    expect(ans).toContain('@media print { h1');
+    expect(ans).not.toContain('footer');
+  });
+
+  test('Keeps design tokens and the keyframes of kept animations', () => {
+    const ans = extractCriticalCSS(
+      html,
+      "html[data-theme='dark'] { --color: #fff; }\n" +
+        'h1 { animation: 1s fade; }\n' +
+        '@keyframes fade { to { opacity: 1; } }\n' +
+        '@keyframes spin { to { rotate: 1turn; } }',
+    );
+
+    expect(ans).toContain("html[data-theme='dark']");
+    expect(ans).toContain('@keyframes fade');
+    expect(ans).not.toContain('spin');
+  });
+});
+
+describe('deferStylesheets', () => {
+  test('Inlines critical CSS and defers stylesheets not opting out', () => {
+    const code =
+      '<head><link rel="stylesheet" href="/a.css" media="screen">' +
+      '<link rel="stylesheet" href="/b.css" data-render-blocking></head>';
+    const links = findDeferrableStylesheets(
+      code,
+      new Set(['/a.css', '/b.css']),
+    );
+
+    const ans = deferStylesheets(code, links, 'h1{margin:0}');
+
+    expect(links.map(({ href }) => href)).toEqual(['/a.css']);
+    expect(ans).toStartWith(
+      '<head><style>h1{margin:0}</style>' +
+        '<link rel="stylesheet" href="/a.css" media="print" ' +
+        'data-media="screen"><script>',
+    );
+    expect(ans).toContain(
+      '<noscript><link rel="stylesheet" href="/a.css" media="screen">' +
+        '</noscript><link rel="stylesheet" href="/b.css" data-render-blocking>',
+    );
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Provides unit tests for the line diffs of the build outputs.
+ * Ensures that unchanged lines are kept, and that hunks show their context
+ * and line numbers like `diff -u`.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import { diffEdits, unifiedDiff } from '../src/internal/diff.mjs';
+
+describe('diffEdits', () => {
+  test('Keeps the longest common subsequence of lines', () => {
+    const ans = diffEdits(['a', 'b', 'c', 'd'], ['a', 'c', 'x', 'd']);
+
+    expect(ans.map(({ type, line }) => type + line)).toEqual([
+      ' a',
+      '-b',
+      ' c',
+      '+x',
+      ' d',
+    ]);
+  });
+});
+
+describe('unifiedDiff', () => {
+  test('Shows changes with their context and line numbers', () => {
+    const before = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
+    const after = ['1', '2', '3', '4', '5', '6', '7', '8', 'nine', '10'];
+
+    const ans = unifiedDiff(before, after, 2);
+
+    expect(ans).toBe('@@ -7,4 +7,4 @@\n 7\n 8\n-9\n+nine\n 10');
+    expect(unifiedDiff(before, before)).toBe('');
+  });
+});
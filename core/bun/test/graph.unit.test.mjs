@@ -0,0 +1,81 @@
+/**
+ * Provides unit tests for the reverse-dependency graph used by the bundler.
+ * Ensures that changes propagate to every transitive dependent and that the
+ * serialized graph is stable.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import { DependencyGraph } from '../src/internal/graph.mjs';
+
+function createGraph() {
+  const graph = new DependencyGraph();
+  graph.addEdge('/en/about.shtml', '/en/_header.html');
+  graph.addEdge('/en/about.shtml', '/_footer.html');
+  graph.addEdge('/fr/about.shtml', '/_footer.html');
+  graph.addEdge('/_footer.html', '/assets/scripts/footer/entrypoints.mjs');
+  graph.addEdge(
+    '/assets/scripts/footer/entrypoints.mjs',
+    '/assets/scripts/footer/language-select.mjs',
+  );
+  graph.addEdge(
+    '/assets/scripts/footer/language-select.mjs',
+    '/assets/scripts/core.mjs',
+  );
+  return graph;
+}
+
+describe('DependencyGraph.invalidate', () => {
+  test('Propagates a leaf change to every transitive dependent', () => {
+    const ans = createGraph().invalidate(['/assets/scripts/core.mjs']);
+
+    expect([...ans].sort()).toEqual([
+      '/_footer.html',
+      '/assets/scripts/core.mjs',
+      '/assets/scripts/footer/entrypoints.mjs',
+      '/assets/scripts/footer/language-select.mjs',
+      '/en/about.shtml',
+      '/fr/about.shtml',
+    ]);
+  });
+
+  test('Only invalidates the pages including a changed include', () => {
+    const ans = createGraph().invalidate(['/en/_header.html']);
+
+    expect([...ans].sort()).toEqual(['/en/_header.html', '/en/about.shtml']);
+  });
+
+  test('Tolerates dependency cycles', () => {
+    const graph = new DependencyGraph();
+    graph.addEdge('/a.mjs', '/b.mjs');
+    graph.addEdge('/b.mjs', '/a.mjs');
+
+    expect([...graph.invalidate(['/a.mjs'])].sort()).toEqual([
+      '/a.mjs',
+      '/b.mjs',
+    ]);
+  });
+});
+
+describe('DependencyGraph.toJSON', () => {
+  test('Serializes sorted dependents keyed by dependency', () => {
+    const graph = new DependencyGraph();
+    graph.addEdge('/fr/about.shtml', '/_footer.html');
+    graph.addEdge('/en/about.shtml', '/_footer.html');
+    graph.addEdge('/en/about.shtml', '/assets/styles/main.css');
+
+    expect(JSON.stringify(graph)).toBe(
+      JSON.stringify({
+        '/_footer.html': ['/en/about.shtml', '/fr/about.shtml'],
+        '/assets/styles/main.css': ['/en/about.shtml'],
+      }),
+    );
+  });
+});
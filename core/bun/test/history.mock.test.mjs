@@ -0,0 +1,162 @@
+/**
+ * Integration test for the staged builds and their history.
+ * Verifies that staged builds are swapped in only once they succeed, that
+ * the live build is restored if the swap fails, that the builds swapped out
+ * are kept by version, and that they can be rolled back to.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { mkdir, rm, utimes } from 'node:fs/promises';
+import { join } from 'node:path';
+import { beforeEach, describe, expect, test } from 'bun:test';
+import {
+  getHistoryDir,
+  listBuilds,
+  publishBuild,
+  rollbackBuild,
+  stageBuild,
+  swapBuild,
+} from '../src/internal/history.mjs';
+
+describe('publishBuild and rollbackBuild', async () => {
+  const outDir = join(globalThis.pathTemp.root, 'history');
+  const outputs = ['public_html', 'bun/public_html.manifest.json'];
+  const manifest = outputs[1];
+  const page = (dir = outDir) => join(dir, 'public_html', 'index.html');
+
+  /**
+   * Stages a build of a version, writing the given page.
+   *
+   * @param {string} version - The version of the build
+   * @param {string} code - The content of the page
+   * @returns {Promise<string>} The staging directory
+   */
+  async function stage(version, code) {
+    const stageDir = await stageBuild(outDir, outputs);
+    await Bun.write(page(stageDir), code);
+    await Bun.write(join(stageDir, manifest), JSON.stringify({ version }));
+    return stageDir;
+  }
+
+  beforeEach(async () => {
+    await rm(outDir, { recursive: true, force: true });
+    await publishBuild(
+      outDir,
+      await stage('1.0.0', 'v1'),
+      { hasChange: true, hasFailed: false },
+      outputs,
+      manifest,
+    );
+  });
+
+  test('Swaps changed builds in, keeping the previous one by version', async () => {
+    const stageDir = await stage('1.1.0', 'v2');
+
+    const ans = await publishBuild(
+      outDir,
+      stageDir,
+      { hasChange: true, hasFailed: false },
+      outputs,
+      manifest,
+    );
+
+    expect(ans).toBe(true);
+    expect(await Bun.file(page()).text()).toBe('v2');
+    expect(
+      await Bun.file(page(join(getHistoryDir(outDir), '1.0.0'))).text(),
+    ).toBe('v1');
+    expect(await Bun.file(stageDir).exists()).toBe(false);
+  });
+
+  test('Leaves the live build as it was if the build failed', async () => {
+    const stageDir = await stage('1.1.0', 'half');
+
+    const ans = await publishBuild(
+      outDir,
+      stageDir,
+      { hasChange: true, hasFailed: true },
+      outputs,
+      manifest,
+    );
+
+    expect(ans).toBe(false);
+    expect(await Bun.file(page()).text()).toBe('v1');
+    expect(await listBuilds(outDir)).toEqual([]);
+  });
+
+  test('Restores the live build if it cannot be swapped out', async () => {
+    const stageDir = await stage('1.1.0', 'v2');
+    await mkdir(join(stageDir, 'extra', 'sub'), { recursive: true });
+    // A file in place of its parent fails to move the last output in
+    await Bun.write(join(outDir, 'extra'), 'not a directory');
+
+    const ans = swapBuild(
+      outDir,
+      stageDir,
+      [...outputs, 'extra/sub'],
+      manifest,
+    );
+
+    await expect(ans).rejects.toThrow();
+    expect(await Bun.file(page()).text()).toBe('v1');
+    expect(await listBuilds(outDir)).toEqual([]);
+    expect(await Bun.file(stageDir).exists()).toBe(false);
+  });
+
+  test('Rolls back to a kept version, keeping the live one in turn', async () => {
+    await publishBuild(
+      outDir,
+      await stage('1.1.0', 'v2'),
+      { hasChange: true, hasFailed: false },
+      outputs,
+      manifest,
+    );
+
+    await rollbackBuild(outDir, '1.0.0', outputs, manifest);
+    const ans = await listBuilds(outDir);
+
+    expect(await Bun.file(page()).text()).toBe('v1');
+    expect(ans.map((build) => build.version)).toEqual(['1.1.0']);
+    await expect(
+      rollbackBuild(outDir, '0.9.0', outputs, manifest),
+    ).rejects.toThrow('No build of version 0.9.0 to roll back to, kept: 1.1.0');
+    await expect(
+      rollbackBuild(outDir, '..', outputs, manifest),
+    ).rejects.toThrow('No build of version ..');
+  });
+
+  test('Keeps only the newest builds', async () => {
+    for (const version of ['1.1.0', '1.2.0'])
+      await publishBuild(
+        outDir,
+        await stage(version, version),
+        { hasChange: true, hasFailed: false },
+        outputs,
+        manifest,
+      );
+    const oldest = join(getHistoryDir(outDir), '1.0.0');
+    await utimes(oldest, new Date(0), new Date(0));
+
+    await publishBuild(
+      outDir,
+      await stage('1.3.0', '1.3.0'),
+      { hasChange: true, hasFailed: false },
+      outputs,
+      manifest,
+      2,
+    );
+    const ans = await listBuilds(outDir);
+
+    expect(ans.map((build) => build.version).sort()).toEqual([
+      '1.1.0',
+      '1.2.0',
+    ]);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Provides unit tests for the responsive image pipeline.
+ * Ensures that variants cover the expected widths and formats, and that
+ * <img> tags are rendered as <picture> elements offering them.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import sharp from 'sharp';
+import { tokenize } from '../src/internal/html.mjs';
+import { createVariants, renderPicture } from '../src/internal/images.mjs';
+
+describe('createVariants', () => {
+  test('Resizes to smaller widths in the original and modern formats', async () => {
+    const input = await sharp({
+      create: { width: 700, height: 350, channels: 3, background: '#0d6efd' },
+    })
+      .png()
+      .toBuffer();
+
+    const ans = await createVariants(input);
+
+    expect([ans.format, ans.width, ans.height]).toEqual(['png', 700, 350]);
+    expect(
+      ans.variants.map(({ format, width }) => `${format}@${width}`),
+    ).toEqual([
+      'avif@320',
+      'avif@640',
+      'avif@700',
+      'webp@320',
+      'webp@640',
+      'webp@700',
+      'png@320',
+      'png@640',
+    ]);
+    const { width, height } = await sharp(ans.variants[0].content).metadata();
+    expect([width, height]).toEqual([320, 160]);
+  });
+});
+
+describe('renderPicture', () => {
+  const image = {
+    src: '/assets/images/11111111.jpeg',
+    format: 'jpeg',
+    width: 800,
+    height: 600,
+    variants: [
+      {
+        outPathname: '/assets/images/22222222.avif',
+        format: 'avif',
+        width: 800,
+      },
+      {
+        outPathname: '/assets/images/33333333.webp',
+        format: 'webp',
+        width: 800,
+      },
+      {
+        outPathname: '/assets/images/44444444.jpeg',
+        format: 'jpeg',
+        width: 320,
+      },
+    ],
+  };
+
+  test('Offers modern formats and the intrinsic size of the image', () => {
+    const code = '<img alt="Cover" src="/assets/images/11111111.jpeg">';
+    const [tag] = tokenize(code);
+
+    expect(renderPicture(code, tag, image)).toBe(
+      '<picture>' +
+        '<source type="image/avif"' +
+        ' srcset="/assets/images/22222222.avif 800w" sizes="100vw">' +
+        '<source type="image/webp"' +
+        ' srcset="/assets/images/33333333.webp 800w" sizes="100vw">' +
+        '<img alt="Cover" src="/assets/images/11111111.jpeg"' +
+        ' srcset="/assets/images/44444444.jpeg 320w,' +
+        ' /assets/images/11111111.jpeg 800w"' +
+        ' sizes="100vw" width="800" height="600">' +
+        '</picture>',
+    );
+  });
+
+  test('Uses data-sizes as sizes and keeps an explicit size', () => {
+    const code =
+      '<img data-sizes="200px" src="/assets/images/11111111.jpeg" width="200" />';
+    const [tag] = tokenize(code);
+    const ans = renderPicture(code, tag, image);
+
+    expect(ans).not.toContain('data-sizes');
+    expect(ans).not.toContain('height=');
+    expect(ans.match(/sizes="200px"/g)).toHaveLength(3);
+    expect(ans).toEndWith(
+      'width="200" srcset="/assets/images/44444444.jpeg 320w, /assets/images/11111111.jpeg 800w" sizes="200px"></picture>',
+    );
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Provides unit tests for page layouts.
+ * Ensures that front-matter is split from the content of pages, and that
+ * layouts render their variables, sections and defaults.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import {
+  parseFrontMatter,
+  renderLayout,
+  renderTemplate,
+} from '../src/internal/layouts.mjs';
+
+describe('parseFrontMatter', () => {
+  test('Splits the variables of a page from its content', () => {
+    const ans = parseFrontMatter(
+      '---\ntitle: "Projects: all"\nstylesheets:\n  - /a.css\n---\n<main></main>\n',
+    );
+
+    expect(ans).toEqual({
+      data: { title: 'Projects: all', stylesheets: ['/a.css'] },
+      content: '<main></main>\n',
+    });
+  });
+
+  test('Leaves pages without front-matter as written', () => {
+    const ans = parseFrontMatter('<main>---</main>');
+
+    expect(ans).toEqual({ data: null, content: '<main>---</main>' });
+  });
+});
+
+describe('renderTemplate', () => {
+  test('Renders variables, lists and inverted sections', () => {
+    const ans = renderTemplate(
+      '<title>{{#title}}{{ title }} | {{/title}}Site</title>\n' +
+        '  {{#stylesheets}}\n' +
+        '  <link href="{{ . }}">\n' +
+        '  {{/stylesheets}}\n' +
+        '{{^robots}}<meta name="robots">{{/robots}}{{{ content }}}',
+      {
+        title: 'A & B',
+        stylesheets: ['/a.css', '/b.css'],
+        content: '<main></main>',
+      },
+    );
+
+    expect(ans).toBe(
+      '<title>A &amp; B | Site</title>\n' +
+        '  <link href="/a.css">\n' +
+        '  <link href="/b.css">\n' +
+        '<meta name="robots"><main></main>',
+    );
+  });
+});
+
+describe('renderLayout', () => {
+  test('Falls back on the defaults of the layout', () => {
+    const layout = '---\nrobots: index\n---\n<meta content="{{ robots }}">';
+
+    const ans = [
+      renderLayout(layout, {}, ''),
+      renderLayout(layout, { robots: 'noindex' }, ''),
+    ];
+
+    expect(ans).toEqual(['<meta content="index">', '<meta content="noindex">']);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Provides unit tests for the audit of the outbound links.
+ * Ensures that URLs are found on their line, that allowed URLs are skipped,
+ * that the cache stands in for checks offline and while fresh, and that
+ * servers refusing automated requests are told apart from broken links.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import {
+  auditURLs,
+  findOutboundURLs,
+  isAllowed,
+} from '../src/internal/links.mjs';
+
+describe('findOutboundURLs', () => {
+  test('Finds absolute URLs on their line, templates left out', () => {
+    const code =
+      '<a href="https://github.com/me">GitHub</a>\n' +
+      'repository: https://example.com/repo.\n' +
+      '<script src="https://example.com/api.js?a=1&amp;b=2"></script>\n' +
+      '<link href="https://example.com{{ url }}">';
+
+    const ans = findOutboundURLs(code);
+
+    expect(ans).toEqual([
+      { url: 'https://github.com/me', line: 1 },
+      { url: 'https://example.com/repo', line: 2 },
+      { url: 'https://example.com/api.js?a=1&b=2', line: 3 },
+    ]);
+  });
+});
+
+describe('isAllowed', () => {
+  test('Matches URLs against wildcard patterns', () => {
+    const patterns = ['http://www.w3.org/*', 'https://example.com'];
+
+    const ans = [
+      'http://www.w3.org/2000/svg',
+      'https://example.com',
+      'https://example.com/page',
+    ].map((url) => isAllowed(url, patterns));
+
+    expect(ans).toEqual([true, true, false]);
+  });
+});
+
+describe('auditURLs', () => {
+  const now = new Date('2026-06-30T00:00:00Z');
+  const audit = () => ({
+    allow: ['https://allowed.com/*'],
+    cache: {
+      'https://fresh.com/': { status: 200, checked: '2026-06-20T00:00:00Z' },
+      'https://stale.com/': { status: 200, checked: '2026-01-01T00:00:00Z' },
+      'https://gone.com/': { status: 404, checked: '2026-06-20T00:00:00Z' },
+    },
+  });
+  const urls = [
+    'https://allowed.com/a',
+    'https://fresh.com/',
+    'https://stale.com/',
+    'https://gone.com/',
+    'https://new.com/',
+  ];
+
+  test('Relies on the cache alone offline', async () => {
+    const check = () => {
+      throw new Error('Fetched offline');
+    };
+
+    const ans = await auditURLs(urls, audit(), { offline: true, now, check });
+
+    expect([...ans.values()].map(({ status }) => status)).toEqual([
+      'allowed',
+      'ok',
+      'ok',
+      'broken',
+      'unchecked',
+    ]);
+  });
+
+  test('Checks stale, failed and new URLs online and caches them', async () => {
+    const checked = [];
+    const check = async (url) => {
+      checked.push(url);
+      return url === 'https://gone.com/' ? 404 : 200;
+    };
+    const cache = audit();
+
+    const ans = await auditURLs(urls, cache, { now, check });
+
+    expect(checked.sort()).toEqual([
+      'https://gone.com/',
+      'https://new.com/',
+      'https://stale.com/',
+    ]);
+    expect(ans.get('https://gone.com/')).toEqual({
+      status: 'broken',
+      code: 404,
+    });
+    expect(cache.cache['https://new.com/']).toEqual({
+      status: 200,
+      checked: now.toISOString(),
+    });
+  });
+
+  test('Tells the servers refusing automated requests apart from broken links', async () => {
+    const checked = [];
+    const check = async (url) => {
+      checked.push(url);
+      return 999;
+    };
+    const cache = audit();
+    cache.cache['https://refused.com/'] = {
+      status: 999,
+      checked: '2026-06-20T00:00:00Z',
+    };
+
+    const ans = await auditURLs(
+      ['https://refused.com/', 'https://new.com/'],
+      cache,
+      {
+        now,
+        check,
+      },
+    );
+
+    expect(checked).toEqual(['https://new.com/']);
+    expect(Object.fromEntries(ans)).toEqual({
+      'https://refused.com/': { status: 'refused', code: 999 },
+      'https://new.com/': { status: 'refused', code: 999 },
+    });
+  });
+});
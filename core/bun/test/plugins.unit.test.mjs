@@ -0,0 +1,113 @@
+/**
+ * Provides unit tests for the plugins of the bundler.
+ * Ensures that plugins run in order, each hook given the output of the
+ * previous one, and that invalid plugins are rejected.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import { BUILTIN_PLUGINS } from '../src/internal/builtins.mjs';
+import { PluginHost } from '../src/internal/plugins.mjs';
+
+/**
+ * Creates a plugin appending its name to the code of the pages it matches.
+ *
+ * @param {string} name - The plugin name
+ * @param {Object} [options] - The order and test of the plugin
+ * @returns {import('../src/internal/plugins.mjs').Plugin} The plugin
+ */
+function appender(name, options = {}) {
+  return {
+    name,
+    ...options,
+    transformPage: ({ code }) => ({ code: `${code}${name};` }),
+  };
+}
+
+describe('PluginHost', () => {
+  test('Runs pre plugins first and post plugins last', () => {
+    const ans = new PluginHost([
+      appender('post', { order: 'post' }),
+      ...BUILTIN_PLUGINS,
+      appender('first'),
+      appender('pre', { order: 'pre' }),
+      appender('second'),
+    ]);
+
+    expect(ans.names).toEqual([
+      'pre',
+      ...BUILTIN_PLUGINS.map(({ name }) => name),
+      'first',
+      'second',
+      'post',
+    ]);
+  });
+
+  test('Chains transforms of the plugins matching the file', async () => {
+    const host = new PluginHost([
+      appender('b', { order: 'post' }),
+      appender('a'),
+      appender('php', { test: /\.php$/ }),
+    ]);
+
+    const ans = await host.transformPage(
+      { pathname: '/index.html', outPathname: '/index.html', code: '' },
+      {},
+    );
+
+    expect(ans).toEqual({
+      pathname: '/index.html',
+      outPathname: '/index.html',
+      code: 'a;b;',
+    });
+  });
+
+  test('Lets the first plugin to answer discover a file', () => {
+    const host = new PluginHost([
+      {
+        name: 'drafts',
+        discover: (p) => (/^\/drafts\//.test(p) ? 'ignore' : undefined),
+      },
+      ...BUILTIN_PLUGINS,
+    ]);
+
+    expect(host.discover('/drafts/index.html')).toBe('ignore');
+    expect(host.discover('/index.html')).toBe('page');
+    expect(host.discover('/.htaccess')).toBe('asset');
+    expect(host.discover('/assets/theme.mjs')).toBe('ignore');
+  });
+
+  test('Rejects plugins without a name or with an invalid hook', () => {
+    expect(() => new PluginHost([{ transformPage: () => {} }])).toThrow(
+      'Invalid plugin without a name',
+    );
+    expect(() => new PluginHost([{ name: 'x', order: 'last' }])).toThrow(
+      'Unknown order last of plugin x',
+    );
+    expect(() => new PluginHost([{ name: 'x', postBuild: true }])).toThrow(
+      'Invalid postBuild hook of plugin x',
+    );
+    expect(() => new PluginHost([{ name: 'x', emits: '/sw.js' }])).toThrow(
+      'Invalid emits of plugin x',
+    );
+  });
+
+  test('Gathers the files every plugin emits', () => {
+    const host = new PluginHost([
+      { name: 'a', emits: ['/sw.js'] },
+      { name: 'b' },
+      { name: 'c', emits: ['/feed.xml', '/sw.js'] },
+    ]);
+
+    const ans = host.emitted;
+
+    expect([...ans]).toEqual(['/sw.js', '/feed.xml']);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Provides unit tests for the bounded task pool.
+ * Ensures that no more tasks than allowed run at once, and that a failed
+ * task neither stops the others nor reorders the results.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import { runPool } from '../src/internal/pool.mjs';
+
+describe('runPool', () => {
+  test('Runs at most as many tasks at once as allowed', async () => {
+    let running = 0;
+    let peak = 0;
+
+    await runPool(
+      Array.from({ length: 10 }, (_, i) => i),
+      async () => {
+        peak = Math.max(peak, ++running);
+        await Bun.sleep(1);
+        --running;
+      },
+      3,
+    );
+
+    expect(peak).toBe(3);
+  });
+
+  test('Settles every task in the order of the items', async () => {
+    const ans = await runPool(
+      [3, 0, 2],
+      async (delay) => {
+        await Bun.sleep(delay);
+        if (!delay) throw new Error('Failed');
+        return delay;
+      },
+      2,
+    );
+
+    expect(ans).toEqual([
+      { status: 'fulfilled', value: 3 },
+      { status: 'rejected', reason: new Error('Failed') },
+      { status: 'fulfilled', value: 2 },
+    ]);
+  });
+});
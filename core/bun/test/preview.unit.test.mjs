@@ -0,0 +1,74 @@
+/**
+ * Provides unit tests for the previews of dry runs.
+ * Ensures that output files are sorted into written, renamed and deleted
+ * ones, and that changed HTML outputs are compared tag by tag.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import {
+  diffOutputs,
+  findRenames,
+  planChanges,
+} from '../src/internal/preview.mjs';
+
+const snapshot = (files) =>
+  new Map(
+    Object.entries(files).map(([pathname, hash]) => [
+      pathname,
+      { hash, text: pathname.endsWith('.html') ? hash : null },
+    ]),
+  );
+
+describe('planChanges', () => {
+  test('Pairs the outputs of renamed assets and their siblings', () => {
+    const renames = findRenames(
+      { assets: { '/css/main.css': { outname: 'aaaa.min.css' } } },
+      { assets: { '/css/main.css': { outname: 'bbbb.min.css' } } },
+    );
+
+    const ans = planChanges(
+      snapshot({
+        '/index.html': '1',
+        '/old.html': '1',
+        '/css/aaaa.min.css': '1',
+        '/css/aaaa.min.css.br': '1',
+      }),
+      snapshot({
+        '/index.html': '2',
+        '/css/bbbb.min.css': '2',
+        '/css/bbbb.min.css.br': '2',
+      }),
+      renames,
+    );
+
+    expect(ans).toEqual({
+      written: ['/index.html'],
+      renamed: [
+        ['/css/aaaa.min.css', '/css/bbbb.min.css'],
+        ['/css/aaaa.min.css.br', '/css/bbbb.min.css.br'],
+      ],
+      deleted: ['/old.html'],
+    });
+  });
+});
+
+describe('diffOutputs', () => {
+  test('Compares the changed HTML outputs tag by tag', () => {
+    const ans = diffOutputs(
+      snapshot({ '/a.html': '<p>A</p><p>B</p>', '/b.html': '<p></p>' }),
+      snapshot({ '/a.html': '<p>A</p><p>C</p>', '/b.html': '<p></p>' }),
+    );
+
+    expect(ans).toBe(
+      '--- a/a.html\n+++ b/a.html\n@@ -1,2 +1,2 @@\n <p>A</p>\n-<p>B</p>\n+<p>C</p>',
+    );
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Provides unit tests for the build profiles of the bundler.
+ * Ensures that profiles are looked up by name, that their source map mode
+ * can be overridden, and that unknown values are rejected.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import { PROFILES, getProfile } from '../src/internal/profiles.mjs';
+
+describe('getProfile', () => {
+  test('Defaults to the production profile', () => {
+    const ans = getProfile();
+
+    expect(ans).toBe(PROFILES.prod);
+    expect(ans.minify).toBe(true);
+    expect(ans.sourcemap).toBe('none');
+  });
+
+  test('Overrides the source map mode without changing the profile', () => {
+    const ans = getProfile('prod', 'external');
+
+    expect(ans).toEqual({ ...PROFILES.prod, sourcemap: 'external' });
+    expect(PROFILES.prod.sourcemap).toBe('none');
+  });
+
+  test('Rejects unknown profiles and source map modes', () => {
+    expect(() => getProfile('staging')).toThrow('Unknown build profile');
+    expect(() => getProfile('toString')).toThrow('Unknown build profile');
+    expect(() => getProfile('dev', 'inline')).toThrow(
+      'Unknown source map mode',
+    );
+  });
+});
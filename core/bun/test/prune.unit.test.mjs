@@ -0,0 +1,66 @@
+/**
+ * Provides unit tests for the pruning of unused CSS rules.
+ * Ensures that rules are kept when any page or a safelisted class uses them,
+ * and that the bytes saved are reported.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import { CSSPruner } from '../src/internal/prune.mjs';
+
+describe('CSSPruner', () => {
+  const pages = [
+    '<main><nav><a class="link">Home</a></nav></main>',
+    '<main><p>Sent</p><?php echo "<div class=\'error\'>"; ?></main>',
+  ];
+
+  test('Keeps rules used by any page and strips the others', () => {
+    const css =
+      'nav > .link:hover { color: red; }\n' +
+      'main :is(nav, aside) > a { margin: 0; }\n' +
+      'main p, .card { margin: 0; }\n' +
+      '.card { padding: 0; }\n' +
+      '.error { color: red; }';
+
+    const ans = new CSSPruner(pages).prune(css);
+
+    expect(ans.code).toContain('nav > .link:hover');
+    expect(ans.code).toContain('main :is(nav, aside) > a');
+    expect(ans.code).toContain('main p, .card');
+    expect(ans.code).not.toContain('padding');
+    expect(ans.code).not.toContain('.error');
+    expect(ans.saved).toBe(css.length - ans.code.length);
+  });
+
+  test('Keeps rules of the classes that scripts add at runtime', () => {
+    const ans = new CSSPruner(pages, ['fade-in']).prune(
+      '.fade-in { opacity: 1; }\n.fade-in-item { opacity: 0; }',
+    );
+
+    expect(ans.code).toBe('.fade-in { opacity: 1; }');
+  });
+
+  test('Keeps rules of the pictures that wrap images once built', () => {
+    const css =
+      'picture { display: contents; }\n' +
+      '#card > picture:nth-of-type(1) > img { width: 100%; }\n' +
+      '.cover > picture > img { height: auto; }\n' +
+      'figure img { margin: 0; }';
+
+    const ans = new CSSPruner([
+      '<div id="card" class="cover"><img alt="" src="/a.jpeg"></div>',
+    ]).prune(css);
+
+    expect(ans.code).toContain('picture { display: contents; }');
+    expect(ans.code).toContain('#card > picture:nth-of-type(1) > img');
+    expect(ans.code).toContain('.cover > picture > img');
+    expect(ans.code).not.toContain('figure');
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Provides unit tests for the web app manifest and the service worker.
+ * Ensures that the site metadata is read from its start page, that only
+ * hashed outputs are precached, that offline pages are found by language,
+ * and that the cache of the service worker follows the site version.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import {
+  createServiceWorker,
+  createWebManifest,
+  findOfflinePages,
+  listPrecache,
+  readSiteMeta,
+} from '../src/internal/pwa.mjs';
+
+const MANIFEST = {
+  pages: {
+    '/en/about.shtml': {},
+    '/en/offline.shtml': {},
+    '/fr/offline.shtml': {},
+    '/offline.shtml': {},
+  },
+  assets: {
+    '/assets/styles/main.css': { outname: 'f7182051.min.css', image: null },
+    '/assets/scripts/core.mjs': { outname: '', image: null },
+    '/assets/scripts/app.mjs': {
+      outname: 'b2c3d4e5.min.js',
+      image: null,
+      chunks: [{ outPathname: '/assets/scripts/chunks/j7neyvh8.min.js' }],
+    },
+    '/assets/images/hero.jpeg': {
+      outname: 'fc402303.jpeg',
+      image: { variants: [{ outname: '426ee740.avif' }] },
+    },
+    '/favicon.svg': { outname: 'favicon.svg', image: null },
+  },
+};
+
+describe('readSiteMeta', () => {
+  test('Reads the name, description, language and theme color', () => {
+    const code =
+      '<html lang="en"><head><title>Home | Site</title>' +
+      '<meta content="The site" name="description">' +
+      '<meta name="theme-color" content="#0050ff">' +
+      '<meta property="og:site_name" content="Site"></head></html>';
+
+    const ans = readSiteMeta(code);
+
+    expect(ans).toEqual({
+      name: 'Site',
+      description: 'The site',
+      lang: 'en',
+      themeColor: '#0050ff',
+    });
+  });
+
+  test('Falls back to the title for the name', () => {
+    const ans = readSiteMeta('<html><head><title> Site </title></head>');
+
+    expect(ans.name).toBe('Site');
+  });
+});
+
+describe('listPrecache and findOfflinePages', () => {
+  test('Lists the hashed outputs, responsive images left out', () => {
+    const ans = listPrecache(MANIFEST);
+
+    expect(ans).toEqual([
+      '/assets/scripts/b2c3d4e5.min.js',
+      '/assets/scripts/chunks/j7neyvh8.min.js',
+      '/assets/styles/f7182051.min.css',
+    ]);
+  });
+
+  test('Finds the offline page of every language', () => {
+    const ans = findOfflinePages(MANIFEST);
+
+    expect(ans).toEqual({ en: '/en/offline', fr: '/fr/offline' });
+  });
+});
+
+describe('createWebManifest and createServiceWorker', () => {
+  test('Describes the site and its icons', () => {
+    const meta = { name: 'Site', description: '', lang: 'en', themeColor: '' };
+    const icons = [
+      { src: '/favicon.svg', sizes: 'any', type: 'image/svg+xml' },
+    ];
+
+    const ans = JSON.parse(createWebManifest(meta, icons));
+
+    expect(ans).toEqual({
+      id: '/',
+      name: 'Site',
+      lang: 'en',
+      start_url: '/',
+      scope: '/',
+      display: 'standalone',
+      icons,
+    });
+  });
+
+  test('Names its cache after the version of the site', () => {
+    const options = {
+      precache: ['/assets/styles/f7182051.min.css'],
+      offlinePages: { en: '/en/offline' },
+      defaultLanguage: 'en',
+    };
+
+    const ans = createServiceWorker({ ...options, version: '1.2.0' });
+
+    expect(ans).toContain('const CACHE_NAME = "site-v1.2.0";');
+    expect(ans).toContain('"/assets/styles/f7182051.min.css"');
+    expect(ans).not.toBe(createServiceWorker({ ...options, version: '1.2.1' }));
+  });
+});
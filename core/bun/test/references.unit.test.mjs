@@ -0,0 +1,249 @@
+/**
+ * Provides unit tests for the discovery and rewriting of file references.
+ * Covers every reference kind found in pages (SSI includes, attributes,
+ * srcset candidates, meta images, inline styles and scripts), stylesheets
+ * and scripts.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import {
+  parseSrcset,
+  resolveURL,
+  rewriteReferences,
+  scanCSS,
+  scanHTML,
+  scanJS,
+} from '../src/internal/references.mjs';
+
+/**
+ * Maps references to their kind and pathname, dropping offsets.
+ *
+ * @param {Array<Object>} references - The references to simplify
+ * @returns {Array<Array<string>>} The [kind, pathname] pairs
+ */
+function kindsAndPathnames(references) {
+  return references.map(({ kind, pathname }) => [kind, pathname]);
+}
+
+describe('resolveURL', () => {
+  test('Resolves absolute and relative paths without query or hash', () => {
+    expect(resolveURL('/assets/a.css?v=1', '/en/about.shtml')).toEqual({
+      pathname: '/assets/a.css',
+      length: '/assets/a.css'.length,
+    });
+    expect(resolveURL('../img/b.png#x', '/en/projects/p.html')).toEqual({
+      pathname: '/en/img/b.png',
+      length: '../img/b.png'.length,
+    });
+  });
+
+  test('Ignores external URLs, data URIs and fragments', () => {
+    for (const url of [
+      'https://example.com/a.png',
+      '//cdn.example.com/a.js',
+      'data:image/png;base64,AAAA',
+      'mailto:code@sebastienkeroack.com',
+      '#sun',
+      '',
+    ])
+      expect(resolveURL(url, '/en/about.shtml')).toBeNull();
+  });
+});
+
+describe('parseSrcset', () => {
+  test('Splits candidates with and without descriptors', () => {
+    const value = '/a-480.jpeg 480w, /a-960.jpeg 2x,/a.jpeg';
+
+    expect(parseSrcset(value)).toEqual([
+      { url: '/a-480.jpeg', start: 0 },
+      { url: '/a-960.jpeg', start: 18 },
+      { url: '/a.jpeg', start: 33 },
+    ]);
+  });
+});
+
+describe('scanHTML', () => {
+  test('Finds SSI includes as whole directives', () => {
+    const code = '<body><!--#include virtual="/en/_header.html" --></body>';
+    const [ans] = scanHTML(code, '/en/about.shtml');
+
+    expect(ans.kind).toBe('include');
+    expect(ans.pathname).toBe('/en/_header.html');
+    expect(code.slice(ans.start, ans.end)).toBe(
+      '<!--#include virtual="/en/_header.html" -->',
+    );
+  });
+
+  test('Finds URL attributes regardless of attribute order', () => {
+    const ans = scanHTML(
+      `<link href="/assets/styles/main.css" rel="stylesheet">
+      <script type="module" src="/assets/scripts/footer/entrypoints.mjs"></script>
+      <img alt="Cover" src="images/cover.jpeg">
+      <video poster="/assets/images/poster.png" src="/assets/video.mp4"></video>
+      <input type="image" src="/assets/images/submit.png">
+      <input type="text" src="/ignored.png">`,
+      '/en/projects/projects.shtml',
+    );
+
+    expect(kindsAndPathnames(ans)).toEqual([
+      ['attribute', '/assets/styles/main.css'],
+      ['attribute', '/assets/scripts/footer/entrypoints.mjs'],
+      ['attribute', '/en/projects/images/cover.jpeg'],
+      ['attribute', '/assets/video.mp4'],
+      ['attribute', '/assets/images/poster.png'],
+      ['attribute', '/assets/images/submit.png'],
+    ]);
+  });
+
+  test('Only follows links with file relations', () => {
+    const ans = scanHTML(
+      `<link rel="icon" href="/favicon.svg" type="image/svg+xml">
+      <link rel="apple-touch-icon" href="/assets/images/icons/favicon-1x1.png">
+      <link rel="preload" href="/assets/fonts/a.woff2" as="font">
+      <link rel="manifest" href="/manifest.webmanifest">
+      <link rel="canonical" href="/en/about">
+      <link rel="home" href="/en/">`,
+      '/en/about.shtml',
+    );
+
+    expect(kindsAndPathnames(ans)).toEqual([
+      ['attribute', '/favicon.svg'],
+      ['attribute', '/assets/images/icons/favicon-1x1.png'],
+      ['attribute', '/assets/fonts/a.woff2'],
+      ['attribute', '/manifest.webmanifest'],
+    ]);
+  });
+
+  test('Finds every srcset candidate of images and sources', () => {
+    const ans = scanHTML(
+      `<picture>
+        <source srcset="/a.avif 1x, /a@2x.avif 2x" type="image/avif">
+        <img src="/a.jpeg" srcset="/a-480.jpeg 480w, /a-960.jpeg 960w">
+      </picture>`,
+      '/en/about.shtml',
+    );
+
+    expect(kindsAndPathnames(ans)).toEqual([
+      ['srcset', '/a.avif'],
+      ['srcset', '/a@2x.avif'],
+      ['attribute', '/a.jpeg'],
+      ['srcset', '/a-480.jpeg'],
+      ['srcset', '/a-960.jpeg'],
+    ]);
+  });
+
+  test('Finds the local path of social image meta tags', () => {
+    const code = `<meta property="og:image"
+      content="https://sebastienkeroack.com/assets/images/a.jpeg">
+      <meta name="twitter:image" content="/assets/images/b.jpeg">
+      <meta property="og:url" content="https://sebastienkeroack.com/en/">`;
+    const ans = scanHTML(code, '/en/about.shtml');
+
+    expect(kindsAndPathnames(ans)).toEqual([
+      ['meta', '/assets/images/a.jpeg'],
+      ['meta', '/assets/images/b.jpeg'],
+    ]);
+    expect(code.slice(ans[0].start, ans[0].end)).toBe('/assets/images/a.jpeg');
+  });
+
+  test('Finds url() references of inline styles and style elements', () => {
+    const ans = scanHTML(
+      `<style>
+        @import url('/assets/styles/print.css');
+        main { background: url(/assets/images/forest.jpeg); }
+      </style>
+      <div style="background-image: url('../images/a.png')"></div>`,
+      '/en/about.shtml',
+    );
+
+    expect(kindsAndPathnames(ans)).toEqual([
+      ['import', '/assets/styles/print.css'],
+      ['url', '/assets/images/forest.jpeg'],
+      ['url', '/images/a.png'],
+    ]);
+  });
+
+  test('Finds static and dynamic imports of inline scripts', () => {
+    const ans = scanHTML(
+      `<script type="module">
+        import { LANGUAGE } from '/assets/scripts/core.mjs';
+        import('/assets/scripts/theme.mjs').then(console.log);
+      </script>
+      <script type="application/ld+json">{"import": "/not-a-module.mjs"}</script>`,
+      '/en/about.shtml',
+    );
+
+    expect(kindsAndPathnames(ans)).toEqual([
+      ['import', '/assets/scripts/core.mjs'],
+      ['import', '/assets/scripts/theme.mjs'],
+    ]);
+  });
+});
+
+describe('scanCSS', () => {
+  test('Finds imports and url() references, ignoring comments', () => {
+    const ans = scanCSS(
+      `@import url('settings/global.css');
+      @import "../utilities/easings.css";
+      /* background: url('/commented.png'); */
+      .a { background: url("/assets/images/a.svg"), url(data:image/png;base64,AA); }`,
+      '/assets/styles/components/sun-and-moon.css',
+    );
+
+    expect(kindsAndPathnames(ans)).toEqual([
+      ['import', '/assets/styles/components/settings/global.css'],
+      ['import', '/assets/styles/utilities/easings.css'],
+      ['url', '/assets/images/a.svg'],
+    ]);
+  });
+});
+
+describe('scanJS', () => {
+  test('Finds static and dynamic imports, ignoring bare specifiers', () => {
+    const code = `import { appTheme } from '/assets/scripts/theme.mjs';
+      import { Form } from './form.mjs';
+      import * as esbuild from 'esbuild';
+      const recaptcha = await import("./recaptcha.mjs");`;
+    const ans = scanJS(code, '/assets/scripts/forms/contact.mjs');
+
+    expect(kindsAndPathnames(ans)).toEqual([
+      ['import', '/assets/scripts/theme.mjs'],
+      ['import', '/assets/scripts/forms/form.mjs'],
+      ['import', '/assets/scripts/forms/recaptcha.mjs'],
+    ]);
+    expect(code.slice(ans[1].start, ans[1].end)).toBe('./form.mjs');
+  });
+
+  test('Returns no references for invalid code', () => {
+    expect(scanJS('import {', '/a.mjs')).toEqual([]);
+  });
+});
+
+describe('rewriteReferences', () => {
+  test('Replaces paths in place and keeps query strings', () => {
+    const code = `<link rel="stylesheet" href="/assets/a.css?v=2">
+      <img src="/assets/b.png" srcset="/assets/b.png 1x, /assets/c.png 2x">`;
+    const outPathnames = {
+      '/assets/a.css': '/assets/11111111.min.css',
+      '/assets/b.png': '/assets/22222222.png',
+    };
+
+    const ans = rewriteReferences(
+      code,
+      scanHTML(code, '/index.html'),
+      ({ pathname }) => outPathnames[pathname],
+    );
+
+    expect(ans)
+      .toBe(`<link rel="stylesheet" href="/assets/11111111.min.css?v=2">
+      <img src="/assets/22222222.png" srcset="/assets/22222222.png 1x, /assets/c.png 2x">`);
+  });
+});
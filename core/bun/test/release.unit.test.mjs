@@ -0,0 +1,34 @@
+/**
+ * Provides unit tests for the manifests of releases.
+ * Ensures that every packaged file is listed with its digest and size.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import { createReleaseManifest } from '../src/internal/release.mjs';
+
+describe('createReleaseManifest', () => {
+  test('Lists the digest and size of every file, sorted by path', () => {
+    const ans = createReleaseManifest('site', '1.2.3', [
+      { path: 'public_html/index.html', content: Buffer.from('abc') },
+      { path: 'core/php/src/App.php', content: Buffer.from('') },
+    ]);
+
+    expect(ans.version).toBe('1.2.3');
+    expect(Object.keys(ans.files)).toEqual([
+      'core/php/src/App.php',
+      'public_html/index.html',
+    ]);
+    expect(ans.files['public_html/index.html']).toEqual({
+      hash: 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+      size: 3,
+    });
+  });
+});
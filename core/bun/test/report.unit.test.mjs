@@ -0,0 +1,102 @@
+/**
+ * Provides unit tests for the build report.
+ * Ensures that files are counted by status, and that failed files and
+ * steps are listed in the summary and the JSON report.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import { BuildReport, formatSize } from '../src/internal/report.mjs';
+
+describe('BuildReport', () => {
+  const file = (pathname, status) => ({
+    pathname,
+    status,
+    inputSize: 10,
+    outputSize: 5,
+    duration: 1,
+  });
+
+  test('Counts the files by status', () => {
+    const report = new BuildReport();
+    report.add(file('/a.css', 'rebuilt'));
+    report.add(file('/b.css', 'skipped'));
+    report.add(file('/c.css', 'skipped'));
+
+    const ans = report.toJSON();
+
+    expect(ans.ok).toBeTrue();
+    expect(ans.summary).toEqual({
+      rebuilt: 1,
+      skipped: 2,
+      removed: 0,
+      failed: 0,
+    });
+    expect(report.hasChange).toBeTrue();
+  });
+
+  test('Lists the failed files and steps', () => {
+    const report = new BuildReport();
+    report.add(file('/a.css', 'skipped'));
+    report.fail('/b.js', { message: 'Bundle failed', errors: ['Bad syntax'] });
+    report.fail(null, new Error('Found 1 translation issue(s)'));
+
+    const ans = report.summarize().split('\n');
+
+    expect(report.hasFailed).toBeTrue();
+    expect(report.hasChange).toBeFalse();
+    expect(ans[0]).toEndWith('0 rebuilt, 1 skipped, 0 removed, 1 failed');
+    expect(ans.slice(1)).toEqual([
+      '  /b.js: Bad syntax',
+      '  Build: Found 1 translation issue(s)',
+    ]);
+  });
+
+  test('Lists the validation issues of the pages', () => {
+    const report = new BuildReport();
+    report.addIssues('/about.shtml', [
+      { rule: 'img-alt', severity: 'error', message: 'No alt', line: 12 },
+    ]);
+
+    const ans = report.summarize().split('\n');
+
+    expect(ans.slice(1)).toEqual([
+      '  /about.shtml:12: error: No alt (img-alt)',
+    ]);
+    expect(report.toJSON().issues[0].pathname).toBe('/about.shtml');
+  });
+
+  test('Lists the issues located in an include along with their page', () => {
+    const report = new BuildReport();
+    report.addIssues('/about.shtml', [
+      {
+        rule: 'heading-order',
+        severity: 'warning',
+        message: '<h4> follows <h2>',
+        line: 3,
+        pathname: '/_part.html',
+      },
+    ]);
+
+    const ans = report.summarize().split('\n');
+
+    expect(ans.slice(1)).toEqual([
+      '  /_part.html:3: warning: <h4> follows <h2> (heading-order) in /about.shtml',
+    ]);
+  });
+});
+
+describe('formatSize', () => {
+  test('Formats sizes for humans', () => {
+    const ans = [formatSize(512), formatSize(12_345), formatSize(null)];
+
+    expect(ans).toEqual(['512 B', '12.3 kB', '-']);
+  });
+});
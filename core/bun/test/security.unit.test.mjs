@@ -0,0 +1,101 @@
+/**
+ * Provides unit tests for the security metadata of built pages.
+ * Ensures that Subresource Integrity digests are added to the scripts and
+ * stylesheets of pages, and that the Content-Security-Policy allows inline
+ * scripts by hash and is replaced rather than repeated in .htaccess files.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import {
+  addIntegrity,
+  buildCSP,
+  collectCSPSources,
+  integrity,
+  setCSPHeader,
+} from '../src/internal/security.mjs';
+
+describe('integrity', () => {
+  test('Computes a base64 SHA-384 digest', () => {
+    const ans = integrity('alert(1)');
+
+    expect(ans).toBe(
+      'sha384-HT2E9NfWiuQ/w1PRai+hTyqW16NIoCGA/m8VQDUopfAtcz6YQjtsMmQd5uRbVDpW',
+    );
+  });
+});
+
+describe('addIntegrity', () => {
+  test('Adds digests to known scripts and stylesheets only', () => {
+    const code =
+      '<link rel="stylesheet" href="/a.css"/>' +
+      '<link rel="icon" href="/a.css">' +
+      '<script src="/b.js?v=1"></script>' +
+      '<script src="/c.js" integrity="sha384-kept"></script>' +
+      '<script src="/unknown.js"></script>';
+    const digests = { '/a.css': 'sha384-a', '/b.js': 'sha384-b' };
+
+    const ans = addIntegrity(code, (pathname) => digests[pathname]);
+
+    expect(ans).toBe(
+      '<link rel="stylesheet" href="/a.css" integrity="sha384-a"/>' +
+        '<link rel="icon" href="/a.css">' +
+        '<script src="/b.js?v=1" integrity="sha384-b"></script>' +
+        '<script src="/c.js" integrity="sha384-kept"></script>' +
+        '<script src="/unknown.js"></script>',
+    );
+  });
+});
+
+describe('collectCSPSources', () => {
+  test('Hashes inline scripts and styles, and external image origins', () => {
+    const ans = collectCSPSources(
+      '<script>alert(1)</script>' +
+        '<script type="application/ld+json">{}</script>' +
+        '<script src="/a.js"></script>' +
+        '<p style="color: red"><img src="https://example.com/a.svg"></p>',
+    );
+
+    expect(ans).toEqual({
+      'script-src': [`'${integrity('alert(1)')}'`],
+      'style-src': [`'${integrity('color: red')}'`, "'unsafe-hashes'"],
+      'img-src': ['https://example.com'],
+    });
+  });
+});
+
+describe('buildCSP', () => {
+  test('Merges the sources of every page into the site-wide policy', () => {
+    const ans = buildCSP([
+      { 'script-src': ["'sha384-b'"] },
+      { 'script-src': ["'sha384-a'", "'sha384-b'"] },
+      { 'worker-src': ["'sha384-c'"] },
+    ]);
+
+    expect(ans).toStartWith("default-src 'self';");
+    expect(ans).not.toContain('unsafe-inline');
+    expect(ans).toContain("'sha384-a' 'sha384-b'; style-src");
+    expect(ans).toEndWith("; worker-src 'self' 'sha384-c'");
+  });
+});
+
+describe('setCSPHeader', () => {
+  test('Replaces the policy of a previous build', () => {
+    const htaccess = setCSPHeader('RewriteEngine On\n', "default-src 'none'");
+
+    const ans = setCSPHeader(htaccess, "default-src 'self'");
+
+    expect(ans).toContain(
+      `  Header always set Content-Security-Policy "default-src 'self'"\n`,
+    );
+    expect(ans).not.toContain("'none'");
+    expect(ans.match(/Content-Security-Policy "/g)).toHaveLength(1);
+  });
+});
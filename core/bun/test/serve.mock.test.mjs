@@ -0,0 +1,82 @@
+/**
+ * Integration test for the development server URL resolution.
+ * Verifies that request pathnames resolve against a built web root the same
+ * way the bundled .htaccess rewrite and DirectoryIndex rules do.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { join } from 'node:path';
+import { beforeAll, describe, expect, test } from 'bun:test';
+import { resolveRequest } from '../src/internal/serve.mjs';
+
+describe('resolveRequest', async () => {
+  const rootDir = join(globalThis.pathTemp.root, 'serve');
+
+  beforeAll(async () => {
+    await Promise.all([
+      Bun.write(join(rootDir, '.htaccess'), 'DirectoryIndex index.html\n'),
+      Bun.write(join(rootDir, 'index.html'), '<!doctype html>'),
+      Bun.write(join(rootDir, '404.html'), '<!doctype html>'),
+      Bun.write(join(rootDir, 'en', '.htaccess'), 'DirectoryIndex about.html'),
+      Bun.write(join(rootDir, 'en', 'about.html'), '<!doctype html>'),
+      Bun.write(join(rootDir, 'en', '404.html'), '<!doctype html>'),
+      Bun.write(join(rootDir, 'en', 'projects.html'), '<!doctype html>'),
+      Bun.write(join(rootDir, 'en', 'contact', 'contact.html'), '<p></p>'),
+      Bun.write(join(rootDir, 'assets', 'abcdef12.css'), 'a{}'),
+    ]);
+  });
+
+  test('Redirects .html URLs to clean URLs', async () => {
+    const ans = await resolveRequest(rootDir, '/en/projects.html');
+
+    expect(ans).toEqual({ status: 302, location: '/en/projects' });
+  });
+
+  test('Serves clean URLs from the matching .html file', async () => {
+    const ans = await resolveRequest(rootDir, '/en/projects');
+
+    expect(ans).toEqual({
+      status: 200,
+      path: join(rootDir, 'en', 'projects.html'),
+    });
+  });
+
+  test('Serves directories through the nearest DirectoryIndex', async () => {
+    const [root, en, contact] = await Promise.all([
+      resolveRequest(rootDir, '/'),
+      resolveRequest(rootDir, '/en/'),
+      resolveRequest(rootDir, '/en/contact'),
+    ]);
+
+    expect(root.path).toBe(join(rootDir, 'index.html'));
+    expect(en.path).toBe(join(rootDir, 'en', 'about.html'));
+    expect(contact).toEqual({ status: 301, location: '/en/contact/' });
+  });
+
+  test('Serves static files and hides dotfiles', async () => {
+    const [asset, htaccess] = await Promise.all([
+      resolveRequest(rootDir, '/assets/abcdef12.css'),
+      resolveRequest(rootDir, '/en/.htaccess'),
+    ]);
+
+    expect(asset.path).toBe(join(rootDir, 'assets', 'abcdef12.css'));
+    expect(htaccess.status).toBe(404);
+  });
+
+  test('Serves the nearest localized 404 page', async () => {
+    const [en, root] = await Promise.all([
+      resolveRequest(rootDir, '/en/missing'),
+      resolveRequest(rootDir, '/missing'),
+    ]);
+
+    expect(en).toEqual({ status: 404, path: join(rootDir, 'en', '404.html') });
+    expect(root).toEqual({ status: 404, path: join(rootDir, '404.html') });
+  });
+});
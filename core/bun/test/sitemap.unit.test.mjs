@@ -0,0 +1,94 @@
+/**
+ * Provides unit tests for the sitemap and the hreflang alternates of pages.
+ * Ensures that translations are paired by their canonical links, and that
+ * pages kept out of search results are left out of the sitemap.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import {
+  addAlternateLinks,
+  createRobots,
+  createSitemap,
+  findAlternates,
+  readPageMeta,
+} from '../src/internal/sitemap.mjs';
+
+describe('readPageMeta', () => {
+  test('Reads the canonical and Open Graph URLs, the language and robots', () => {
+    const ans = readPageMeta(
+      '<html lang="fr"><head>' +
+        '<link rel="canonical" href="https://example.com/fr/contact">' +
+        '<meta property="og:url" content="https://example.com/fr/contact">' +
+        '<meta name="robots" content="noindex, nofollow"></head></html>',
+    );
+
+    expect(ans).toEqual({
+      canonical: 'https://example.com/fr/contact',
+      ogURL: 'https://example.com/fr/contact',
+      lang: 'fr',
+      isIndexable: false,
+    });
+  });
+});
+
+describe('findAlternates', () => {
+  test('Pairs the pages whose URLs only differ by their language', () => {
+    const ans = findAlternates([
+      { canonical: 'https://example.com/en/about', lang: 'en' },
+      { canonical: 'https://example.com/fr/about', lang: 'fr' },
+      { canonical: 'https://example.com/en/blog', lang: 'en' },
+    ]);
+
+    expect([...ans.keys()]).toEqual([
+      'https://example.com/en/about',
+      'https://example.com/fr/about',
+    ]);
+    expect(ans.get('https://example.com/fr/about')).toEqual([
+      { hreflang: 'en', href: 'https://example.com/en/about' },
+      { hreflang: 'fr', href: 'https://example.com/fr/about' },
+      { hreflang: 'x-default', href: 'https://example.com/en/about' },
+    ]);
+  });
+});
+
+describe('addAlternateLinks', () => {
+  test('Links translations after the canonical link', () => {
+    const ans = addAlternateLinks(
+      '<head><link rel="canonical" href="https://example.com/en/a"></head>',
+      [{ hreflang: 'fr', href: 'https://example.com/fr/a' }],
+    );
+
+    expect(ans).toBe(
+      '<head><link rel="canonical" href="https://example.com/en/a">\n' +
+        '<link rel="alternate" hreflang="fr" href="https://example.com/fr/a">' +
+        '</head>',
+    );
+  });
+});
+
+describe('createSitemap', () => {
+  test('Lists URLs along with their translations', () => {
+    const alternates = findAlternates([
+      { canonical: 'https://example.com/en/a', lang: 'en' },
+      { canonical: 'https://example.com/fr/a', lang: 'fr' },
+    ]);
+
+    const ans = createSitemap(['https://example.com/en/a'], alternates);
+
+    expect(ans).toContain('<loc>https://example.com/en/a</loc>');
+    expect(ans).toContain(
+      '<xhtml:link rel="alternate" hreflang="fr" href="https://example.com/fr/a"/>',
+    );
+    expect(createRobots('https://example.com/sitemap.xml')).toEndWith(
+      '\nSitemap: https://example.com/sitemap.xml\n',
+    );
+  });
+});
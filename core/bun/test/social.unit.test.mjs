@@ -0,0 +1,117 @@
+/**
+ * Provides unit tests for the social cards of the pages.
+ * Ensures that theme colors are read from the design tokens, that pages
+ * and their items tell what their card shows and where their image is, and
+ * that titles fit the card.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import {
+  createCardSVG,
+  readCardMeta,
+  readItemCards,
+  readThemeColors,
+  wrapText,
+} from '../src/internal/social.mjs';
+
+describe('readThemeColors', () => {
+  test('Merges the root properties into every theme', () => {
+    const css =
+      "/* Colors */\nhtml[data-theme='dark'] { --bg: #000; --text: #fff; }\n" +
+      "html[data-theme='light'] { --bg: #fff; }\n" +
+      ':root { --primary: #0050ff; color: var(--text); }';
+
+    const ans = readThemeColors(css);
+
+    expect(ans).toEqual({
+      dark: { '--primary': '#0050ff', '--bg': '#000', '--text': '#fff' },
+      light: { '--primary': '#0050ff', '--bg': '#fff' },
+    });
+  });
+});
+
+describe('readCardMeta', () => {
+  test('Reads the title, site, URL, language, theme and image', () => {
+    const code =
+      '<html lang="fr" data-theme="dark"><head>' +
+      '<meta property="og:url" content="https://example.com/fr/projects">' +
+      '<meta property="og:title" content="Projets &amp; idées">' +
+      '<meta property="og:site_name" content="Site">' +
+      '<meta property="og:image" content="https://example.com/a.jpeg">';
+
+    const ans = readCardMeta(code);
+
+    expect(ans).toMatchObject({
+      title: 'Projets & idées',
+      siteName: 'Site',
+      url: 'https://example.com/fr/projects',
+      lang: 'fr',
+      theme: 'dark',
+    });
+    expect(code.slice(ans.image.start, ans.image.end)).toBe(
+      'https://example.com/a.jpeg',
+    );
+  });
+});
+
+describe('readItemCards', () => {
+  test('Reads the items with an ID, a name and an image', () => {
+    const code =
+      '<div id="a" itemscope><meta itemprop="name" content="A &amp; B">' +
+      '<meta itemprop="image" content="/a.jpeg"></div>' +
+      '<div itemscope><meta itemprop="name" content="No ID">' +
+      '<meta itemprop="image" content="/b.jpeg"></div>' +
+      '<div id="c" itemscope><meta itemprop="name" content="No image"></div>';
+
+    const ans = readItemCards(code);
+
+    expect(ans.map(({ id, name }) => ({ id, name }))).toEqual([
+      { id: 'a', name: 'A & B' },
+    ]);
+    expect(code.slice(ans[0].image.start, ans[0].image.end)).toBe('/a.jpeg');
+  });
+});
+
+describe('wrapText and createCardSVG', () => {
+  test('Wraps titles between words and cuts them to the lines shown', () => {
+    const ans = wrapText('one two three four five six', 9, 2);
+
+    expect(ans).toEqual(['one two', 'three…']);
+  });
+
+  test('Draws the card in the colors of the theme, text escaped', () => {
+    const meta = {
+      title: 'Q&A <live>',
+      siteName: 'Site',
+      url: 'https://example.com/en/qa/',
+      lang: 'en',
+    };
+
+    const ans = createCardSVG(meta, { '--bg-color-03': '#123456' });
+
+    expect(ans).toContain('xml:lang="en"');
+    expect(ans).toContain('fill="#123456"');
+    expect(ans).toContain('>Q&amp;A &lt;live&gt;</text>');
+    expect(ans).toContain('>example.com/en/qa</text>');
+  });
+
+  test('Shows the anchor of items in their URL', () => {
+    const meta = {
+      title: 'A',
+      siteName: 'Site',
+      url: 'https://example.com/en/p#a-b',
+    };
+
+    const ans = createCardSVG(meta, {});
+
+    expect(ans).toContain('>example.com/en/p#a-b</text>');
+  });
+});
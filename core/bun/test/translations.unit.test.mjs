@@ -0,0 +1,78 @@
+/**
+ * Provides unit tests for the translation completeness checker.
+ * Ensures that pages are paired across language trees, and that missing
+ * translations and references or URLs out of sync are reported.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import { checkTranslations } from '../src/internal/translations.mjs';
+
+describe('checkTranslations', () => {
+  const page = (pathname, assets = [], canonical = null) => ({
+    pathname,
+    assets,
+    canonical,
+    ogURL: canonical,
+  });
+
+  test('Accepts translations referencing the same files and paths', () => {
+    const ans = checkTranslations([
+      page(
+        '/en/about.shtml',
+        [
+          { kind: 'include', pathname: '/en/_header.html' },
+          { kind: 'asset', pathname: '/assets/main.css' },
+        ],
+        'https://example.com/en/about',
+      ),
+      page(
+        '/fr/about.shtml',
+        [
+          { kind: 'asset', pathname: '/assets/main.css' },
+          { kind: 'include', pathname: '/fr/_header.html' },
+        ],
+        'https://example.com/fr/about',
+      ),
+      page('/index.html'),
+    ]);
+
+    expect(ans).toEqual([]);
+  });
+
+  test('Reports missing translations and differences', () => {
+    const ans = checkTranslations([
+      page(
+        '/en/about.shtml',
+        [{ kind: 'include', pathname: '/_footer.html' }],
+        'https://example.com/en/about',
+      ),
+      page(
+        '/fr/about.shtml',
+        [{ kind: 'image', pathname: '/assets/a.png' }],
+        'https://example.com/fr/a-propos',
+      ),
+      page('/fr/projects/_2023_my_portfolio.html'),
+    ]);
+
+    expect(ans).toEqual([
+      '/fr/about.shtml: SSI includes differ from /en/about.shtml ' +
+        '(-/_footer.html)',
+      '/fr/about.shtml: asset references differ from /en/about.shtml ' +
+        '(+/assets/a.png)',
+      '/fr/about.shtml: canonical https://example.com/fr/a-propos does not ' +
+        'match https://example.com/en/about of /en/about.shtml',
+      '/fr/about.shtml: og:url https://example.com/fr/a-propos does not ' +
+        'match https://example.com/en/about of /en/about.shtml',
+      '/fr/projects/_2023_my_portfolio.html: missing its translation ' +
+        '/en/projects/_2023_my_portfolio.html',
+    ]);
+  });
+});
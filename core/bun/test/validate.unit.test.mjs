@@ -0,0 +1,133 @@
+/**
+ * Provides unit tests for the offline validation of the pages.
+ * Ensures that clean URLs resolve like nginx serves them, and that broken
+ * links, missing alt text, duplicate IDs, heading order, unlabelled controls
+ * and malformed markup are reported on their line.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { describe, expect, test } from 'bun:test';
+import { resolveRoute, validatePage } from '../src/internal/validate.mjs';
+
+const OUTPUTS = new Set([
+  '/index.html',
+  '/en/about.html',
+  '/en/contact/contact.html',
+  '/assets/theme.min.css',
+]);
+const hasOutput = (pathname) => OUTPUTS.has(pathname);
+
+/**
+ * Wraps markup in a valid page.
+ *
+ * @param {string} body - The markup of the body
+ * @returns {string} The HTML code of the page
+ */
+function page(body) {
+  return (
+    '<!DOCTYPE html>\n<html lang="en">\n<head>\n<title>Test</title>\n' +
+    '<link rel="stylesheet" href="/assets/theme.min.css">\n</head>\n' +
+    `<body>\n${body}\n</body>\n</html>\n`
+  );
+}
+
+describe('resolveRoute', () => {
+  test('Resolves clean URLs, landing pages and directory indexes', () => {
+    const ans = ['/', '/en', '/en/', '/en/contact', '/en/contact/', '/fr'].map(
+      (pathname) => resolveRoute(pathname, hasOutput),
+    );
+
+    expect(ans).toEqual([
+      '/index.html',
+      '/en/about.html',
+      '/en/about.html',
+      '/en/contact/contact.html',
+      '/en/contact/contact.html',
+      null,
+    ]);
+  });
+});
+
+describe('validatePage', () => {
+  test('Accepts a valid page', () => {
+    const ans = validatePage(
+      page(
+        '<h1>Title</h1>\n<h2 id="about">About</h2>\n' +
+          '<a href="/en/contact">Contact</a> <a href="#about">Top</a>\n' +
+          '<img src="/assets/theme.min.css" alt="">\n' +
+          '<label for="name">Name</label><input id="name">\n' +
+          '<label>Email <input type="email"></label>\n' +
+          '<ul><li>One<li>Two</ul>\n' +
+          '<svg><title>Icon</title><path d="M0 0"/></svg>',
+      ),
+      '/en/about.html',
+      hasOutput,
+    );
+
+    expect(ans).toEqual([]);
+  });
+
+  test('Reports broken links and missing files', () => {
+    const ans = validatePage(
+      page(
+        '<a href="/en/projects">Projects</a>\n<a href="#missing">Skip</a>\n' +
+          '<a href="https://example.com/">Out</a>\n<script src="/app.js"></script>',
+      ),
+      '/en/about.html',
+      hasOutput,
+    );
+
+    expect(ans.map(({ rule, line, message }) => [rule, line, message])).toEqual(
+      [
+        ['broken-link', 8, 'Broken link to /en/projects'],
+        ['broken-link', 9, 'Link to missing id #missing'],
+        ['broken-link', 11, 'Missing file /app.js'],
+      ],
+    );
+  });
+
+  test('Reports accessibility issues', () => {
+    const ans = validatePage(
+      page(
+        '<h1>Title</h1>\n<h3 id="a">Skipped</h3>\n<div id="a">\n' +
+          '<img src="/assets/theme.min.css">\n<select name="lang"></select>\n' +
+          '<label for="nowhere">Name</label>\n</div>',
+      ),
+      '/en/about.html',
+      hasOutput,
+    );
+
+    expect(ans.map(({ rule, severity }) => `${severity} ${rule}`)).toEqual([
+      'warning heading-order',
+      'error duplicate-id',
+      'error img-alt',
+      'error label',
+      'error label',
+    ]);
+  });
+
+  test('Reports malformed markup', () => {
+    const ans = validatePage(
+      '<html>\n<body>\n<div><span></div>\n</p>\n<center></center>\n</br>\n',
+      '/index.html',
+      hasOutput,
+    );
+
+    expect(ans.map(({ rule, line }) => `${line} ${rule}`)).toEqual([
+      '1 doctype',
+      '1 html-lang',
+      '1 title',
+      '3 unclosed',
+      '4 stray-close',
+      '5 obsolete',
+      '6 void-close',
+    ]);
+  });
+});
@@ -1,7 +1,7 @@
 /**
- * Initializes footer functionality by importing language selection and theme
- * toggle modules. Ensures both features are available with a single script
- * load in the website footer.
+ * Initializes footer functionality by importing language selection, theme
+ * toggle and service worker modules. Ensures these features are available
+ * with a single script load in the website footer.
  *
  * @author
  * Sébastien Kéroack <code@sebastienkeroack.com>
@@ -14,3 +14,4 @@
 
 import '/assets/scripts/footer/language-select.mjs';
 import '/assets/scripts/footer/theme-toggle.mjs';
+import '/assets/scripts/footer/service-worker.mjs';
@@ -0,0 +1,24 @@
+/**
+ * Registers the service worker generated by the build, which makes the
+ * website installable and shows an offline page when the network is down.
+ * Skipped in local environments, where cached assets would hide the changes
+ * being made.
+ *
+ * @author
+ * Sébastien Kéroack <code@sebastienkeroack.com>
+ * @copyright
+ * 2026 Sébastien Kéroack. All rights reserved.
+ * @license
+ * https://github.com/SebastienKeroack/sebastienkeroack-portfolio/blob/main/LICENSE
+ * Apache License
+ */
+
+import { IS_LOCAL } from '/assets/scripts/core.mjs';
+
+// Register the service worker once the page is loaded, so that precaching
+// the assets of the website does not compete with the page for bandwidth.
+if ('serviceWorker' in navigator && !IS_LOCAL) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js');
+  });
+}